@@ -5,83 +5,694 @@
  * updates the extension badge, and handles keyboard shortcuts.
  *
  * Storage schema:
- *   currentTimeRange: { start, end, source, capturedAt, raw? }
- *   timeRangeHistory: [ ...max 5 entries ]
+ *   activeIncidentId: "<id>"
+ *   incidents: {
+ *     <id>: {
+ *       id, name, createdAt, notes,
+ *       currentTimeRange: { start, end, source, capturedAt, timeZone, applyMode?,
+ *                           region?, account?, alarmName?, raw? },
+ *       history: [ ...max settings.historySize entries ],
+ *       pinned: [ ...time ranges kept until unpinned ]
+ *     }
+ *   }
+ *
+ * Session storage (cleared with the browser session):
+ *   linkedTabs: [ ...tab ids in auto-sync mode ]
+ *   linkSync: { echoUntil: { [tabId]: epochMs }, lastKey }
+ *
+ * Capture, apply and history are scoped to the active incident. The legacy
+ * top-level currentTimeRange / timeRangeHistory keys are migrated into a
+ * default incident on first load.
  */
+importScripts(
+  "/lib/jsurl.js",
+  "/lib/timezone.js",
+  "/lib/settings.js",
+  "/lib/time-encoding.js",
+  "/lib/time-core.js",
+  "/lib/range-io.js"
+);
+
 (function () {
   "use strict";
 
-  var MAX_HISTORY = 5;
   var AWS_ORANGE = "#FF9900";
+  var AWS_CONSOLE_URL_PATTERN = "https://*.console.aws.amazon.com/*";
+  var UNSUPPORTED_SERVICES = ["unknown", "not-aws", "cloudwatch-other"];
+  var DEFAULT_INCIDENT_ID = "default";
+  // A linked tab's report this soon after we pushed to it is an echo of that push
+  var LINK_ECHO_WINDOW_MS = 3000;
 
   // ---------------------------------------------------------------------------
-  // Storage Operations
+  // Incidents
   // ---------------------------------------------------------------------------
 
-  async function saveTimeRange(timeRange) {
-    var data = await chrome.storage.local.get(["currentTimeRange", "timeRangeHistory"]);
-    var history = data.timeRangeHistory || [];
+  function newIncident(id, name) {
+    return {
+      id: id,
+      name: name,
+      createdAt: Date.now(),
+      notes: "",
+      currentTimeRange: null,
+      history: [],
+      pinned: [],
+    };
+  }
 
-    // Push current to history if it exists
-    if (data.currentTimeRange) {
-      history.unshift(data.currentTimeRange);
-      if (history.length > MAX_HISTORY) {
-        history = history.slice(0, MAX_HISTORY);
-      }
+  // The legacy migration reads, writes and removes keys; it runs once per
+  // worker and every read of incidents waits for it
+  var migration = null;
+
+  /**
+   * Move legacy storage (top-level currentTimeRange / timeRangeHistory)
+   * into a default incident, if there are no incidents yet.
+   */
+  function migrateLegacyStorage() {
+    if (!migration) {
+      migration = (async function () {
+        var data = await chrome.storage.local.get(["incidents", "currentTimeRange", "timeRangeHistory"]);
+        if (data.incidents) return;
+
+        var incident = newIncident(DEFAULT_INCIDENT_ID, "Default");
+        incident.currentTimeRange = data.currentTimeRange || null;
+        incident.history = data.timeRangeHistory || [];
+        var incidents = {};
+        incidents[incident.id] = incident;
+        await chrome.storage.local.set({ incidents: incidents, activeIncidentId: incident.id });
+        await chrome.storage.local.remove(["currentTimeRange", "timeRangeHistory"]);
+      })();
+      // Let the next load retry a failed migration
+      migration.catch(function () { migration = null; });
+    }
+    return migration;
+  }
+
+  /**
+   * Load all incidents and the active one.
+   */
+  async function loadIncidents() {
+    await migrateLegacyStorage();
+    var data = await chrome.storage.local.get(["incidents", "activeIncidentId"]);
+    var incidents = data.incidents;
+    var activeId = data.activeIncidentId;
+
+    if (!incidents) {
+      // Storage was cleared under us; the first save writes this back
+      incidents = {};
+      incidents[DEFAULT_INCIDENT_ID] = newIncident(DEFAULT_INCIDENT_ID, "Default");
+    }
+    if (!incidents[activeId]) {
+      activeId = Object.keys(incidents)[0];
+    }
+
+    return { incidents: incidents, active: incidents[activeId] };
+  }
+
+  async function saveIncidents(incidents) {
+    await chrome.storage.local.set({ incidents: incidents });
+  }
+
+  // Read-modify-writes of the incidents object run one at a time, so a
+  // linked-tab sync and a popup save can't overwrite each other's changes
+  var incidentUpdates = Promise.resolve();
+
+  /**
+   * Queue task(state) behind earlier incident updates. The task gets freshly
+   * loaded incidents, saves its own changes and its result is returned.
+   * Tasks must not call other queued functions (they would wait on
+   * themselves).
+   */
+  function updateIncidents(task) {
+    var run = incidentUpdates.then(async function () {
+      return task(await loadIncidents());
+    });
+    incidentUpdates = run.catch(function () {});
+    return run;
+  }
+
+  async function listIncidents() {
+    var state = await loadIncidents();
+    var list = Object.keys(state.incidents).map(function (id) {
+      var incident = state.incidents[id];
+      return { id: incident.id, name: incident.name, createdAt: incident.createdAt };
+    });
+    list.sort(function (a, b) { return b.createdAt - a.createdAt; });
+    return { incidents: list, activeIncidentId: state.active.id };
+  }
+
+  async function getActiveIncident() {
+    var state = await loadIncidents();
+    return state.active;
+  }
+
+  async function createIncident(name) {
+    name = (name || "").trim();
+    if (!name) {
+      return { success: false, error: "Incident name is required" };
     }
 
-    await chrome.storage.local.set({
-      currentTimeRange: timeRange,
-      timeRangeHistory: history,
+    return updateIncidents(async function (state) {
+      var id = "inc-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+      state.incidents[id] = newIncident(id, name);
+
+      await chrome.storage.local.set({ incidents: state.incidents, activeIncidentId: id });
+      updateBadge(false);
+      return { success: true, incident: state.incidents[id] };
+    });
+  }
+
+  async function switchIncident(id) {
+    return updateIncidents(async function (state) {
+      if (!state.incidents[id]) {
+        return { success: false, error: "Unknown incident: " + id };
+      }
+
+      await chrome.storage.local.set({ activeIncidentId: id });
+      updateBadge(!!state.incidents[id].currentTimeRange);
+      return { success: true, incident: state.incidents[id] };
+    });
+  }
+
+  async function updateIncident(fields) {
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+
+      if (fields.name != null) {
+        var name = String(fields.name).trim();
+        if (!name) {
+          return { success: false, error: "Incident name is required" };
+        }
+        incident.name = name;
+      }
+      if (fields.notes != null) {
+        incident.notes = String(fields.notes);
+      }
+
+      await saveIncidents(state.incidents);
+      return { success: true, incident: incident };
+    });
+  }
+
+  async function deleteIncident(id) {
+    return updateIncidents(async function (state) {
+      if (!state.incidents[id]) {
+        return { success: false, error: "Unknown incident: " + id };
+      }
+      if (Object.keys(state.incidents).length === 1) {
+        return { success: false, error: "Cannot delete the only incident" };
+      }
+
+      delete state.incidents[id];
+      var activeId = state.active.id === id ? Object.keys(state.incidents)[0] : state.active.id;
+
+      await chrome.storage.local.set({ incidents: state.incidents, activeIncidentId: activeId });
+      updateBadge(!!state.incidents[activeId].currentTimeRange);
+      return { success: true };
     });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Storage Operations (scoped to the active incident)
+  // ---------------------------------------------------------------------------
+
+  function pushHistory(incident, timeRange, limit) {
+    incident.history.unshift(timeRange);
+    if (incident.history.length > limit) {
+      incident.history = incident.history.slice(0, limit);
+    }
+  }
+
+  /**
+   * Make timeRange the incident's current range; the previous one goes to
+   * history. Caller saves.
+   */
+  function setCurrent(incident, timeRange, settings) {
+    // Record the zone the range was displayed in when it was captured
+    if (!timeRange.timeZone) {
+      timeRange.timeZone = TimeKeeperTZ.resolve(settings.timeZone);
+    }
+    // Rolling captures stay rolling when that is the configured default
+    if (!timeRange.applyMode && settings.defaultApplyMode === "relative" &&
+        timeRange.raw && timeRange.raw.type === "relative") {
+      timeRange.applyMode = "relative";
+    }
+
+    // Push current to history if it exists
+    if (incident.currentTimeRange) {
+      pushHistory(incident, incident.currentTimeRange, settings.historySize);
+    }
+    incident.currentTimeRange = timeRange;
+  }
 
-    updateBadge(true);
-    return { success: true };
+  async function saveTimeRange(timeRange) {
+    var settings = await TimeKeeperSettings.get();
+    return updateIncidents(async function (state) {
+      setCurrent(state.active, timeRange, settings);
+      await saveIncidents(state.incidents);
+      updateBadge(true);
+      return { success: true };
+    });
   }
 
   async function getCurrentTimeRange() {
-    var data = await chrome.storage.local.get("currentTimeRange");
-    return data.currentTimeRange || null;
+    var incident = await getActiveIncident();
+    return incident.currentTimeRange || null;
   }
 
   async function getHistory() {
-    var data = await chrome.storage.local.get("timeRangeHistory");
-    return data.timeRangeHistory || [];
+    var incident = await getActiveIncident();
+    return incident.history || [];
+  }
+
+  /**
+   * Set how the current range is applied: "absolute" (fixed window) or
+   * "relative" (rolling window, only meaningful for relative captures).
+   * History entries move in and out of currentTimeRange and keep the mode
+   * with them; pinned entries are copies, so the pinned range the current
+   * one was restored from (same start and end) is updated too.
+   */
+  async function setApplyMode(mode) {
+    return updateIncidents(async function (state) {
+      var current = state.active.currentTimeRange;
+      if (!current) {
+        return { success: false, error: "No time range to update" };
+      }
+      if (mode !== "absolute" && mode !== "relative") {
+        return { success: false, error: "Invalid apply mode: " + mode };
+      }
+
+      current.applyMode = mode;
+      var key = TimeKeeperIO.rangeKey(current);
+      state.active.pinned.forEach(function (p) {
+        if (TimeKeeperIO.rangeKey(p) === key) p.applyMode = mode;
+      });
+      await saveIncidents(state.incidents);
+      return { success: true, timeRange: current };
+    });
   }
 
   async function restoreFromHistory(index) {
-    var data = await chrome.storage.local.get(["currentTimeRange", "timeRangeHistory"]);
-    var history = data.timeRangeHistory || [];
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+
+      if (index < 0 || index >= incident.history.length) {
+        return { success: false, error: "Invalid history index" };
+      }
+
+      var restored = incident.history.splice(index, 1)[0];
+
+      // Push current to history if it exists
+      if (incident.currentTimeRange) {
+        var settings = await TimeKeeperSettings.get();
+        pushHistory(incident, incident.currentTimeRange, settings.historySize);
+      }
+      incident.currentTimeRange = restored;
+
+      await saveIncidents(state.incidents);
+
+      updateBadge(true);
+      return { success: true, timeRange: restored };
+    });
+  }
+
+  async function clearAll() {
+    return updateIncidents(async function (state) {
+      state.active.currentTimeRange = null;
+      state.active.history = [];
+      await saveIncidents(state.incidents);
+      updateBadge(false);
+      return { success: true };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pinned Ranges
+  // ---------------------------------------------------------------------------
+
+  async function pinCurrent() {
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+      if (!incident.currentTimeRange) {
+        return { success: false, error: "No time range to pin" };
+      }
+
+      var current = incident.currentTimeRange;
+      var exists = incident.pinned.some(function (p) {
+        return p.start === current.start && p.end === current.end;
+      });
+      if (exists) {
+        return { success: false, error: "Already pinned" };
+      }
+
+      incident.pinned.push(Object.assign({}, current, { pinnedAt: Date.now() }));
+      await saveIncidents(state.incidents);
+      return { success: true, pinned: incident.pinned };
+    });
+  }
+
+  async function unpin(index) {
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+      if (index < 0 || index >= incident.pinned.length) {
+        return { success: false, error: "Invalid pinned index" };
+      }
+
+      incident.pinned.splice(index, 1);
+      await saveIncidents(state.incidents);
+      return { success: true, pinned: incident.pinned };
+    });
+  }
+
+  async function restorePinned(index) {
+    var settings = await TimeKeeperSettings.get();
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+      if (index < 0 || index >= incident.pinned.length) {
+        return { success: false, error: "Invalid pinned index" };
+      }
+
+      var pinned = Object.assign({}, incident.pinned[index]);
+      delete pinned.pinnedAt;
+      setCurrent(incident, pinned, settings);
+      await saveIncidents(state.incidents);
+      updateBadge(true);
+      return { success: true, timeRange: pinned };
+    });
+  }
 
-    if (index < 0 || index >= history.length) {
-      return { success: false, error: "Invalid history index" };
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Validate imported entries and merge them into the active incident's
+   * pinned ranges (history is capped, pinned ranges are not). Ranges already
+   * present in the incident, or repeated within the import, are reported as
+   * duplicates; invalid rows are reported with a reason (1-based row number).
+   */
+  async function importRanges(entries) {
+    if (!Array.isArray(entries)) {
+      return { success: false, error: "Nothing to import" };
     }
 
-    var restored = history.splice(index, 1)[0];
+    return updateIncidents(async function (state) {
+      var incident = state.active;
 
-    // Push current to history if it exists
-    if (data.currentTimeRange) {
-      history.unshift(data.currentTimeRange);
-      if (history.length > MAX_HISTORY) {
-        history = history.slice(0, MAX_HISTORY);
+      var merged = TimeKeeperIO.merge(entries, [incident.currentTimeRange].concat(incident.history, incident.pinned));
+      merged.accepted.forEach(function (tr) {
+        incident.pinned.push(Object.assign(tr, { pinnedAt: Date.now() }));
+      });
+
+      if (merged.accepted.length > 0) {
+        await saveIncidents(state.incidents);
+      }
+      return {
+        success: true,
+        imported: merged.accepted.length,
+        duplicates: merged.duplicates,
+        rejected: merged.rejected,
+      };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Adjust (pad / shift / zoom)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Derive a new range from the current one and save it, so the previous
+   * window lands in history.
+   *   pad:   widen both ends by amount ms (negative shrinks)
+   *   shift: move both ends by amount ms (negative = earlier)
+   *   zoom:  scale the length by amount around the midpoint (0.5 = zoom in)
+   */
+  async function adjustRange(op, amount) {
+    if (typeof amount !== "number" || !isFinite(amount)) {
+      return { success: false, error: "Invalid adjustment amount" };
+    }
+
+    var settings = await TimeKeeperSettings.get();
+    return updateIncidents(async function (state) {
+      var incident = state.active;
+      var current = incident.currentTimeRange;
+      if (!current) {
+        return { success: false, error: "No time range to adjust" };
+      }
+
+      var start = current.start;
+      var end = current.end;
+
+      switch (op) {
+        case "pad":
+          start -= amount;
+          end += amount;
+          break;
+        case "shift":
+          start += amount;
+          end += amount;
+          break;
+        case "zoom": {
+          if (amount <= 0) {
+            return { success: false, error: "Zoom factor must be positive" };
+          }
+          var mid = (start + end) / 2;
+          var half = ((end - start) / 2) * amount;
+          start = Math.round(mid - half);
+          end = Math.round(mid + half);
+          break;
+        }
+        default:
+          return { success: false, error: "Unknown adjustment: " + op };
+      }
+
+      if (end - start < 1000) {
+        return { success: false, error: "Range would be shorter than 1 second" };
+      }
+
+      // A rolling window padded or zoomed stays rolling at its new length;
+      // anything else becomes a fixed window. The apply mode choice is kept.
+      var now = Date.now();
+      var raw = { type: "absolute", adjusted: op };
+      if (op !== "shift" && TimeKeeperEncoding.relativeDurationMs(current)) {
+        raw = { type: "relative", durationMs: end - start, adjusted: op };
+        start = now - (end - start);
+        end = now;
+      }
+      var adjusted = Object.assign({}, current, {
+        start: start,
+        end: end,
+        capturedAt: now,
+        raw: raw,
+      });
+
+      setCurrent(incident, adjusted, settings);
+      await saveIncidents(state.incidents);
+      updateBadge(true);
+      return { success: true, timeRange: adjusted };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Apply to Tabs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Send apply-time to one tab and classify the outcome as
+   * "applied", "unsupported" or "failed".
+   */
+  async function applyToTab(tab, timeRange) {
+    var result = { tabId: tab.id, title: tab.title || tab.url, url: tab.url, status: "failed" };
+    try {
+      var response = await chrome.tabs.sendMessage(tab.id, {
+        action: "apply-time",
+        timeRange: timeRange,
+      });
+      if (!response) {
+        result.error = "No response from page";
+        return result;
       }
+      result.service = response.service;
+      result.strategy = response.strategy;
+      result.warnings = response.warnings || [];
+      if (response.success) {
+        result.status = "applied";
+      } else {
+        result.status = UNSUPPORTED_SERVICES.indexOf(response.service) >= 0 ? "unsupported" : "failed";
+        result.error = response.error;
+      }
+    } catch (e) {
+      result.error = "Cannot communicate with page. Reload and retry.";
     }
+    return result;
+  }
+
+  /**
+   * Apply the current time range to every AWS Console tab, optionally
+   * limited to the current window.
+   */
+  async function applyToAllTabs(currentWindowOnly) {
+    var current = await getCurrentTimeRange();
+    if (!current) {
+      return { success: false, error: "No time range to apply" };
+    }
+
+    var query = { url: AWS_CONSOLE_URL_PATTERN };
+    if (currentWindowOnly) query.currentWindow = true;
+    var tabs = await chrome.tabs.query(query);
 
-    await chrome.storage.local.set({
-      currentTimeRange: restored,
-      timeRangeHistory: history,
+    var results = await Promise.all(tabs.map(function (tab) {
+      return applyToTab(tab, current);
+    }));
+    return { success: true, results: results };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Linked Tabs (auto-sync)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Linked tabs and their echo suppression state, kept in session storage
+   * so they outlive the worker being suspended between a push and the
+   * tab's report:
+   *   { linked: [...tab ids], sync: { echoUntil: { [tabId]: epochMs }, lastKey } }
+   */
+  async function loadLinks() {
+    var data = await chrome.storage.session.get(["linkedTabs", "linkSync"]);
+    return {
+      linked: data.linkedTabs || [],
+      sync: Object.assign({ echoUntil: {}, lastKey: null }, data.linkSync),
+    };
+  }
+
+  async function saveLinks(links) {
+    await chrome.storage.session.set({ linkedTabs: links.linked, linkSync: links.sync });
+  }
+
+  // Link state read-modify-writes run one at a time, like incident updates,
+  // so two tabs reporting at once can't drop each other's echo windows
+  var linkUpdates = Promise.resolve();
+
+  /**
+   * Queue task(links) behind earlier link updates. The task gets freshly
+   * loaded link state and saves its own changes; its result is returned.
+   */
+  function updateLinks(task) {
+    var run = linkUpdates.then(async function () {
+      return task(await loadLinks());
     });
+    linkUpdates = run.catch(function () {});
+    return run;
+  }
 
-    updateBadge(true);
-    return { success: true, timeRange: restored };
+  async function getLinkState(tabId) {
+    var links = await loadLinks();
+    return { linked: links.linked.indexOf(tabId) >= 0, count: links.linked.length };
   }
 
-  async function clearAll() {
-    await chrome.storage.local.remove(["currentTimeRange", "timeRangeHistory"]);
-    updateBadge(false);
-    return { success: true };
+  async function setTabLinked(tabId, linked) {
+    var count = await updateLinks(async function (links) {
+      links.linked = links.linked.filter(function (id) { return id !== tabId; });
+      if (linked) links.linked.push(tabId);
+      await saveLinks(links);
+      return links.linked.length;
+    });
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: "set-linked", linked: linked });
+    } catch (e) {
+      // No content script yet; it asks for its state when it loads
+    }
+    return { success: true, linked: linked, count: count };
+  }
+
+  /**
+   * A linked tab's URL moved to a new range: save it and push it to the
+   * other linked tabs. Reports are dropped when they are echoes of our own
+   * push (within LINK_ECHO_WINDOW_MS of applying to that tab) or repeat the
+   * range last synced, so tabs don't keep re-applying to each other.
+   */
+  async function syncFromTab(tabId, timeRange) {
+    var key = TimeKeeperCore.syncKey(timeRange);
+    var decision = await updateLinks(async function (links) {
+      if (links.linked.indexOf(tabId) < 0) {
+        return { error: "Tab is not linked" };
+      }
+      if (Date.now() < (links.sync.echoUntil[tabId] || 0)) {
+        return { ignored: "echo" };
+      }
+      if (key === links.sync.lastKey) {
+        return { ignored: "unchanged" };
+      }
+      links.sync.lastKey = key;
+
+      var others = links.linked.filter(function (id) { return id !== tabId; });
+      others.forEach(function (id) {
+        links.sync.echoUntil[id] = Date.now() + LINK_ECHO_WINDOW_MS;
+      });
+      await saveLinks(links);
+      return { others: others };
+    });
+    if (decision.error) {
+      return { success: false, error: decision.error };
+    }
+    if (decision.ignored) {
+      return { success: true, ignored: decision.ignored };
+    }
+
+    // An apply from the popup or a shortcut also lands here; don't save it twice
+    var current = await getCurrentTimeRange();
+    if (!current || TimeKeeperCore.syncKey(current) !== key) {
+      await saveTimeRange(timeRange);
+    }
+
+    // Rolling windows stay rolling in the other tabs, like synced cursors
+    var pushed = Object.assign({}, timeRange);
+    if (timeRange.raw && timeRange.raw.type === "relative") pushed.applyMode = "relative";
+
+    var results = await Promise.all(decision.others.map(function (id) {
+      return applyToTab({ id: id }, pushed);
+    }));
+    return { success: true, results: results };
+  }
+
+  chrome.tabs.onRemoved.addListener(function (tabId) {
+    return updateLinks(async function (links) {
+      if (links.linked.indexOf(tabId) < 0 && !links.sync.echoUntil[tabId]) return;
+      links.linked = links.linked.filter(function (id) { return id !== tabId; });
+      delete links.sync.echoUntil[tabId];
+      await saveLinks(links);
+    }).catch(function (e) {
+      console.warn("[TimeKeeper] Linked tab cleanup error:", e);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Settings
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Trim every incident's history to the configured size, so lowering it on
+   * the options page takes effect immediately rather than on the next save.
+   */
+  async function trimHistories(limit) {
+    return updateIncidents(async function (state) {
+      var trimmed = false;
+      Object.keys(state.incidents).forEach(function (id) {
+        var incident = state.incidents[id];
+        if (incident.history.length > limit) {
+          incident.history = incident.history.slice(0, limit);
+          trimmed = true;
+        }
+      });
+      if (trimmed) await saveIncidents(state.incidents);
+    });
   }
 
+  TimeKeeperSettings.onChange(function (settings) {
+    trimHistories(settings.historySize).catch(function (e) {
+      console.warn("[TimeKeeper] History trim error:", e);
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // Badge
   // ---------------------------------------------------------------------------
@@ -95,16 +706,16 @@
     }
   }
 
-  // Initialize badge on startup
-  chrome.storage.local.get("currentTimeRange", function (data) {
-    updateBadge(!!data.currentTimeRange);
+  // Initialize badge on startup (also runs the legacy storage migration)
+  getCurrentTimeRange().then(function (tr) {
+    updateBadge(!!tr);
   });
 
   // ---------------------------------------------------------------------------
   // Message Handler
   // ---------------------------------------------------------------------------
 
-  chrome.runtime.onMessage.addListener(function (message, _sender, sendResponse) {
+  chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
     switch (message.action) {
       case "save-time-range":
         saveTimeRange(message.timeRange).then(sendResponse);
@@ -122,6 +733,10 @@
         });
         return true;
 
+      case "set-apply-mode":
+        setApplyMode(message.mode).then(sendResponse);
+        return true;
+
       case "restore-from-history":
         restoreFromHistory(message.index).then(sendResponse);
         return true;
@@ -130,6 +745,73 @@
         clearAll().then(sendResponse);
         return true;
 
+      case "list-incidents":
+        listIncidents().then(sendResponse);
+        return true;
+
+      case "get-incident":
+        getActiveIncident().then(function (incident) {
+          sendResponse({ incident: incident });
+        });
+        return true;
+
+      case "create-incident":
+        createIncident(message.name).then(sendResponse);
+        return true;
+
+      case "switch-incident":
+        switchIncident(message.id).then(sendResponse);
+        return true;
+
+      case "update-incident":
+        updateIncident(message).then(sendResponse);
+        return true;
+
+      case "delete-incident":
+        deleteIncident(message.id).then(sendResponse);
+        return true;
+
+      case "pin-current":
+        pinCurrent().then(sendResponse);
+        return true;
+
+      case "unpin":
+        unpin(message.index).then(sendResponse);
+        return true;
+
+      case "restore-pinned":
+        restorePinned(message.index).then(sendResponse);
+        return true;
+
+      case "import-ranges":
+        importRanges(message.entries).then(sendResponse);
+        return true;
+
+      case "adjust-range":
+        adjustRange(message.op, message.amount).then(sendResponse);
+        return true;
+
+      case "apply-all-tabs":
+        applyToAllTabs(!!message.currentWindowOnly).then(sendResponse);
+        return true;
+
+      // Popup passes tabId; content scripts are identified by sender
+      case "get-link-state":
+        getLinkState(message.tabId || (sender.tab && sender.tab.id)).then(sendResponse);
+        return true;
+
+      case "set-tab-linked":
+        setTabLinked(message.tabId, !!message.linked).then(sendResponse);
+        return true;
+
+      case "linked-range-changed":
+        if (!sender.tab) {
+          sendResponse({ success: false, error: "Not sent from a tab" });
+          return false;
+        }
+        syncFromTab(sender.tab.id, message.timeRange).then(sendResponse);
+        return true;
+
       default:
         sendResponse({ error: "Unknown action: " + message.action });
         return false;
@@ -141,6 +823,26 @@
   // ---------------------------------------------------------------------------
 
   chrome.commands.onCommand.addListener(async function (command) {
+    if (command === "apply-time-all-tabs") {
+      try {
+        var settings = await TimeKeeperSettings.get();
+        await applyToAllTabs(settings.applyAllCurrentWindowOnly);
+      } catch (e) {
+        console.warn("[TimeKeeper] Apply-all shortcut error:", e);
+      }
+      return;
+    }
+
+    if (command === "nudge-left" || command === "nudge-right") {
+      try {
+        var step = (await TimeKeeperSettings.get()).adjustStepMs;
+        await adjustRange("shift", command === "nudge-left" ? -step : step);
+      } catch (e) {
+        console.warn("[TimeKeeper] Nudge shortcut error:", e);
+      }
+      return;
+    }
+
     var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tabs || tabs.length === 0) return;
     var tab = tabs[0];
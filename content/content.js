@@ -1,577 +1,679 @@
 /**
  * Content Script - AWS Console Time Keeper
  *
- * Detects AWS service from URL, parses time ranges, and injects time ranges
- * back into URLs for supported services.
+ * Thin adapter between the page and TimeKeeperCore (lib/time-core.js):
+ * feeds it window.location.href to detect the service and parse the time
+ * range, and navigates to the URLs it builds when applying a range.
  *
  * Supported services:
  *  - CloudWatch Metrics (hash-based JSURL graph param)
  *  - CloudWatch Logs Insights (queryDetail param with $-encoded JSURL)
  *  - CloudWatch Generic (hash-based JSURL state with timeRange)
  *  - X-Ray (timeRange query param)
+ *  - X-Ray in CloudWatch: trace map / traces (JSURL context.timeRange);
+ *    a trace detail view captures a window around the trace's start
+ *  - CloudTrail Event history (StartTime/EndTime params in hash route)
+ *  - Application Signals services / SLOs and Synthetics canaries (JSURL
+ *    state with timeRange, added when the page has none)
+ *
+ * Pages that keep no time in the URL fall back to driving the Cloudscape
+ * date-range picker in the page DOM. On CloudWatch alarm detail pages,
+ * capture builds an incident window around the alarm's last ALARM state
+ * (lib/alarm-window.js). On Synthetics canary pages, "capture around
+ * run" builds a window around the selected or latest failed run
+ * (lib/canary-run.js).
+ *
+ * In linked mode, range changes in the URL are reported to the service
+ * worker, which pushes them to the other linked tabs.
+ *
+ * Services (and the picker fallback) switched off on the options page are
+ * left alone: no capture, apply, overlay or linked reports.
  */
 (function () {
   "use strict";
 
+  // ---------------------------------------------------------------------------
+  // Settings
+  // ---------------------------------------------------------------------------
+
+  var Core = window.TimeKeeperCore;
+  var Enc = window.TimeKeeperEncoding;
+  var settings = window.TimeKeeperSettings.DEFAULTS;
+
+  window.TimeKeeperSettings.get().then(function (s) {
+    settings = s;
+    resetLinkBaseline();
+    syncOverlay();
+  });
+  window.TimeKeeperSettings.onChange(function (s) {
+    settings = s;
+    resetLinkBaseline();
+    syncOverlay();
+    window.TimeKeeperOverlay.refresh();
+  });
+
   // ---------------------------------------------------------------------------
   // Service Detection
   // ---------------------------------------------------------------------------
 
   function detectService() {
-    var url = window.location.href;
-    var pathname = window.location.pathname;
-    var hash = window.location.hash;
+    return Core.detectService(window.location.href);
+  }
 
-    if (pathname.includes("/cloudwatch") && hash.includes("metricsV2")) {
-      return "cloudwatch-metrics";
-    }
-    if (pathname.includes("/cloudwatch") && hash.includes("logsV2:log-groups") && hash.includes("logs-insights")) {
-      return "cloudwatch-logs-insights";
-    }
-    // Broader match for Logs Insights (different URL patterns across regions)
-    // queryDetail may appear as literal or $3D-encoded
-    if (pathname.includes("/cloudwatch") && (hash.includes("logs-insights") || hash.includes("logsV2") && (hash.includes("queryDetail") || hash.includes("queryDetail$3D")))) {
-      return "cloudwatch-logs-insights";
-    }
-    // CloudWatch Log Events: logsV2:log-groups with $3Fstart$3D pattern
-    if (pathname.includes("/cloudwatch") && hash.includes("logsV2:log-groups") && (hash.includes("$3Fstart$3D") || hash.includes("?start="))) {
-      return "cloudwatch-logs";
-    }
-    if (pathname.includes("/xray") || pathname.includes("/x-ray")) {
-      return "xray";
-    }
-    if (pathname.includes("/cloudwatch")) {
-      // Generic CloudWatch pages with JSURL state after '?'
-      // e.g. #home:?~(timeRange~1814400000)
-      //      #home:dashboards/ApplicationELB?~(timeRange~43200000)
-      if (hash.includes("?~(")) {
-        return "cloudwatch-generic";
-      }
-      return "cloudwatch-other";
-    }
-    if (url.includes(".console.aws.amazon.com")) {
-      return "unknown";
-    }
-    return "not-aws";
+  function serviceEnabled(serviceId) {
+    return window.TimeKeeperSettings.isServiceEnabled(settings, serviceId);
+  }
+
+  function disabledError(serviceId) {
+    var entry = window.TimeKeeperSettings.SERVICES.filter(function (s) { return s.id === serviceId; })[0];
+    return (entry ? entry.label : serviceId) + " is disabled in TimeKeeper options.";
   }
 
   // ---------------------------------------------------------------------------
-  // Parsers
+  // Time Strings
   // ---------------------------------------------------------------------------
 
   /**
-   * Format epoch ms as ISO-like datetime string in JST (no timezone suffix).
-   * AWS Console expects local time strings without 'Z' in many places.
+   * Format epoch ms as ISO-like datetime string in the configured time zone
+   * (no timezone suffix), as typed into the date-range picker.
    * e.g. "2025-02-26T09:30:00.000"
    */
-  function toJSTString(epochMs) {
-    var s = new Intl.DateTimeFormat("sv-SE", {
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-      hour12: false,
-      timeZone: "Asia/Tokyo",
-    }).format(new Date(epochMs));
-    // "sv-SE" gives "YYYY-MM-DD HH:MM:SS" → convert to ISO-like format
-    return s.replace(" ", "T") + ".000";
+  function toZonedString(epochMs) {
+    return Enc.toConsoleTimeString(epochMs, settings.timeZone);
   }
 
   /**
-   * Parse ISO 8601 duration (e.g., PT3H, PT1H30M) to milliseconds.
+   * Parse an absolute time string in the configured time zone.
    */
-  function parseDuration(dur) {
-    if (!dur) return null;
-    var match = dur.match(/^-?PT?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
-    if (!match) return null;
-    var hours = parseInt(match[1] || "0", 10);
-    var minutes = parseInt(match[2] || "0", 10);
-    var seconds = parseInt(match[3] || "0", 10);
-    return (hours * 3600 + minutes * 60 + seconds) * 1000;
+  function parseTimeString(str) {
+    return Core.parseTimeString(str, settings.timeZone);
   }
 
+  // ---------------------------------------------------------------------------
+  // Navigation
+  // ---------------------------------------------------------------------------
+
   /**
-   * Convert relative duration string to absolute start/end.
+   * Navigate to a URL produced by TimeKeeperCore. Hash-only changes are
+   * written to location.hash so the console SPA updates without a reload.
    */
-  function relativeToAbsolute(durationStr) {
-    var ms = parseDuration(durationStr.replace(/^-/, ""));
-    if (!ms) return null;
-    var now = Date.now();
-    return { start: now - ms, end: now };
+  function navigateTo(url) {
+    var target = new URL(url);
+    var here = window.location;
+    if (target.origin === here.origin && target.pathname === here.pathname && target.search === here.search) {
+      window.location.hash = target.hash;
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // DOM Strategy (Cloudscape date-range picker)
+  // ---------------------------------------------------------------------------
+  //
+  // Services such as ALB monitoring, RDS Performance Insights, ECS/EKS and
+  // Lambda monitoring keep no time in the URL. For those we read and drive
+  // the Cloudscape date-range picker rendered in the page instead.
+  // Cloudscape class names are hashed per release (awsui_trigger_mgja0_...),
+  // so elements are matched by class-name fragments, placeholders and text.
+
+  var PICKER_SELECTORS = [
+    '[data-testid="date-range-picker"]',
+    '[class*="awsui_date-range-picker"]',
+    '[class*="date-range-picker"]',
+  ];
+
+  var DOM_WAIT_TIMEOUT_MS = 3000;
+
+  var PATH_SERVICE_LABELS = {
+    ec2: "EC2",
+    rds: "RDS",
+    ecs: "ECS",
+    eks: "EKS",
+    lambda: "Lambda",
+  };
+
+  function sleep(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
   }
 
   /**
-   * CloudWatch Metrics parser.
-   * URL hash: #metricsV2:graph=~(...)
-   * The graph param is JSURL-encoded and contains start/end fields.
+   * Poll until fn returns a truthy value or the timeout elapses.
    */
-  function parseCloudWatchMetrics() {
-    try {
-      var hash = window.location.hash;
-      var graphMatch = hash.match(/graph=([^&;]*)/);
-      if (!graphMatch) return null;
-
-      var graphStr = graphMatch[1];
-      var graphObj = window.JSURL.tryParse(graphStr, null);
-      if (!graphObj) return null;
-
-      var result = { source: "CloudWatch Metrics" };
-
-      // Absolute time: start and end are ISO strings or epoch
-      if (graphObj.start && graphObj.end) {
-        var startVal = graphObj.start;
-        var endVal = graphObj.end;
-
-        // Check if relative duration (e.g., "-PT3H")
-        if (typeof startVal === "string" && startVal.startsWith("-P")) {
-          var range = relativeToAbsolute(startVal);
-          if (range) {
-            result.start = range.start;
-            result.end = range.end;
-            result.raw = { type: "relative", duration: startVal };
-          }
-        } else {
-          // Absolute values - could be ISO string or epoch ms
-          result.start = typeof startVal === "string" ? new Date(startVal).getTime() : startVal;
-          result.end = typeof endVal === "string" ? new Date(endVal).getTime() : endVal;
-          result.raw = { type: "absolute" };
-        }
+  async function waitFor(fn, timeoutMs) {
+    var deadline = Date.now() + (timeoutMs || DOM_WAIT_TIMEOUT_MS);
+    while (Date.now() < deadline) {
+      var value = fn();
+      if (value) return value;
+      await sleep(50);
+    }
+    return null;
+  }
 
-        if (result.start && result.end && !isNaN(result.start) && !isNaN(result.end)) {
-          return result;
-        }
-      }
+  function isVisible(el) {
+    return !!(el && (el.offsetWidth || el.offsetHeight || el.getClientRects().length));
+  }
 
-      // Try period-based (relative)
-      if (graphObj.period) {
-        var range2 = relativeToAbsolute(graphObj.period);
-        if (range2) {
-          return {
-            start: range2.start,
-            end: range2.end,
-            source: "CloudWatch Metrics",
-            raw: { type: "relative", duration: graphObj.period },
-          };
-        }
+  function findPicker() {
+    for (var i = 0; i < PICKER_SELECTORS.length; i++) {
+      var nodes = document.querySelectorAll(PICKER_SELECTORS[i]);
+      for (var j = 0; j < nodes.length; j++) {
+        if (isVisible(nodes[j]) && nodes[j].querySelector("button")) return nodes[j];
       }
-
-      return null;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Metrics parse error:", e);
-      return null;
     }
+    return null;
+  }
+
+  function findPickerTrigger(picker) {
+    return picker.querySelector('button[aria-haspopup], [class*="awsui_trigger"] button, button');
   }
 
   /**
-   * CloudWatch Logs Insights parser.
-   * Two URL hash formats:
-   *   Format A: queryDetail=<$-encoded JSURL>  (= is literal, value is $→% encoded)
-   *   Format B: queryDetail$3D<raw JSURL>       (= is $3D-encoded, value is raw JSURL)
+   * Whether a dialog is a date-range picker's dropdown: it holds the
+   * absolute start/end inputs or the relative/absolute mode switch. Other
+   * console modals (confirmations, wizards) are never touched.
    */
-  function parseCloudWatchLogsInsights() {
-    try {
-      var hash = window.location.hash;
-      var obj = null;
-
-      // Format A: queryDetail=<$-encoded value>
-      var qdMatchA = hash.match(/queryDetail=([^&;]*)/);
-      if (qdMatchA) {
-        var encoded = qdMatchA[1].replace(/\$/g, "%");
-        try {
-          var decoded = decodeURIComponent(encoded);
-          obj = window.JSURL.tryParse(decoded, null);
-        } catch (e) {}
-      }
-
-      // Format B: queryDetail$3D<raw JSURL>
-      if (!obj) {
-        var qdMatchB = hash.match(/queryDetail\$3D([^&;]*)/i);
-        if (qdMatchB) {
-          obj = window.JSURL.tryParse(qdMatchB[1], null);
-        }
-      }
-
-      if (!obj) return null;
-
-      var result = { source: "CloudWatch Logs Insights" };
-
-      // timeType: "RELATIVE" or "ABSOLUTE"
-      // Note: end can be 0 (meaning "now" in relative mode), so use != null instead of truthiness
-      if (obj.start != null && obj.end != null) {
-        if (obj.timeType === "RELATIVE" || (typeof obj.start === "number" && obj.start < 0)) {
-          // Relative: start is negative seconds from now
-          var startSec = typeof obj.start === "number" ? obj.start : parseInt(obj.start, 10);
-          var now = Date.now();
-          result.start = now + startSec * 1000;
-          result.end = now;
-          result.raw = { type: "relative", seconds: startSec };
-        } else {
-          // Absolute: epoch seconds
-          var s = typeof obj.start === "number" ? obj.start : parseInt(obj.start, 10);
-          var e = typeof obj.end === "number" ? obj.end : parseInt(obj.end, 10);
-          // If values are in seconds (< 10 billion), convert to ms
-          if (s < 1e12) s *= 1000;
-          if (e < 1e12) e *= 1000;
-          result.start = s;
-          result.end = e;
-          result.raw = { type: "absolute" };
-        }
-        return result;
-      }
+  function isPickerDropdown(dialog) {
+    return !!(findAbsoluteInputs(dialog) ||
+      dialog.querySelector('input[type="radio"][value="absolute"]') ||
+      findButtonByText(dialog, /^absolute( range)?$/i));
+  }
 
-      // Check for editorString with time info
-      if (obj.unit && obj.value) {
-        // Custom relative format
-        var multipliers = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
-        var mult = multipliers[obj.unit] || 1000;
-        var ms = parseInt(obj.value, 10) * mult;
-        var now2 = Date.now();
-        result.start = now2 - ms;
-        result.end = now2;
-        result.raw = { type: "relative", unit: obj.unit, value: obj.value };
-        return result;
-      }
+  /**
+   * The open dropdown of the picker: the dialog its trigger controls when
+   * it says so, else the topmost visible date-range picker dialog.
+   */
+  function findOpenDropdown(picker) {
+    var trigger = picker && findPickerTrigger(picker);
+    var controlled = trigger && trigger.getAttribute("aria-controls");
+    var owned = controlled && document.getElementById(controlled);
+    if (owned && isVisible(owned) && isPickerDropdown(owned)) return owned;
+
+    var dialogs = document.querySelectorAll('[role="dialog"]');
+    for (var i = dialogs.length - 1; i >= 0; i--) {
+      if (isVisible(dialogs[i]) && isPickerDropdown(dialogs[i])) return dialogs[i];
+    }
+    return null;
+  }
 
-      return null;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Logs Insights parse error:", e);
-      return null;
+  function findButtonByText(root, pattern) {
+    var buttons = root.querySelectorAll('button, [role="radio"], label');
+    for (var i = 0; i < buttons.length; i++) {
+      if (pattern.test((buttons[i].textContent || "").trim())) return buttons[i];
     }
+    return null;
   }
 
   /**
-   * X-Ray parser.
-   * URL query: ?timeRange=PT1H or ?timeRange=START~END
+   * Set an input's value so React-controlled components notice the change.
    */
-  function parseXRay() {
-    try {
-      var params = new URLSearchParams(window.location.search);
-      var hash = window.location.hash;
-
-      // Also check hash params (X-Ray sometimes uses hash-based routing)
-      var timeRange = params.get("timeRange");
-      if (!timeRange && hash) {
-        var hashMatch = hash.match(/timeRange=([^&]*)/);
-        if (hashMatch) timeRange = hashMatch[1];
-      }
+  function setInputValue(input, value) {
+    var setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+    input.focus();
+    setter.call(input, value);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    input.blur();
+  }
 
-      if (!timeRange) return null;
-
-      var result = { source: "X-Ray" };
-
-      if (timeRange.includes("~")) {
-        // Absolute: START~END (ISO 8601 or epoch)
-        var parts = timeRange.split("~");
-        result.start = new Date(parts[0]).getTime();
-        result.end = new Date(parts[1]).getTime();
-        if (isNaN(result.start) || isNaN(result.end)) return null;
-        result.raw = { type: "absolute" };
-      } else {
-        // Relative duration (e.g., PT1H)
-        var range = relativeToAbsolute(timeRange);
-        if (!range) return null;
-        result.start = range.start;
-        result.end = range.end;
-        result.raw = { type: "relative", duration: timeRange };
-      }
+  function pickerSourceLabel() {
+    var segment = window.location.pathname.split("/")[1] || "";
+    return (PATH_SERVICE_LABELS[segment] || segment || "AWS Console") + " (page picker)";
+  }
 
-      return result;
-    } catch (e) {
-      console.warn("[TimeKeeper] X-Ray parse error:", e);
-      return null;
+  /**
+   * Parse the picker trigger label, e.g.
+   *   "2026-02-24 09:00:00 — 2026-02-24 12:00:00"
+   *   "2026/02/24, 09:00 - 2026/02/24, 12:00 (UTC+09:00)"
+   *   "Last 3 hours"
+   */
+  function parsePickerLabel(text) {
+    var rel = text.match(/last\s+(\d+)\s+(second|minute|hour|day|week)s?/i);
+    if (rel) {
+      var unitMs = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+      var durationMs = parseInt(rel[1], 10) * unitMs[rel[2].toLowerCase()];
+      var now = Date.now();
+      return { start: now - durationMs, end: now, raw: { type: "relative", durationMs: durationMs } };
     }
+
+    var re = /(\d{4})[-\/](\d{2})[-\/](\d{2})[T ,]*(\d{2}:\d{2}(?::\d{2})?)?/g;
+    var stamps = [];
+    var m;
+    while ((m = re.exec(text)) !== null) {
+      stamps.push(m[1] + "-" + m[2] + "-" + m[3] + "T" + (m[4] || "00:00"));
+    }
+    if (stamps.length < 2) return null;
+
+    var start = parseTimeString(stamps[0]);
+    var end = parseTimeString(stamps[1]);
+    if (isNaN(start) || isNaN(end)) return null;
+    return { start: start, end: end, raw: { type: "absolute" } };
   }
 
   /**
-   * CloudWatch Log Events parser.
-   * Hash: #logsV2:log-groups/log-group/<group>/log-events/<stream>$3Fstart$3D<time>$26end$3D<time>
-   * Decoded: ?start=<ms>&end=<ms>
-   * start/end: negative = relative ms from now, large positive = epoch ms
+   * Locate the absolute-mode inputs inside the open picker dropdown.
+   * Returns { startDate, startTime, endDate, endTime } or null.
    */
-  function parseCloudWatchLogs() {
-    try {
-      var hash = window.location.hash;
-      // Normalize $-encoded delimiters
-      var normalized = hash.replace(/\$3F/gi, "?").replace(/\$3D/gi, "=").replace(/\$26/gi, "&");
+  function findAbsoluteInputs(dropdown) {
+    var dateInputs = dropdown.querySelectorAll('input[placeholder*="YYYY"]');
+    var timeInputs = dropdown.querySelectorAll('input[placeholder*="hh"]');
+    if (dateInputs.length < 2 || timeInputs.length < 2) return null;
+    return {
+      startDate: dateInputs[0],
+      startTime: timeInputs[0],
+      endDate: dateInputs[dateInputs.length - 1],
+      endTime: timeInputs[timeInputs.length - 1],
+    };
+  }
 
-      var startMatch = normalized.match(/[?&]start=(-?\d+)/);
-      if (!startMatch) return null;
+  async function openPickerDropdown(picker) {
+    var trigger = findPickerTrigger(picker);
+    if (!trigger) return null;
+    if (!findOpenDropdown(picker)) trigger.click();
+    return waitFor(function () { return findOpenDropdown(picker); });
+  }
 
-      var startVal = parseInt(startMatch[1], 10);
-      var endVal = null;
-      var endMatch = normalized.match(/[?&]end=(-?\d+)/);
-      if (endMatch) endVal = parseInt(endMatch[1], 10);
+  function closePickerDropdown(dropdown) {
+    var cancel = findButtonByText(dropdown, /^(cancel|clear and dismiss)$/i);
+    if (cancel) {
+      cancel.click();
+    } else {
+      document.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+    }
+  }
 
-      var result = { source: "CloudWatch Logs" };
-      var now = Date.now();
+  async function switchToAbsoluteMode(dropdown) {
+    var inputs = findAbsoluteInputs(dropdown);
+    if (inputs) return inputs;
+    var absoluteTab = dropdown.querySelector('input[type="radio"][value="absolute"]') ||
+      findButtonByText(dropdown, /^absolute( range)?$/i);
+    if (!absoluteTab) return null;
+    absoluteTab.click();
+    return waitFor(function () { return findAbsoluteInputs(dropdown); });
+  }
 
-      if (startVal < 0) {
-        // Relative: negative milliseconds from now
-        result.start = now + startVal;
-        result.end = endVal != null && endVal < 0 ? now + endVal : now;
-        result.raw = { type: "relative", startMs: startVal, endMs: endVal };
-      } else {
-        // Absolute: epoch milliseconds
-        result.start = startVal;
-        result.end = endVal != null ? endVal : now;
-        result.raw = { type: "absolute" };
+  /**
+   * Capture the range shown by the page's date-range picker.
+   */
+  async function captureFromDom() {
+    var picker = findPicker();
+    if (!picker) return null;
+
+    var trigger = findPickerTrigger(picker);
+    var parsed = trigger ? parsePickerLabel(trigger.textContent || "") : null;
+
+    // Label didn't carry a range: read the absolute inputs from the dropdown
+    if (!parsed) {
+      var dropdown = await openPickerDropdown(picker);
+      if (!dropdown) return null;
+      var inputs = findAbsoluteInputs(dropdown);
+      if (inputs) {
+        var start = parseTimeString(inputs.startDate.value.replace(/\//g, "-") + "T" + (inputs.startTime.value || "00:00:00"));
+        var end = parseTimeString(inputs.endDate.value.replace(/\//g, "-") + "T" + (inputs.endTime.value || "00:00:00"));
+        if (!isNaN(start) && !isNaN(end)) {
+          parsed = { start: start, end: end, raw: { type: "absolute" } };
+        }
       }
+      closePickerDropdown(dropdown);
+    }
+
+    if (!parsed) return null;
+    parsed.source = pickerSourceLabel();
+    parsed.raw.strategy = "dom";
+    return parsed;
+  }
 
-      if (isNaN(result.start) || isNaN(result.end)) return null;
-      return result;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Logs parse error:", e);
-      return null;
+  /**
+   * Whether the page now shows the range, read back from the URL or the
+   * picker's label. Pickers may drop seconds, so times match to the minute.
+   */
+  function pageShowsRange(timeRange) {
+    var shown = captureFromUrl();
+    if (!shown) {
+      var picker = findPicker();
+      var trigger = picker && findPickerTrigger(picker);
+      shown = trigger ? parsePickerLabel(trigger.textContent || "") : null;
     }
+    return !!shown &&
+      Math.abs(shown.start - timeRange.start) < 60000 &&
+      Math.abs(shown.end - timeRange.end) < 60000;
   }
 
   /**
-   * CloudWatch Generic parser.
-   * Many CloudWatch pages use hash format: #<section>:?~(<jsurl-state>)
-   * e.g. #home:?~(timeRange~1814400000)
-   *      #home:?~(timeRange~181440000       ← no closing paren
-   *      #home:?~(timeRange~(start~'2024-01-01T00:00:00Z~end~'2024-01-02T00:00:00Z))
-   * timeRange as number = relative duration in milliseconds from now.
-   * timeRange as object = absolute start/end.
+   * Apply a range through the page's date-range picker: open it, switch to
+   * absolute mode, fill in start and end, and confirm. The picker's relative
+   * presets vary by page, so ranges are always written as absolute times,
+   * as wall-clock time in the configured zone. Succeeds only once the page
+   * shows the new range (the picker may reject the input and stay open).
    */
-  function parseCloudWatchGeneric() {
-    try {
-      var hash = window.location.hash;
-      // Find '?~(' to locate JSURL state in hash
-      // e.g. #home:?~(...)  or  #home:dashboards/Foo?~(...)
-      var qIdx = hash.indexOf("?~(");
-      if (qIdx < 0) return null;
-      var stateStr = hash.substring(qIdx + 1); // everything after '?'
-      if (!stateStr) return null;
-
-      var stateObj = window.JSURL.tryParse(stateStr, null);
-      if (!stateObj || stateObj.timeRange === undefined) return null;
-
-      var tr = stateObj.timeRange;
-      var result = { source: "CloudWatch" };
-
-      if (typeof tr === "number") {
-        // Relative: milliseconds duration from now
-        var now = Date.now();
-        result.start = now - tr;
-        result.end = now;
-        result.raw = { type: "relative", durationMs: tr };
-      } else if (Array.isArray(tr) && tr.length === 2) {
-        // Absolute: [startEpochMs, endEpochMs]
-        result.start = tr[0];
-        result.end = tr[1];
-        result.raw = { type: "absolute-array" };
-      } else if (typeof tr === "object" && tr.start && tr.end) {
-        // Absolute: { start, end } as ISO strings or epoch
-        result.start = typeof tr.start === "string" ? new Date(tr.start).getTime() : tr.start;
-        result.end = typeof tr.end === "string" ? new Date(tr.end).getTime() : tr.end;
-        result.raw = { type: "absolute" };
-      } else {
-        return null;
-      }
+  async function applyToDom(timeRange) {
+    var picker = findPicker();
+    if (!picker) return false;
+
+    var dropdown = await openPickerDropdown(picker);
+    if (!dropdown) return false;
+
+    var inputs = await switchToAbsoluteMode(dropdown);
+    if (!inputs) {
+      closePickerDropdown(dropdown);
+      return false;
+    }
 
-      if (isNaN(result.start) || isNaN(result.end)) return null;
-      return result;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Generic parse error:", e);
-      return null;
+    var dateSep = (inputs.startDate.getAttribute("placeholder") || "").indexOf("/") >= 0 ? "/" : "-";
+    var startParts = toZonedString(timeRange.start).split(/[T.]/);
+    var endParts = toZonedString(timeRange.end).split(/[T.]/);
+
+    setInputValue(inputs.startDate, startParts[0].replace(/-/g, dateSep));
+    setInputValue(inputs.startTime, startParts[1]);
+    setInputValue(inputs.endDate, endParts[0].replace(/-/g, dateSep));
+    setInputValue(inputs.endTime, endParts[1]);
+
+    var confirm = findButtonByText(dropdown, /^apply$/i);
+    if (!confirm) {
+      closePickerDropdown(dropdown);
+      return false;
     }
+    confirm.click();
+
+    if (await waitFor(function () { return pageShowsRange(timeRange); })) return true;
+    var stillOpen = findOpenDropdown(picker);
+    if (stillOpen) closePickerDropdown(stillOpen);
+    return false;
   }
 
   // ---------------------------------------------------------------------------
-  // Injectors
+  // Alarm Strategy (CloudWatch alarm detail pages)
   // ---------------------------------------------------------------------------
 
+  var Alarm = window.TimeKeeperAlarm;
+
   /**
-   * Inject time range into CloudWatch Metrics URL.
+   * Value shown under a label in the page text, e.g. the line after
+   * "Last state update" in the alarm's Details panel.
    */
-  function injectCloudWatchMetrics(timeRange) {
-    try {
-      var hash = window.location.hash;
-      var graphMatch = hash.match(/graph=([^&;]*)/);
-      if (!graphMatch) return false;
-
-      var graphStr = graphMatch[1];
-      var graphObj = window.JSURL.tryParse(graphStr, null);
-      if (!graphObj) return false;
-
-      // Set absolute time
-      graphObj.start = toJSTString(timeRange.start);
-      graphObj.end = toJSTString(timeRange.end);
-
-      var newGraphStr = window.JSURL.stringify(graphObj);
-      var newHash = hash.replace(/graph=[^&;]*/, "graph=" + newGraphStr);
-      window.location.hash = newHash;
-      return true;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Metrics inject error:", e);
-      return false;
+  function labelledValue(lines, labelPattern) {
+    for (var i = 0; i < lines.length - 1; i++) {
+      if (labelPattern.test(lines[i])) return lines[i + 1];
     }
+    return null;
   }
 
   /**
-   * Inject time range into CloudWatch Logs Insights URL.
-   * Handles both Format A (queryDetail=<$-encoded>) and Format B (queryDetail$3D<raw JSURL>).
+   * Text of each element matching selector, whitespace collapsed.
    */
-  function injectCloudWatchLogsInsights(timeRange) {
-    try {
-      var hash = window.location.hash;
-      var obj = null;
-      var isFormatB = false;
-
-      // Detect format and parse existing state
-      var qdMatchA = hash.match(/queryDetail=([^&;]*)/);
-      if (qdMatchA) {
-        var encoded = qdMatchA[1].replace(/\$/g, "%");
-        try {
-          obj = window.JSURL.tryParse(decodeURIComponent(encoded), null);
-        } catch (e) {}
-      }
+  function rowTexts(selector) {
+    return Array.prototype.map.call(document.querySelectorAll(selector), function (row) {
+      return row.innerText.replace(/\s+/g, " ");
+    });
+  }
 
-      if (!obj) {
-        var qdMatchB = hash.match(/queryDetail\$3D([^&;]*)/i);
-        if (qdMatchB) {
-          obj = window.JSURL.tryParse(qdMatchB[1], null);
-          isFormatB = true;
-        }
-      }
+  /**
+   * State transitions from the History tab's rows, or else the current
+   * state and its "Last state update" time from the Details panel.
+   */
+  function readAlarmTransitions() {
+    var transitions = Alarm.parseHistory(rowTexts("tr"), { timeZone: settings.timeZone });
+    if (transitions.length) return transitions;
+
+    var lines = document.body.innerText.split("\n").map(function (line) {
+      return line.trim();
+    }).filter(Boolean);
+    var state = Alarm.normalizeState(labelledValue(lines, /^state$/i));
+    var updatedAt = Alarm.parseTimestamp(labelledValue(lines, /^last state update$/i), settings.timeZone);
+    if (!state || isNaN(updatedAt)) return [];
+    return [{ time: updatedAt, from: null, to: state }];
+  }
+
+  function captureFromAlarm() {
+    return Alarm.incidentWindow(readAlarmTransitions(), {
+      leadMs: settings.alarmLeadMs,
+      lagMs: settings.alarmLagMs,
+      alarmName: Alarm.parseAlarmName(window.location.href),
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Canary Run Strategy (Synthetics canary detail pages)
+  // ---------------------------------------------------------------------------
 
-      if (!obj) return false;
+  var Canary = window.TimeKeeperCanary;
 
-      // Set absolute time (epoch seconds)
-      obj.start = Math.floor(timeRange.start / 1000);
-      obj.end = Math.floor(timeRange.end / 1000);
-      obj.timeType = "ABSOLUTE";
+  /**
+   * The run selected in the runs list, or else the latest failed one.
+   */
+  function readCanaryRun() {
+    var selected = Canary.parseRuns(rowTexts('[aria-selected="true"], [aria-current="true"]'), {
+      timeZone: settings.timeZone,
+    });
+    if (selected.length) return selected[0];
+    return Canary.latestFailed(Canary.parseRuns(rowTexts("tr"), { timeZone: settings.timeZone }));
+  }
 
-      var newJsurl = window.JSURL.stringify(obj);
+  function captureCanaryRun() {
+    var service = detectService();
+    if (service !== "cloudwatch-synthetics") {
+      return { success: false, error: "Open a Synthetics canary page to capture around a run.", service: service };
+    }
+    if (!serviceEnabled(service)) {
+      return { success: false, error: disabledError(service), service: service };
+    }
 
-      if (isFormatB) {
-        // Format B: queryDetail$3D<raw JSURL>
-        var newHash = hash.replace(/queryDetail\$3D[^&;]*/i, "queryDetail$3D" + newJsurl);
-        window.location.hash = newHash;
-      } else {
-        // Format A: queryDetail=<$-encoded JSURL>
-        var newEncoded = encodeURIComponent(newJsurl).replace(/%/g, "$");
-        var newHash = hash.replace(/queryDetail=[^&;]*/, "queryDetail=" + newEncoded);
-        window.location.hash = newHash;
-      }
-      return true;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Logs Insights inject error:", e);
-      return false;
+    var timeRange = Canary.runWindow(readCanaryRun(), {
+      padMs: settings.defaultPadMs,
+      canaryName: Canary.parseCanaryName(window.location.href),
+    });
+    if (!timeRange) {
+      return {
+        success: false,
+        error: "No failed run found. Select a run in the canary's runs list and retry.",
+        service: service,
+      };
     }
+    timeRange.capturedAt = Date.now();
+    stampOrigin(timeRange);
+    return { success: true, timeRange: timeRange, service: service, strategy: "canary" };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Capture / Apply
+  // ---------------------------------------------------------------------------
+
+  function captureFromUrl() {
+    return Core.parseUrl(window.location.href, {
+      timeZone: settings.timeZone,
+      padMs: settings.defaultPadMs,
+    }).timeRange;
   }
 
   /**
-   * Inject time range into CloudWatch Log Events URL.
+   * Record the region and account the range was captured in, so applying it
+   * elsewhere can be flagged.
    */
-  function injectCloudWatchLogs(timeRange) {
-    try {
-      var hash = window.location.hash;
-      var startMs = timeRange.start;
-      var endMs = timeRange.end;
-
-      // Detect encoding style: $3F/$3D or literal ?/=
-      var uses$Encoding = hash.includes("$3F") || hash.includes("$3D");
-
-      if (uses$Encoding) {
-        // Replace or append $3F-encoded params
-        var newHash = hash;
-        if (newHash.match(/\$3Fstart\$3D-?\d+/i)) {
-          newHash = newHash.replace(/\$3Fstart\$3D-?\d+/i, "$3Fstart$3D" + startMs);
-        }
-        if (newHash.match(/\$26end\$3D-?\d+/i)) {
-          newHash = newHash.replace(/\$26end\$3D-?\d+/i, "$26end$3D" + endMs);
-        } else if (newHash.includes("$3Fstart$3D")) {
-          // Append end param
-          newHash = newHash.replace(/(\$3Fstart\$3D-?\d+)/i, "$1$26end$3D" + endMs);
-        }
-        window.location.hash = newHash.replace(/^#/, "");
-      } else {
-        // Literal ?/= encoding
-        var normalized = hash;
-        normalized = normalized.replace(/([?&])start=-?\d+/, "$1start=" + startMs);
-        if (normalized.match(/[?&]end=-?\d+/)) {
-          normalized = normalized.replace(/([?&])end=-?\d+/, "$1end=" + endMs);
-        } else {
-          normalized = normalized.replace(/(\?start=-?\d+)/, "$1&end=" + endMs);
-        }
-        window.location.hash = normalized.replace(/^#/, "");
-      }
-      return true;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Logs inject error:", e);
-      return false;
+  function stampOrigin(timeRange) {
+    var origin = Core.consoleLocation(window.location.href);
+    if (origin && origin.region) timeRange.region = origin.region;
+    if (origin && origin.account) timeRange.account = origin.account;
+    return timeRange;
+  }
+
+  /**
+   * Write the range into the page URL. Returns the mode the page was given
+   * (see TimeKeeperCore.inject), or null when the URL has no place for it.
+   */
+  function applyToUrl(tr) {
+    var next = Core.inject(window.location.href, tr, {
+      timeZone: settings.timeZone,
+      stopAutoRefresh: settings.stopDashboardRefresh,
+    });
+    if (!next) return null;
+    navigateTo(next.url);
+    return next.applyMode;
+  }
+
+  /**
+   * Capture from the URL (or the alarm's state history), falling back to
+   * the page's date-range picker.
+   */
+  async function captureTime() {
+    var service = detectService();
+    if (!serviceEnabled(service)) {
+      return { success: false, error: disabledError(service), service: service };
+    }
+
+    var isAlarm = service === "cloudwatch-alarm";
+    var strategy = isAlarm ? "alarm" : "url";
+    var timeRange = isAlarm ? captureFromAlarm() : captureFromUrl();
+
+    if (!timeRange && serviceEnabled("page-picker")) {
+      strategy = "dom";
+      timeRange = await captureFromDom();
+    }
+
+    if (timeRange) {
+      timeRange.capturedAt = Date.now();
+      stampOrigin(timeRange);
+      return { success: true, timeRange: timeRange, service: service, strategy: strategy };
     }
+    var error = "Could not extract time range from current page URL.";
+    if (service === "unknown" || service === "not-aws") {
+      error = "This AWS service is not supported for automatic time capture. Use manual input.";
+    } else if (isAlarm) {
+      error = "No change into ALARM found. Open the alarm's History tab and retry.";
+    }
+    return {
+      success: false,
+      error: error,
+      service: service,
+    };
   }
 
   /**
-   * Inject time range into X-Ray URL.
+   * Validate (lib/validation.js), then apply to the URL, falling back to the
+   * page's date-range picker. Validation warnings ride along in the
+   * response either way.
    */
-  function injectXRay(timeRange) {
-    try {
-      var startISO = toJSTString(timeRange.start);
-      var endISO = toJSTString(timeRange.end);
-      var newTimeRange = startISO + "~" + endISO;
-
-      var url = new URL(window.location.href);
-
-      // Check both search params and hash
-      if (url.searchParams.has("timeRange")) {
-        url.searchParams.set("timeRange", newTimeRange);
-        window.location.href = url.toString();
-        return true;
-      }
+  async function applyTime(tr) {
+    var service = detectService();
+    if (!serviceEnabled(service)) {
+      return { success: false, error: disabledError(service), service: service };
+    }
 
-      var hash = url.hash;
-      if (hash.includes("timeRange=")) {
-        url.hash = hash.replace(/timeRange=[^&]*/, "timeRange=" + newTimeRange);
-        window.location.href = url.toString();
-        return true;
-      }
+    var checked = window.TimeKeeperValidation.check(tr, service);
+    if (checked.errors.length) {
+      return {
+        success: false,
+        error: "Invalid time range: " + checked.errors.join("; "),
+        warnings: checked.warnings,
+        service: service,
+      };
+    }
+    tr = checked.range;
 
-      // Append timeRange if not present
-      if (hash) {
-        url.hash = hash + "&timeRange=" + newTimeRange;
-      } else {
-        url.searchParams.set("timeRange", newTimeRange);
-      }
-      window.location.href = url.toString();
-      return true;
-    } catch (e) {
-      console.warn("[TimeKeeper] X-Ray inject error:", e);
-      return false;
+    var applyMode = applyToUrl(tr);
+    if (applyMode) {
+      return { success: true, service: service, strategy: "url", applyMode: applyMode, warnings: checked.warnings };
+    }
+
+    if (serviceEnabled("page-picker") && await applyToDom(tr)) {
+      return { success: true, service: service, strategy: "dom", applyMode: "absolute", warnings: checked.warnings };
     }
+
+    return {
+      success: false,
+      warnings: checked.warnings,
+      error: service === "unknown" || service === "not-aws"
+        ? "This AWS service is not supported for automatic time application."
+        : "Could not apply time range to current page URL.",
+      service: service,
+    };
   }
 
+  // ---------------------------------------------------------------------------
+  // Floating Overlay
+  // ---------------------------------------------------------------------------
+
+  var URL_UNSUPPORTED_SERVICES = ["unknown", "not-aws", "cloudwatch-other"];
+
   /**
-   * Inject time range into CloudWatch Generic URL (hash JSURL state).
+   * Show the overlay (content/overlay.js) when enabled in settings and the
+   * page has a time range to work with: in its URL or in a date-range picker.
    */
-  function injectCloudWatchGeneric(timeRange) {
-    try {
-      var hash = window.location.hash;
-      var qIdx = hash.indexOf("?~(");
-      if (qIdx < 0) return false;
-
-      var prefix = hash.substring(0, qIdx + 1); // everything up to and including '?'
-      var stateStr = hash.substring(qIdx + 1);
-      var stateObj = window.JSURL.tryParse(stateStr, null);
-      if (!stateObj) stateObj = {};
-
-      // Use array format [startMs, endMs] — matches CloudWatch's absolute time URL format
-      stateObj.timeRange = [timeRange.start, timeRange.end];
-
-      var newStateStr = window.JSURL.stringify(stateObj);
-      window.location.hash = prefix.replace(/^#/, "") + newStateStr;
-      return true;
-    } catch (e) {
-      console.warn("[TimeKeeper] CloudWatch Generic inject error:", e);
-      return false;
+  function syncOverlay() {
+    var service = detectService();
+    var supported = serviceEnabled(service) &&
+      (URL_UNSUPPORTED_SERVICES.indexOf(service) < 0 || (serviceEnabled("page-picker") && !!findPicker()));
+    if (settings.showOverlay && supported) {
+      window.TimeKeeperOverlay.mount({
+        captureTime: captureTime,
+        applyTime: applyTime,
+        detectService: detectService,
+        getSettings: function () { return settings; },
+      });
+    } else {
+      window.TimeKeeperOverlay.unmount();
     }
   }
 
+  // Console pages are SPAs; re-check when the route changes
+  window.addEventListener("hashchange", syncOverlay);
+
+  // ---------------------------------------------------------------------------
+  // Linked Mode (auto-sync)
+  // ---------------------------------------------------------------------------
+
+  // Some consoles (X-Ray) change the query string with pushState, which fires
+  // no event in the content script's world, so linked tabs also poll the URL.
+  var LINK_POLL_MS = 1000;
+
+  var linked = false;
+  var linkPoll = null;
+  // Null until settings load: the range key depends on the configured zone
+  var lastHref = null;
+  var lastRangeKey = null;
+
+  /**
+   * Take the URL's current range as already seen, so only later changes are
+   * reported. Reset whenever settings (and so the zone) change.
+   */
+  function resetLinkBaseline() {
+    lastHref = window.location.href;
+    lastRangeKey = Core.syncKey(captureFromUrl());
+  }
+
+  /**
+   * Report the URL's range to the service worker when it differs from the
+   * last one seen. The service worker decides what is an echo of its own push.
+   */
+  function checkUrlRange() {
+    if (lastHref === null || window.location.href === lastHref) return;
+    lastHref = window.location.href;
+    var timeRange = captureFromUrl();
+    var key = Core.syncKey(timeRange);
+    if (!key || key === lastRangeKey) return;
+    lastRangeKey = key;
+    if (!linked || !serviceEnabled(detectService())) return;
+
+    timeRange.capturedAt = Date.now();
+    stampOrigin(timeRange);
+    chrome.runtime.sendMessage({ action: "linked-range-changed", timeRange: timeRange }).catch(function (e) {
+      console.warn("[TimeKeeper] Linked sync error:", e);
+    });
+  }
+
+  function setLinked(value) {
+    linked = value;
+    clearInterval(linkPoll);
+    linkPoll = linked ? setInterval(checkUrlRange, LINK_POLL_MS) : null;
+  }
+
+  window.addEventListener("hashchange", checkUrlRange);
+
+  chrome.runtime.sendMessage({ action: "get-link-state" }).then(function (state) {
+    setLinked(!!(state && state.linked));
+  }).catch(function () {
+    // Extension reloaded under this page; nothing to sync with
+  });
+
   // ---------------------------------------------------------------------------
   // Message Handler
   // ---------------------------------------------------------------------------
@@ -582,79 +684,22 @@
         sendResponse({ service: detectService() });
         break;
 
-      case "capture-time": {
-        var service = detectService();
-        var timeRange = null;
-
-        switch (service) {
-          case "cloudwatch-metrics":
-            timeRange = parseCloudWatchMetrics();
-            break;
-          case "cloudwatch-logs-insights":
-            timeRange = parseCloudWatchLogsInsights();
-            break;
-          case "cloudwatch-logs":
-            timeRange = parseCloudWatchLogs();
-            break;
-          case "cloudwatch-generic":
-            timeRange = parseCloudWatchGeneric();
-            break;
-          case "xray":
-            timeRange = parseXRay();
-            break;
-        }
+      case "capture-time":
+        captureTime().then(sendResponse);
+        break;
 
-        if (timeRange) {
-          timeRange.capturedAt = Date.now();
-          sendResponse({ success: true, timeRange: timeRange });
-        } else {
-          sendResponse({
-            success: false,
-            error: service === "unknown" || service === "not-aws"
-              ? "This AWS service is not supported for automatic time capture. Use manual input."
-              : "Could not extract time range from current page URL.",
-            service: service,
-          });
-        }
+      case "capture-canary-run":
+        sendResponse(captureCanaryRun());
         break;
-      }
 
-      case "apply-time": {
-        var svc = detectService();
-        var tr = message.timeRange;
-        var applied = false;
-
-        switch (svc) {
-          case "cloudwatch-metrics":
-            applied = injectCloudWatchMetrics(tr);
-            break;
-          case "cloudwatch-logs-insights":
-            applied = injectCloudWatchLogsInsights(tr);
-            break;
-          case "cloudwatch-logs":
-            applied = injectCloudWatchLogs(tr);
-            break;
-          case "cloudwatch-generic":
-            applied = injectCloudWatchGeneric(tr);
-            break;
-          case "xray":
-            applied = injectXRay(tr);
-            break;
-        }
+      case "apply-time":
+        applyTime(message.timeRange).then(sendResponse);
+        break;
 
-        if (applied) {
-          sendResponse({ success: true });
-        } else {
-          sendResponse({
-            success: false,
-            error: svc === "unknown" || svc === "not-aws"
-              ? "This AWS service is not supported for automatic time application."
-              : "Could not apply time range to current page URL.",
-            service: svc,
-          });
-        }
+      case "set-linked":
+        setLinked(!!message.linked);
+        sendResponse({ linked: linked });
         break;
-      }
 
       default:
         sendResponse({ error: "Unknown action: " + message.action });
@@ -0,0 +1,347 @@
+/**
+ * Floating Overlay - AWS Console Time Keeper
+ *
+ * Optional in-page toolbar (Settings → "Show floating toolbar") showing the
+ * saved range and detected service, with capture, apply, nudge and
+ * history-restore buttons. It lives in a shadow root so console styles
+ * don't leak in, can be collapsed, and can be dragged out of the way.
+ *
+ * Mounted by content.js, which passes in its capture/apply functions; ranges
+ * are read and saved through the service worker's message actions.
+ *
+ * Storage schema (local):
+ *   overlayState: { left, top, collapsed }
+ */
+(function () {
+  "use strict";
+
+  var Overlay = {};
+
+  var HOST_ID = "timekeeper-overlay-host";
+  var EDGE_MARGIN = 8;
+
+  var SERVICE_LABELS = {
+    "cloudwatch-metrics": "Metrics",
+    "cloudwatch-logs-insights": "Logs Insights",
+    "cloudwatch-logs": "Log Events",
+    "cloudwatch-generic": "CloudWatch",
+    "xray": "X-Ray",
+    "cloudwatch-xray": "X-Ray",
+    "cloudtrail": "CloudTrail",
+    "cloudwatch-alarm": "Alarm",
+    "cloudwatch-app-signals": "App Signals",
+    "cloudwatch-synthetics": "Synthetics",
+  };
+
+  var api = null;
+  var host = null;
+  var mounting = false;
+  // Bumped by unmount, so a mount still waiting on storage gives up
+  var mountToken = 0;
+  var els = {};
+  var state = { left: null, top: null, collapsed: false };
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function formatTime(epochMs) {
+    var settings = api.getSettings();
+    return window.TimeKeeperTZ.formatDisplay(epochMs, settings.timeZone, settings.dateFormat);
+  }
+
+  function formatDuration(ms) {
+    var minutes = Math.round(ms / 60000);
+    if (minutes < 60) return minutes + "m";
+    var hours = Math.floor(minutes / 60);
+    return hours + "h" + (minutes % 60 ? " " + (minutes % 60) + "m" : "");
+  }
+
+  var statusTimer = null;
+
+  function showStatus(text, type) {
+    els.status.textContent = text;
+    els.status.className = "status " + (type || "");
+    clearTimeout(statusTimer);
+    // Warnings carry detail; leave them up long enough to read
+    statusTimer = setTimeout(function () {
+      els.status.textContent = "";
+    }, type === "warning" ? 6000 : 2500);
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function button(label, title, onClick) {
+    var b = el("button", "btn", label);
+    b.type = "button";
+    b.title = title;
+    b.addEventListener("click", onClick);
+    return b;
+  }
+
+  async function saveState() {
+    await chrome.storage.local.set({ overlayState: state });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  async function capture() {
+    var response = await api.captureTime();
+    if (!response.success) {
+      showStatus(response.error || "Capture failed", "error");
+      return;
+    }
+    await chrome.runtime.sendMessage({ action: "save-time-range", timeRange: response.timeRange });
+    var labels = { dom: "Captured from picker", alarm: "Captured alarm window" };
+    showStatus(labels[response.strategy] || "Captured", "success");
+  }
+
+  async function apply() {
+    var current = await chrome.runtime.sendMessage({ action: "get-current" });
+    if (!current || !current.timeRange) {
+      showStatus("No saved range", "error");
+      return;
+    }
+    var response = await api.applyTime(current.timeRange);
+    if (!response.success) {
+      showStatus(response.error || "Apply failed", "error");
+      return;
+    }
+
+    // Same notes as the popup: the first validation warning, and a region /
+    // account different from the capture's
+    var notes = [];
+    var mismatch = window.TimeKeeperCore.originMismatch(current.timeRange, window.location.href);
+    if (mismatch.length) {
+      notes.push("captured in " + mismatch.map(function (m) {
+        return m.key + " " + m.captured + " (here: " + m.tab + ")";
+      }).join(", "));
+    }
+    if (response.warnings && response.warnings.length) notes.push(response.warnings[0]);
+    showStatus(notes.length ? "Applied, but " + notes.join("; ") : "Applied", notes.length ? "warning" : "success");
+  }
+
+  async function nudge(direction) {
+    var step = api.getSettings().adjustStepMs;
+    var response = await chrome.runtime.sendMessage({ action: "adjust-range", op: "shift", amount: direction * step });
+    if (!response || !response.success) {
+      showStatus((response && response.error) || "Nudge failed", "error");
+      return;
+    }
+    showStatus((direction < 0 ? "Shifted back " : "Shifted forward ") + formatDuration(step), "success");
+  }
+
+  async function restore(index) {
+    var response = await chrome.runtime.sendMessage({ action: "restore-from-history", index: index });
+    if (!response || !response.success) {
+      showStatus((response && response.error) || "Restore failed", "error");
+      return;
+    }
+    showStatus("Restored", "success");
+  }
+
+  function toggleCollapsed() {
+    state.collapsed = !state.collapsed;
+    render();
+    saveState();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  function build() {
+    host = document.createElement("div");
+    host.id = HOST_ID;
+    var root = host.attachShadow({ mode: "closed" });
+
+    var style = document.createElement("link");
+    style.rel = "stylesheet";
+    style.href = chrome.runtime.getURL("content/overlay.css");
+    root.appendChild(style);
+
+    els.panel = el("div", "panel");
+    els.header = el("div", "header");
+    els.header.appendChild(el("span", "title", "TimeKeeper"));
+    els.service = el("span", "service");
+    els.header.appendChild(els.service);
+    els.toggle = button("", "Collapse / expand", toggleCollapsed);
+    els.toggle.classList.add("toggle");
+    els.header.appendChild(els.toggle);
+
+    els.body = el("div", "body");
+    els.range = el("div", "range");
+    els.body.appendChild(els.range);
+
+    var actions = el("div", "actions");
+    actions.appendChild(button("◀", "Shift back one step", function () { nudge(-1); }));
+    actions.appendChild(button("Capture", "Capture the page's time range", capture));
+    actions.appendChild(button("Apply", "Apply the saved range to this page", apply));
+    actions.appendChild(button("▶", "Shift forward one step", function () { nudge(1); }));
+    els.body.appendChild(actions);
+
+    els.history = el("select", "history");
+    els.history.title = "Restore a range from history";
+    els.history.addEventListener("change", function () {
+      var index = parseInt(els.history.value, 10);
+      els.history.value = "";
+      if (index >= 0) restore(index);
+    });
+    els.body.appendChild(els.history);
+
+    els.status = el("div", "status");
+    els.body.appendChild(els.status);
+
+    els.panel.appendChild(els.header);
+    els.panel.appendChild(els.body);
+    root.appendChild(els.panel);
+
+    enableDrag();
+    document.documentElement.appendChild(host);
+  }
+
+  async function refresh() {
+    if (!host) return;
+    var current = await chrome.runtime.sendMessage({ action: "get-current" });
+    var history = await chrome.runtime.sendMessage({ action: "get-history" });
+    // Unmounted while waiting
+    if (!host) return;
+    var tr = current && current.timeRange;
+
+    els.range.textContent = tr
+      ? formatTime(tr.start) + " → " + formatTime(tr.end) + " (" + formatDuration(tr.end - tr.start) + ")"
+      : "No saved range";
+
+    els.history.textContent = "";
+    var placeholder = el("option", "", "History…");
+    placeholder.value = "";
+    els.history.appendChild(placeholder);
+    ((history && history.history) || []).forEach(function (item, index) {
+      var option = el("option", "", formatTime(item.start) + " → " + formatTime(item.end) + " · " + (item.source || "Manual"));
+      option.value = String(index);
+      els.history.appendChild(option);
+    });
+    els.history.disabled = els.history.options.length < 2;
+
+    render();
+  }
+
+  function render() {
+    var service = api.detectService();
+    els.service.textContent = SERVICE_LABELS[service] || "Page picker";
+    els.body.classList.toggle("hidden", state.collapsed);
+    els.toggle.textContent = state.collapsed ? "▸" : "▾";
+    place(state.left, state.top);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dragging
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Position the panel, clamped to the viewport. null means the default
+   * bottom-right corner.
+   */
+  function place(left, top) {
+    var rect = els.panel.getBoundingClientRect();
+    var maxLeft = window.innerWidth - rect.width - EDGE_MARGIN;
+    var maxTop = window.innerHeight - rect.height - EDGE_MARGIN;
+    if (left == null || top == null) {
+      left = maxLeft;
+      top = maxTop;
+    }
+    els.panel.style.left = Math.max(EDGE_MARGIN, Math.min(left, maxLeft)) + "px";
+    els.panel.style.top = Math.max(EDGE_MARGIN, Math.min(top, maxTop)) + "px";
+  }
+
+  function enableDrag() {
+    var drag = null;
+
+    els.header.addEventListener("pointerdown", function (e) {
+      if (e.target === els.toggle) return;
+      var rect = els.panel.getBoundingClientRect();
+      drag = { dx: e.clientX - rect.left, dy: e.clientY - rect.top };
+      els.header.setPointerCapture(e.pointerId);
+    });
+
+    els.header.addEventListener("pointermove", function (e) {
+      if (!drag) return;
+      place(e.clientX - drag.dx, e.clientY - drag.dy);
+    });
+
+    els.header.addEventListener("pointerup", function (e) {
+      if (!drag) return;
+      drag = null;
+      els.header.releasePointerCapture(e.pointerId);
+      var rect = els.panel.getBoundingClientRect();
+      state.left = rect.left;
+      state.top = rect.top;
+      saveState();
+    });
+  }
+
+  function onViewportResize() {
+    place(state.left, state.top);
+  }
+
+  function onStorageChange(changes, areaName) {
+    if (areaName === "local" && (changes.incidents || changes.activeIncidentId)) {
+      refresh();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show the overlay.
+   *   pageApi: { captureTime, applyTime, detectService, getSettings }
+   */
+  Overlay.mount = async function (pageApi) {
+    if (host || mounting) return;
+    mounting = true;
+    var token = ++mountToken;
+    api = pageApi;
+    var data = await chrome.storage.local.get("overlayState");
+    // unmount() ran while loading: stay unmounted
+    if (token !== mountToken) return;
+    state = Object.assign({ left: null, top: null, collapsed: false }, data.overlayState);
+    mounting = false;
+
+    build();
+    window.addEventListener("resize", onViewportResize);
+    window.addEventListener("hashchange", render);
+    chrome.storage.onChanged.addListener(onStorageChange);
+    await refresh();
+  };
+
+  Overlay.unmount = function () {
+    mountToken++;
+    mounting = false;
+    if (!host) return;
+    window.removeEventListener("resize", onViewportResize);
+    window.removeEventListener("hashchange", render);
+    chrome.storage.onChanged.removeListener(onStorageChange);
+    host.remove();
+    host = null;
+    els = {};
+  };
+
+  /**
+   * Re-render times after a settings change (e.g. time zone).
+   */
+  Overlay.refresh = function () {
+    return refresh();
+  };
+
+  // Expose for content.js
+  window.TimeKeeperOverlay = Overlay;
+})();
@@ -0,0 +1,143 @@
+/**
+ * Alarm Window - AWS Console Time Keeper
+ *
+ * Builds an incident window from a CloudWatch alarm's state transitions:
+ * from lead time before it went into ALARM until lag time after it returned
+ * to OK (or until now while it is still in ALARM).
+ *
+ * The alarm detail URL only names the alarm
+ * (#alarmsV2:alarm/<name>), so the transition times come from the page:
+ * rows of the History tab ("2026-02-24 01:23:45  State update  Alarm
+ * updated from OK to In alarm"), or the detail panel's "Last state update"
+ * when no history is shown. Times without a zone are read in the
+ * configured zone.
+ *
+ * Depends on TimeKeeperTZ (lib/timezone.js).
+ */
+(function () {
+  "use strict";
+
+  var Alarm = {};
+
+  var STATES = {
+    "ok": "OK",
+    "alarm": "ALARM",
+    "in alarm": "ALARM",
+    "insufficient data": "INSUFFICIENT_DATA",
+    "insufficient_data": "INSUFFICIENT_DATA",
+  };
+
+  var STATE = "(OK|In alarm|ALARM|Insufficient data|INSUFFICIENT_DATA)";
+  var TRANSITION_RE = new RegExp("from\\s+" + STATE + "\\s+to\\s+" + STATE, "i");
+  var TIMESTAMP_RE = /(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?(?:\.\d+)?)(?:\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})\b)?/;
+
+  /**
+   * Normalise a state label as shown in the console ("In alarm") or the
+   * API ("INSUFFICIENT_DATA"). Returns null for anything else.
+   */
+  Alarm.normalizeState = function (text) {
+    return STATES[String(text || "").trim().toLowerCase()] || null;
+  };
+
+  /**
+   * First timestamp in text as epoch ms, or NaN.
+   */
+  Alarm.parseTimestamp = function (text, zone) {
+    var m = TIMESTAMP_RE.exec(text || "");
+    if (!m) return NaN;
+    var wall = m[1] + "T" + m[2];
+    var suffix = m[3] && m[3].toUpperCase();
+    if (suffix === "Z" || suffix === "UTC" || suffix === "GMT") {
+      return new Date(wall + "Z").getTime();
+    }
+    if (suffix) {
+      return new Date(wall + suffix).getTime();
+    }
+    return globalThis.TimeKeeperTZ.wallTimeToEpoch(wall, zone);
+  };
+
+  /**
+   * Alarm name from an alarm detail URL, or null.
+   *   #alarmsV2:alarm/High%20CPU?~(...)  ->  "High CPU"
+   */
+  Alarm.parseAlarmName = function (url) {
+    var m = /#alarmsV2:alarm\/([^?]+)/.exec(url || "");
+    if (!m) return null;
+    try {
+      return decodeURIComponent(m[1].replace(/\+/g, " "));
+    } catch (e) {
+      return m[1];
+    }
+  };
+
+  /**
+   * State transitions found in History rows (one string per row), oldest
+   * first: [{ time, from, to }]. Rows that aren't state updates are skipped.
+   */
+  Alarm.parseHistory = function (lines, options) {
+    var zone = (options && options.timeZone) || "UTC";
+    var transitions = [];
+    (lines || []).forEach(function (line) {
+      var m = TRANSITION_RE.exec(line);
+      if (!m) return;
+      var time = Alarm.parseTimestamp(line, zone);
+      if (isNaN(time)) return;
+      transitions.push({ time: time, from: Alarm.normalizeState(m[1]), to: Alarm.normalizeState(m[2]) });
+    });
+    return transitions.sort(function (a, b) { return a.time - b.time; });
+  };
+
+  /**
+   * Incident window around the latest transition into ALARM, or null when
+   * there is none.
+   *   options: { leadMs, lagMs, alarmName, timeZone, now }
+   * The window ends lagMs after the first transition out of ALARM; while
+   * the alarm is still firing it ends now.
+   */
+  Alarm.incidentWindow = function (transitions, options) {
+    options = options || {};
+    var list = (transitions || []).slice().sort(function (a, b) { return a.time - b.time; });
+    var alarmAt = null;
+    var index = -1;
+    list.forEach(function (t, i) {
+      if (t.to === "ALARM") {
+        alarmAt = t.time;
+        index = i;
+      }
+    });
+    if (alarmAt == null) return null;
+
+    var recovered = null;
+    for (var i = index + 1; i < list.length; i++) {
+      if (list[i].to !== "ALARM") {
+        recovered = list[i];
+        break;
+      }
+    }
+
+    var now = options.now != null ? options.now : Date.now();
+    var end = recovered ? recovered.time + (options.lagMs || 0) : now;
+    var timeRange = {
+      start: alarmAt - (options.leadMs || 0),
+      end: Math.min(end, Math.max(now, alarmAt)),
+      source: "CloudWatch Alarm",
+      raw: {
+        type: "absolute",
+        alarm: {
+          name: options.alarmName || null,
+          alarmAt: alarmAt,
+          recoveredAt: recovered ? recovered.time : null,
+          recoveredTo: recovered ? recovered.to : null,
+        },
+      },
+    };
+    if (options.alarmName) timeRange.alarmName = options.alarmName;
+    if (options.timeZone) timeRange.timeZone = options.timeZone;
+    return timeRange;
+  };
+
+  // Expose globally for content script access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperAlarm = Alarm;
+  }
+})();
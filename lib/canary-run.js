@@ -0,0 +1,118 @@
+/**
+ * Canary Run - AWS Console Time Keeper
+ *
+ * Builds a window around a single Synthetics canary run: padding before
+ * the run started until padding after it finished.
+ *
+ * The canary detail URL only names the canary
+ * (#synthetics:canary/detail/<name>), so runs come from the page: rows of
+ * the runs list ("2026-02-24 01:23:45 (UTC)  Failed  12.3 s"), or the
+ * selected run's panel. Times without a zone are read in the configured
+ * zone.
+ *
+ * Depends on TimeKeeperAlarm (lib/alarm-window.js) for timestamp parsing.
+ */
+(function () {
+  "use strict";
+
+  var Canary = {};
+
+  var STATUS_RE = /\b(PASSED|Passed|FAILED|Failed|RUNNING|Running)\b/;
+  // "12.3 s", "850 ms", "1m 5s", "1 min 5 sec"
+  var DURATION_RE = /(?:(\d+)\s*(?:m|min|mins|minutes?)\s*)?(\d+(?:\.\d+)?)\s*(ms|s|sec|secs|seconds?)\b/i;
+  var MINUTES_ONLY_RE = /\b(\d+)\s*(?:min|mins|minutes?)\b/i;
+
+  /**
+   * Canary name from a canary detail URL, or null.
+   *   #synthetics:canary/detail/checkout-flow?~(...)  ->  "checkout-flow"
+   */
+  Canary.parseCanaryName = function (url) {
+    var m = /#synthetics:canary\/detail\/([^?/]+)/.exec(url || "");
+    if (!m) return null;
+    try {
+      return decodeURIComponent(m[1]);
+    } catch (e) {
+      return m[1];
+    }
+  };
+
+  /**
+   * Run duration in ms from text after the run's timestamp, or 0.
+   */
+  Canary.parseDuration = function (text) {
+    var m = DURATION_RE.exec(text || "");
+    if (m) {
+      var value = parseFloat(m[2]);
+      var unit = m[3].toLowerCase();
+      var ms = unit === "ms" ? value : value * 1000;
+      return Math.round((m[1] ? parseInt(m[1], 10) * 60000 : 0) + ms);
+    }
+    var minutes = MINUTES_ONLY_RE.exec(text || "");
+    return minutes ? parseInt(minutes[1], 10) * 60000 : 0;
+  };
+
+  /**
+   * Runs found in rows (one string per row), newest first:
+   * [{ time, status, durationMs }] with status "PASSED", "FAILED" or
+   * "RUNNING". Rows without a timestamp and a status are skipped.
+   */
+  Canary.parseRuns = function (lines, options) {
+    var zone = (options && options.timeZone) || "UTC";
+    var runs = [];
+    (lines || []).forEach(function (line) {
+      // "(UTC)" is how the console marks the zone of run times
+      var text = String(line || "").replace(/\((UTC|GMT|Z)\)/g, "$1");
+      var status = STATUS_RE.exec(text);
+      if (!status) return;
+      var time = globalThis.TimeKeeperAlarm.parseTimestamp(text, zone);
+      if (isNaN(time)) return;
+      var afterTime = text.replace(/^.*?\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:\s*(?:Z|UTC|GMT|[+-]\d{2}:?\d{2})\b)?/, "");
+      runs.push({
+        time: time,
+        status: status[1].toUpperCase(),
+        durationMs: Canary.parseDuration(afterTime),
+      });
+    });
+    return runs.sort(function (a, b) { return b.time - a.time; });
+  };
+
+  /**
+   * Most recent failed run, or null.
+   */
+  Canary.latestFailed = function (runs) {
+    var failed = (runs || []).filter(function (run) { return run.status === "FAILED"; });
+    failed.sort(function (a, b) { return b.time - a.time; });
+    return failed[0] || null;
+  };
+
+  /**
+   * Window around a run, or null without one.
+   *   options: { padMs, canaryName, timeZone }
+   */
+  Canary.runWindow = function (run, options) {
+    if (!run || isNaN(run.time)) return null;
+    options = options || {};
+    var padMs = options.padMs || 0;
+    var timeRange = {
+      start: run.time - padMs,
+      end: run.time + (run.durationMs || 0) + padMs,
+      source: "Synthetics Canary",
+      raw: {
+        type: "absolute",
+        canary: {
+          name: options.canaryName || null,
+          runAt: run.time,
+          status: run.status || null,
+          durationMs: run.durationMs || 0,
+        },
+      },
+    };
+    if (options.timeZone) timeRange.timeZone = options.timeZone;
+    return timeRange;
+  };
+
+  // Expose globally for content script access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperCanary = Canary;
+  }
+})();
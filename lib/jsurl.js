@@ -1,6 +1,6 @@
 /**
  * JSURL - A compact URL-friendly JSON encoding.
- * Adapted from https://github.com/Sage/jsurl (MIT License)
+ * Port of https://github.com/Sage/jsurl (MIT License)
  *
  * Copyright (c) 2011 Bruno Jouhier
  * Permission is hereby granted, free of charge, to any person obtaining a copy
@@ -12,209 +12,196 @@
  *
  * The above copyright notice and this permission notice shall be included in
  * all copies or substantial portions of the Software.
+ *
+ * Grammar (as upstream):
+ *   value  := "~" ( number | "true" | "false" | "null"
+ *                 | "'" chars | "(" object-or-array ")" )
+ *   object := key value ( "~" key value )*     "~()"  is {}
+ *   array  := value+                           "~(~)" is []
+ *   chars  := [A-Za-z0-9_.-] | "!" ($) | "*XX" | "**XXXX"
+ *
+ * One deliberate difference from upstream: input that ends before its
+ * closing parens is accepted, because the console produces URLs like
+ * "#home:?~(timeRange~181440000" (see docs/url-patterns.md, Pattern 1).
  */
 (function () {
   "use strict";
 
   var JSURL = {};
 
-  // Encode characters that are not URL-safe
-  var _encodeMap = {
-    "'": "!",
-    "!": "'",
-  };
-
-  function _encode(ch) {
-    if (_encodeMap[ch]) return _encodeMap[ch];
-    var code = ch.charCodeAt(0);
-    if (code <= 0x7f) {
-      return "*" + code.toString(16).toUpperCase();
-    }
-    return "**" + code.toString(16).toUpperCase();
+  var RESERVED = { "true": true, "false": false, "null": null };
+
+  // ---------------------------------------------------------------------------
+  // Stringify
+  // ---------------------------------------------------------------------------
+
+  function encode(s) {
+    if (!/[^\w.-]/.test(s)) return s;
+    return s.replace(/[^\w.-]/g, function (ch) {
+      if (ch === "$") return "!";
+      var code = ch.charCodeAt(0);
+      return code < 0x100
+        ? "*" + ("00" + code.toString(16)).slice(-2)
+        : "**" + ("0000" + code.toString(16)).slice(-4);
+    });
   }
 
-  function _stringify(v) {
-    if (v === undefined) return "";
-    if (v === null) return "~null";
+  function stringify(v) {
     switch (typeof v) {
       case "number":
         return isFinite(v) ? "~" + v : "~null";
       case "boolean":
         return "~" + v;
       case "string":
-        return (
-          "~'" +
-          v.replace(/[!'*]/g, _encode).replace(/%/g, "*25")
-        );
-      case "object":
+        return "~'" + encode(v);
+      case "object": {
+        if (!v) return "~null";
+        var parts = [];
         if (Array.isArray(v)) {
-          return "~(" + v.map(function (item) {
-            return _stringify(item) || "~null";
-          }).join("") + ")";
-        } else {
-          var pairs = [];
-          Object.keys(v).forEach(function (key) {
-            var val = _stringify(v[key]);
-            if (val) {
-              pairs.push(
-                key.replace(/[!'*%]/g, _encode) + val
-              );
-            }
-          });
-          return "~(" + pairs.join("~") + ")";
+          for (var i = 0; i < v.length; i++) {
+            parts.push(stringify(v[i]) || "~null");
+          }
+          return "~(" + (parts.join("") || "~") + ")";
         }
+        Object.keys(v).forEach(function (key) {
+          var val = stringify(v[key]);
+          // Skip undefined and functions, as JSON.stringify does
+          if (val) parts.push(encode(key) + val);
+        });
+        return "~(" + parts.join("~") + ")";
+      }
       default:
-        return "";
+        // function, undefined
+        return undefined;
     }
   }
 
-  function _parse(str, pos) {
-    pos = pos || { i: 0 };
-    var ch = str.charAt(pos.i);
+  // ---------------------------------------------------------------------------
+  // Parse
+  // ---------------------------------------------------------------------------
 
-    if (!ch) return undefined;
+  function parse(s) {
+    // Some links arrive with the string marker percent-encoded (once or more)
+    s = s.replace(/%(25)*27/g, "'");
+    var i = 0;
+    var len = s.length;
 
-    if (ch === "~") {
-      pos.i++;
-      ch = str.charAt(pos.i);
+    function fail(message) {
+      throw new Error("bad JSURL syntax at " + i + ": " + message);
+    }
 
-      if (ch === "(") {
-        // Object or Array
-        pos.i++;
-        if (str.charAt(pos.i) === ")") {
-          pos.i++;
-          // Determine if empty array or empty object
-          // In JSURL, ~() is empty array when preceded by nothing specific
-          return [];
-        }
+    function eat(expected) {
+      if (s.charAt(i) !== expected) {
+        fail("expected " + expected + ", got " + (s.charAt(i) || "end of input"));
+      }
+      i++;
+    }
+
+    function eatClose() {
+      // Truncated input closes every open container
+      if (i >= len) return;
+      eat(")");
+    }
 
-        // Peek ahead to determine array vs object
-        // Arrays have values starting with ~, objects have key~value pairs
-        var isArray = str.charAt(pos.i) === "~";
-
-        if (isArray) {
-          var arr = [];
-          do {
-            arr.push(_parse(str, pos));
-          } while (str.charAt(pos.i) !== ")" && pos.i < str.length);
-          pos.i++; // skip )
-          return arr;
+    function decode() {
+      var beg = i;
+      var out = "";
+      var ch;
+      while (i < len && (ch = s.charAt(i)) !== "~" && ch !== ")") {
+        if (ch === "*") {
+          if (beg < i) out += s.substring(beg, i);
+          var hex = s.charAt(i + 1) === "*" ? s.substring(i + 2, i + 6) : s.substring(i + 1, i + 3);
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length % 2) fail("bad escape *" + hex);
+          out += String.fromCharCode(parseInt(hex, 16));
+          i += hex.length === 4 ? 6 : 3;
+          beg = i;
+        } else if (ch === "!") {
+          if (beg < i) out += s.substring(beg, i);
+          out += "$";
+          beg = ++i;
         } else {
-          var obj = {};
-          do {
-            // Parse key
-            var key = "";
-            while (pos.i < str.length) {
-              ch = str.charAt(pos.i);
-              if (ch === "~" || ch === ")" || ch === "(") break;
-              if (ch === "!") {
-                pos.i++;
-                key += "'";
-              } else if (ch === "*") {
-                pos.i++;
-                if (str.charAt(pos.i) === "*") {
-                  pos.i++;
-                  var code = str.substring(pos.i, pos.i + 4);
-                  key += String.fromCharCode(parseInt(code, 16));
-                  pos.i += 4;
-                } else {
-                  var code2 = str.substring(pos.i, pos.i + 2);
-                  key += String.fromCharCode(parseInt(code2, 16));
-                  pos.i += 2;
-                }
-              } else {
-                key += ch;
-                pos.i++;
-              }
-            }
-            // Parse value
-            obj[key] = _parse(str, pos);
-
-            // Skip separator ~
-            if (str.charAt(pos.i) === "~" && str.charAt(pos.i + 1) !== "(" && str.charAt(pos.i + 1) !== "'" && str.charAt(pos.i + 1) !== "n" && str.charAt(pos.i + 1) !== "t" && str.charAt(pos.i + 1) !== "f" && !(str.charAt(pos.i + 1) >= "0" && str.charAt(pos.i + 1) <= "9") && str.charAt(pos.i + 1) !== "-") {
-              pos.i++;
-            }
-          } while (str.charAt(pos.i) !== ")" && pos.i < str.length);
-          pos.i++; // skip )
-          return obj;
+          i++;
         }
-      } else if (ch === "'") {
-        // String
-        pos.i++;
-        var s = "";
-        while (pos.i < str.length) {
-          ch = str.charAt(pos.i);
-          if (ch === "~" || ch === ")") break;
-          if (ch === "!") {
-            pos.i++;
-            s += "'";
-          } else if (ch === "*") {
-            pos.i++;
-            if (str.charAt(pos.i) === "*") {
-              pos.i++;
-              var hexCode = str.substring(pos.i, pos.i + 4);
-              s += String.fromCharCode(parseInt(hexCode, 16));
-              pos.i += 4;
-            } else if (str.charAt(pos.i) === "2" && str.charAt(pos.i + 1) === "5") {
-              s += "%";
-              pos.i += 2;
-            } else {
-              var hexCode2 = str.substring(pos.i, pos.i + 2);
-              s += String.fromCharCode(parseInt(hexCode2, 16));
-              pos.i += 2;
-            }
+      }
+      return out + s.substring(beg, i);
+    }
+
+    function parseOne() {
+      var result;
+      eat("~");
+      var ch = s.charAt(i);
+
+      if (ch === "(") {
+        i++;
+        if (s.charAt(i) === "~") {
+          result = [];
+          if (s.charAt(i + 1) === ")") {
+            i++;
           } else {
-            s += ch;
-            pos.i++;
+            do {
+              result.push(parseOne());
+            } while (s.charAt(i) === "~");
+          }
+        } else {
+          result = {};
+          if (i < len && s.charAt(i) !== ")") {
+            do {
+              var key = decode();
+              // defineProperty so a "__proto__" key stays a plain field
+              Object.defineProperty(result, key, {
+                value: parseOne(),
+                writable: true,
+                enumerable: true,
+                configurable: true,
+              });
+            } while (s.charAt(i) === "~" && ++i);
           }
         }
-        return s;
-      } else if (ch === "n") {
-        // null
-        if (str.substring(pos.i, pos.i + 4) === "null") {
-          pos.i += 4;
-          return null;
-        }
-      } else if (ch === "t") {
-        // true
-        if (str.substring(pos.i, pos.i + 4) === "true") {
-          pos.i += 4;
-          return true;
-        }
-      } else if (ch === "f") {
-        // false
-        if (str.substring(pos.i, pos.i + 5) === "false") {
-          pos.i += 5;
-          return false;
-        }
+        eatClose();
+      } else if (ch === "'") {
+        i++;
+        result = decode();
       } else {
-        // Number
-        var numStr = "";
-        while (pos.i < str.length) {
-          ch = str.charAt(pos.i);
-          if (ch === "~" || ch === ")") break;
-          numStr += ch;
-          pos.i++;
+        var beg = i++;
+        while (i < len && s.charAt(i) !== ")" && s.charAt(i) !== "~") i++;
+        var word = s.substring(beg, i);
+        if (/[\d-]/.test(ch)) {
+          result = parseFloat(word);
+          if (isNaN(result)) fail("bad number " + word);
+        } else if (Object.prototype.hasOwnProperty.call(RESERVED, word)) {
+          result = RESERVED[word];
+        } else {
+          fail("bad value keyword " + word);
         }
-        return Number(numStr);
       }
+      return result;
     }
 
-    return undefined;
+    // Like upstream, anything after the first complete value is ignored
+    return parseOne();
   }
 
-  JSURL.stringify = function (v) {
-    return _stringify(v);
-  };
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  JSURL.stringify = stringify;
 
-  JSURL.parse = function (str) {
-    if (!str) return undefined;
-    return _parse(str, { i: 0 });
+  /**
+   * Parse a JSURL string. Throws on malformed input; empty input is
+   * returned as-is.
+   */
+  JSURL.parse = function (s) {
+    if (!s) return s;
+    return parse(s);
   };
 
-  JSURL.tryParse = function (str, defaultValue) {
+  /**
+   * Parse, returning defaultValue instead of throwing.
+   */
+  JSURL.tryParse = function (s, defaultValue) {
     try {
-      return JSURL.parse(str) || defaultValue;
+      return JSURL.parse(s);
     } catch (e) {
       return defaultValue;
     }
@@ -0,0 +1,209 @@
+/**
+ * Paste Parser - AWS Console Time Keeper
+ *
+ * Recognises time ranges in arbitrary pasted text: alarm emails, PagerDuty
+ * notifications, CloudTrail JSON, log lines and whole AWS Console URLs.
+ *
+ * Recognised formats:
+ *   - AWS Console URLs (parsed by TimeKeeperCore, no tab needed)
+ *   - ISO 8601 with Z, an offset, a zone abbreviation or no zone
+ *     ("2026-10-17T03:12:00Z", "2026-10-17 12:12 JST")
+ *   - RFC 2822 ("Sat, 17 Oct 2026 03:12:00 +0000")
+ *   - Month-name dates ("Friday 17 October, 2026 03:12:00 UTC",
+ *     "Oct 17, 2026 3:12:05 AM PDT")
+ *   - Epoch seconds (10 digits) and milliseconds (13 digits)
+ * Times without a zone are read in the configured zone. Zone
+ * abbreviations are only recognised in capitals and from the list below,
+ * so ordinary words after a time are never taken for a zone.
+ *
+ * Depends on TimeKeeperTZ (lib/timezone.js) and TimeKeeperCore
+ * (lib/time-core.js).
+ */
+(function () {
+  "use strict";
+
+  var Paste = {};
+
+  var MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+  };
+
+  // Common zone abbreviations in alarm / paging notifications (minutes)
+  var ZONE_ABBREVIATIONS = {
+    UTC: 0, GMT: 0, Z: 0,
+    JST: 540, KST: 540, IST: 330, SGT: 480, AEST: 600, AEDT: 660,
+    CET: 60, CEST: 120, BST: 60, EET: 120, EEST: 180,
+    EST: -300, EDT: -240, CST: -360, CDT: -300,
+    MST: -420, MDT: -360, PST: -480, PDT: -420,
+  };
+
+  // Epoch values outside 2001-09-09 .. 2286 are not plausible timestamps
+  var MIN_EPOCH_MS = 1e12;
+
+  // Month names as written ("Oct", "October") or in capitals ("OCT"); the
+  // patterns are case-sensitive so zone abbreviations stay capitals-only
+  var MONTH_WORDS = "Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|Jun(?:e)?|Jul(?:y)?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?";
+  var MONTH_NAME = "(" + MONTH_WORDS + "|" + MONTH_WORDS.toUpperCase() + ")";
+  var CLOCK = "(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\.\\d+)?\\s*([AaPp][Mm])?";
+  // Longest first so "AEST" is not read as "EST"
+  var ZONE_NAMES = Object.keys(ZONE_ABBREVIATIONS).sort(function (a, b) { return b.length - a.length; });
+  var ZONE = "(?:\\s*([+-]\\d{2}:?\\d{2}|" + ZONE_NAMES.join("|") + ")\\b)?";
+
+  var PATTERNS = [
+    {
+      name: "ISO 8601",
+      re: new RegExp("(\\d{4})-(\\d{2})-(\\d{2})[T ](\\d{2}):(\\d{2})(?::(\\d{2}))?(\\.\\d+)?" + ZONE, "g"),
+      toParts: function (m) {
+        return { y: +m[1], mo: +m[2] - 1, d: +m[3], h: +m[4], mi: +m[5], s: +(m[6] || 0), ms: m[7] ? Math.round(parseFloat(m[7]) * 1000) : 0, zone: m[8] };
+      },
+    },
+    {
+      // RFC 2822 and "17 October, 2026 03:12:00 UTC"
+      name: "day-month-year",
+      re: new RegExp("\\b(\\d{1,2})\\s+" + MONTH_NAME + ",?\\s+(\\d{4}),?\\s+(?:at\\s+)?" + CLOCK + ZONE, "g"),
+      toParts: function (m) {
+        return { y: +m[3], mo: MONTHS[m[2].slice(0, 3).toLowerCase()], d: +m[1], h: to24h(+m[4], m[7]), mi: +m[5], s: +(m[6] || 0), ms: 0, zone: m[8] };
+      },
+    },
+    {
+      // "Oct 17, 2026 3:12:05 AM PDT", "October 17 2026 at 03:12 UTC"
+      name: "month-day-year",
+      re: new RegExp("\\b" + MONTH_NAME + "\\s+(\\d{1,2}),?\\s+(\\d{4}),?\\s+(?:at\\s+)?" + CLOCK + ZONE, "g"),
+      toParts: function (m) {
+        return { y: +m[3], mo: MONTHS[m[1].slice(0, 3).toLowerCase()], d: +m[2], h: to24h(+m[4], m[7]), mi: +m[5], s: +(m[6] || 0), ms: 0, zone: m[8] };
+      },
+    },
+    {
+      name: "epoch",
+      re: /(?:^|[^\d.])(\d{13}|\d{10})(?![\d.])/g,
+      toEpoch: function (m) {
+        var n = parseInt(m[1], 10);
+        var ms = m[1].length === 10 ? n * 1000 : n;
+        return ms >= MIN_EPOCH_MS ? ms : NaN;
+      },
+    },
+  ];
+
+  function to24h(hours, meridiem) {
+    if (!meridiem) return hours;
+    var pm = meridiem.toLowerCase() === "pm";
+    if (hours === 12) return pm ? 12 : 0;
+    return pm ? hours + 12 : hours;
+  }
+
+  function pad2(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  /**
+   * Convert matched date parts to epoch ms. Offsets and known abbreviations
+   * are honoured; times without a zone are read as wall time in the
+   * configured zone.
+   */
+  function partsToEpoch(p, zone) {
+    var asUtc = Date.UTC(p.y, p.mo, p.d, p.h, p.mi, p.s, p.ms);
+    var z = p.zone ? p.zone.toUpperCase() : "";
+
+    if (/^[+-]\d{2}:?\d{2}$/.test(z)) {
+      var sign = z.charAt(0) === "-" ? -1 : 1;
+      var digits = z.replace(/[^\d]/g, "");
+      var offset = sign * (parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2), 10));
+      return asUtc - offset * 60000;
+    }
+    if (Object.prototype.hasOwnProperty.call(ZONE_ABBREVIATIONS, z)) {
+      return asUtc - ZONE_ABBREVIATIONS[z] * 60000;
+    }
+
+    var wall = p.y + "-" + pad2(p.mo + 1) + "-" + pad2(p.d) + "T" + pad2(p.h) + ":" + pad2(p.mi) + ":" + pad2(p.s);
+    return globalThis.TimeKeeperTZ.wallTimeToEpoch(wall, zone) + p.ms;
+  }
+
+  /**
+   * Find every timestamp in the text. Overlapping matches are resolved in
+   * pattern order (ISO first, epoch last). Returns [{ index, epochMs, format }].
+   */
+  Paste.findTimestamps = function (text, zone) {
+    var found = [];
+    var taken = [];
+
+    function overlaps(start, end) {
+      return taken.some(function (t) { return start < t[1] && end > t[0]; });
+    }
+
+    PATTERNS.forEach(function (pattern) {
+      pattern.re.lastIndex = 0;
+      var m;
+      while ((m = pattern.re.exec(text)) !== null) {
+        var start = m.index;
+        var end = m.index + m[0].length;
+        if (overlaps(start, end)) continue;
+
+        var epochMs = pattern.toEpoch ? pattern.toEpoch(m) : partsToEpoch(pattern.toParts(m), zone);
+        if (!isFinite(epochMs)) continue;
+
+        taken.push([start, end]);
+        found.push({ index: start, epochMs: epochMs, format: pattern.name });
+      }
+    });
+
+    found.sort(function (a, b) { return a.index - b.index; });
+    return found;
+  };
+
+  /**
+   * Parse pasted text into a time range.
+   *   options: { timeZone, padMs, now? }
+   *     padMs - half-width of the window built around a single timestamp
+   * Returns { start, end, source, raw } or { error }.
+   */
+  Paste.parse = function (text, options) {
+    text = String(text || "").trim();
+    options = options || {};
+    if (!text) return { error: "Nothing to parse" };
+
+    // A console URL carries its own range; parse it like the content script would.
+    // JSURL uses ' as a string marker, so only whitespace, " and <> end the URL.
+    var urlMatch = text.match(/https:\/\/[^\s"<>\/]*console\.aws\.amazon\.com[^\s"<>]*/);
+    if (urlMatch) {
+      var parsed = globalThis.TimeKeeperCore.parseUrl(urlMatch[0], options);
+      if (parsed.timeRange) {
+        var tr = parsed.timeRange;
+        tr.raw = Object.assign({}, tr.raw, { pastedUrl: urlMatch[0] });
+        return tr;
+      }
+      return { error: "No time range found in the pasted " + parsed.service + " URL" };
+    }
+
+    var stamps = Paste.findTimestamps(text, options.timeZone);
+    if (stamps.length === 0) {
+      return { error: "No timestamps recognised" };
+    }
+
+    var formats = [];
+    stamps.forEach(function (s) {
+      if (formats.indexOf(s.format) < 0) formats.push(s.format);
+    });
+    var raw = { type: "absolute", pasted: text.length > 500 ? text.slice(0, 500) + "…" : text, formats: formats };
+
+    if (stamps.length === 1) {
+      var padMs = options.padMs || 15 * 60 * 1000;
+      var at = stamps[0].epochMs;
+      raw.anchor = at;
+      return { start: at - padMs, end: at + padMs, source: "Pasted", raw: raw };
+    }
+
+    var times = stamps.map(function (s) { return s.epochMs; });
+    return {
+      start: Math.min.apply(null, times),
+      end: Math.max.apply(null, times),
+      source: "Pasted",
+      raw: raw,
+    };
+  };
+
+  // Expose globally for popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperPaste = Paste;
+  }
+})();
@@ -0,0 +1,99 @@
+/**
+ * Query Templates - AWS Console Time Keeper
+ *
+ * Named Logs Insights queries (query text plus log groups) kept in the
+ * extension, so Logs Insights can be opened with a template and the saved
+ * range in one click (see TimeKeeperLinks.logsInsights).
+ *
+ * Storage schema (local):
+ *   queryTemplates: [ { id, name, query, logGroups: [...], updatedAt } ]
+ *
+ * Depends on TimeKeeperCore (lib/time-core.js) for reading a template out
+ * of a Logs Insights URL.
+ */
+(function () {
+  "use strict";
+
+  var Templates = {};
+
+  async function load() {
+    var data = await chrome.storage.local.get("queryTemplates");
+    return data.queryTemplates || [];
+  }
+
+  /**
+   * Log group names from a textarea: one per line or comma separated.
+   */
+  Templates.splitLogGroups = function (text) {
+    return String(text || "").split(/[\n,]/).map(function (name) {
+      return name.trim();
+    }).filter(Boolean);
+  };
+
+  Templates.list = async function () {
+    var templates = await load();
+    return templates.slice().sort(function (a, b) {
+      return a.name.localeCompare(b.name);
+    });
+  };
+
+  /**
+   * Add a template, or replace the one with the same id (or name). Names
+   * stay unique: renaming to another template's name is refused.
+   * Returns { success, template } or { success: false, error }.
+   */
+  Templates.save = async function (fields) {
+    var name = String(fields.name || "").trim();
+    var query = String(fields.query || "").trim();
+    if (!name) return { success: false, error: "Template name is required" };
+    if (!query) return { success: false, error: "Query text is required" };
+
+    var templates = await load();
+    var existing = templates.filter(function (t) {
+      return fields.id ? t.id === fields.id : t.name === name;
+    })[0];
+    var clash = templates.some(function (t) {
+      return t.name === name && t !== existing;
+    });
+    if (clash) return { success: false, error: "A template named \"" + name + "\" already exists" };
+
+    var template = {
+      id: existing ? existing.id : "tpl-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: name,
+      query: query,
+      logGroups: (fields.logGroups || []).slice(),
+      updatedAt: Date.now(),
+    };
+
+    templates = templates.filter(function (t) { return t !== existing; });
+    templates.push(template);
+    await chrome.storage.local.set({ queryTemplates: templates });
+    return { success: true, template: template };
+  };
+
+  Templates.remove = async function (id) {
+    var templates = await load();
+    await chrome.storage.local.set({
+      queryTemplates: templates.filter(function (t) { return t.id !== id; }),
+    });
+    return { success: true };
+  };
+
+  /**
+   * Query text and log groups from a Logs Insights URL, or null.
+   */
+  Templates.fromUrl = function (url) {
+    var detail = globalThis.TimeKeeperCore.queryDetail(url);
+    if (!detail || typeof detail.editorString !== "string") return null;
+    var groups = Array.isArray(detail.source) ? detail.source : [];
+    return {
+      query: detail.editorString,
+      logGroups: groups.filter(function (g) { return typeof g === "string"; }),
+    };
+  };
+
+  // Expose globally for popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperTemplates = Templates;
+  }
+})();
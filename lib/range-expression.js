@@ -0,0 +1,249 @@
+/**
+ * Range Expressions - AWS Console Time Keeper
+ *
+ * Resolves typed shorthand into a time range:
+ *   "last 90m", "2h", "PT3H"          rolling window ending now
+ *   "since 09:00"                     from a time (today, or yesterday if
+ *                                     that is still ahead) until now
+ *   "yesterday 14:00-15:30"           between two points; an end without a
+ *   "2026-10-17 03:00 to 04:15"       date shares the start's date
+ *   "2026-10-17 03:12 ±20m"           window centred on a point
+ *   "03:12 +30m" / "03:12 -1h"        window starting / ending at a point
+ *   "today", "yesterday", "2026-10-17" whole day
+ * Points are "now", a time of day ("14:00", "2pm"), a day ("today",
+ * "yesterday", "YYYY-MM-DD") or both. Wall times are read in the configured
+ * zone (the default setting, JST, when none is passed) unless the
+ * expression ends in "UTC", "JST" or "local".
+ *
+ * Depends on TimeKeeperTZ (lib/timezone.js), TimeKeeperSettings
+ * (lib/settings.js), TimeKeeperEncoding (lib/time-encoding.js) and
+ * TimeKeeperCore (lib/time-core.js).
+ */
+(function () {
+  "use strict";
+
+  var Expr = {};
+  var Enc = globalThis.TimeKeeperEncoding;
+
+  var DAY_MS = 24 * 60 * 60 * 1000;
+
+  var ZONE_ALIASES = { utc: "UTC", gmt: "UTC", z: "UTC", jst: "Asia/Tokyo", local: "local" };
+
+  var UNIT_FIELDS = {
+    d: "D", day: "D", days: "D",
+    h: "H", hr: "H", hrs: "H", hour: "H", hours: "H",
+    m: "M", min: "M", mins: "M", minute: "M", minutes: "M",
+    s: "S", sec: "S", secs: "S", second: "S", seconds: "S",
+  };
+
+  // ---------------------------------------------------------------------------
+  // Durations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse "90m", "1h30m", "2 hours" or an ISO duration ("PT3H") to ms.
+   * Shorthand is rewritten as an ISO duration and read by parseDuration.
+   */
+  function parseDurationExpr(str) {
+    str = str.trim();
+    if (/^P/i.test(str)) return Enc.parseDuration(str);
+
+    var fields = { D: 0, H: 0, M: 0, S: 0 };
+    var re = /(\d+)\s*([a-z]+)\s*/gi;
+    var consumed = 0;
+    var m;
+    while ((m = re.exec(str)) !== null) {
+      if (m.index !== consumed) return null;
+      var field = UNIT_FIELDS[m[2].toLowerCase()];
+      if (!field) return null;
+      fields[field] += parseInt(m[1], 10);
+      consumed = re.lastIndex;
+    }
+    if (consumed === 0 || consumed !== str.length) return null;
+
+    var iso = "P" + fields.D + "DT" + fields.H + "H" + fields.M + "M" + fields.S + "S";
+    var ms = Enc.parseDuration(iso);
+    return ms > 0 ? ms : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Points in Time
+  // ---------------------------------------------------------------------------
+
+  function pad2(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  /**
+   * Shift a "YYYY-MM-DD" calendar date by whole days.
+   */
+  function addDays(date, days) {
+    var parts = date.split("-");
+    var d = new Date(Date.UTC(+parts[0], +parts[1] - 1, +parts[2] + days));
+    return d.toISOString().slice(0, 10);
+  }
+
+  function todayIn(zone, now) {
+    return globalThis.TimeKeeperTZ.formatWallTime(now, zone).slice(0, 10);
+  }
+
+  /**
+   * Parse a point such as "yesterday 14:00", "2026-10-17T03:12", "2pm" or
+   * "now". defaultDate is used when only a time of day is given.
+   * Returns { ms, date, hasDate, hasTime } or null.
+   */
+  function parsePoint(str, ctx, defaultDate) {
+    str = str.trim().toLowerCase();
+    if (str === "now") {
+      return { ms: ctx.now, date: todayIn(ctx.zone, ctx.now), hasDate: true, hasTime: true };
+    }
+
+    var m = str.match(/^(today|yesterday|\d{4}[-/]\d{1,2}[-/]\d{1,2})?(?:(?:^|[t\s]+)(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?)?$/);
+    if (!m || (!m[1] && !m[2])) return null;
+    // A bare number is a duration or noise, not a time of day
+    if (m[2] && !m[3] && !m[5]) return null;
+
+    var date;
+    if (m[1] === "today") {
+      date = todayIn(ctx.zone, ctx.now);
+    } else if (m[1] === "yesterday") {
+      date = addDays(todayIn(ctx.zone, ctx.now), -1);
+    } else if (m[1]) {
+      var parts = m[1].split(/[-/]/);
+      date = parts[0] + "-" + pad2(+parts[1]) + "-" + pad2(+parts[2]);
+    } else {
+      date = defaultDate || todayIn(ctx.zone, ctx.now);
+    }
+
+    var hours = m[2] ? parseInt(m[2], 10) : 0;
+    if (m[5]) {
+      if (hours < 1 || hours > 12) return null;
+      hours = hours % 12 + (m[5] === "pm" ? 12 : 0);
+    }
+    var minutes = m[3] ? parseInt(m[3], 10) : 0;
+    var seconds = m[4] ? parseInt(m[4], 10) : 0;
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+    var wall = date + "T" + pad2(hours) + ":" + pad2(minutes) + ":" + pad2(seconds);
+    var ms = globalThis.TimeKeeperTZ.wallTimeToEpoch(wall, ctx.zone);
+    if (isNaN(ms)) return null;
+
+    return { ms: ms, date: date, hasDate: !!m[1], hasTime: !!m[2] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  function absolute(start, end) {
+    return { start: start, end: end, raw: { type: "absolute" } };
+  }
+
+  function resolveRolling(str, ctx) {
+    var ms = parseDurationExpr(str);
+    if (!ms) return null;
+    var duration = "-" + Enc.toISODuration(ms);
+    var range = globalThis.TimeKeeperCore.relativeToAbsolute(duration, { now: ctx.now });
+    return range && { start: range.start, end: range.end, raw: { type: "relative", duration: duration } };
+  }
+
+  function resolveSince(str, ctx) {
+    var point = parsePoint(str, ctx);
+    if (!point) return null;
+    // "since 23:00" typed at 01:00 means last night
+    if (!point.hasDate && point.ms > ctx.now) point.ms -= DAY_MS;
+    return absolute(point.ms, ctx.now);
+  }
+
+  function resolveAround(str, ctx) {
+    // A lone + or - needs a space before it so dates aren't split
+    var m = str.match(/^(.+?)(\s*(?:±|\+\/-|\+-)\s*|\s+[+-]\s*)(\S.*)$/);
+    if (!m) return null;
+    var point = parsePoint(m[1], ctx);
+    var ms = parseDurationExpr(m[3]);
+    if (!point || !ms) return null;
+    var sign = m[2].trim();
+    if (sign === "+") return absolute(point.ms, point.ms + ms);
+    if (sign === "-") return absolute(point.ms - ms, point.ms);
+    return absolute(point.ms - ms, point.ms + ms);
+  }
+
+  function resolveBetween(str, ctx) {
+    var sep = /\s+(?:to|until)\s+|\s*[~–—]\s*|\s*-\s*/gi;
+    var m;
+    // Dates contain hyphens too, so try each separator until both sides parse
+    while ((m = sep.exec(str)) !== null) {
+      var start = parsePoint(str.slice(0, m.index), ctx);
+      if (!start) continue;
+      var end = parsePoint(str.slice(m.index + m[0].length), ctx, start.date);
+      if (!end) continue;
+
+      // A date without a time includes that whole day
+      var endMs = end.hasTime ? end.ms : endOfDay(end, ctx);
+      // "23:30-00:30" crosses midnight
+      if (!end.hasDate && endMs <= start.ms) endMs += DAY_MS;
+      return absolute(start.ms, endMs);
+    }
+    return null;
+  }
+
+  function endOfDay(point, ctx) {
+    return globalThis.TimeKeeperTZ.wallTimeToEpoch(addDays(point.date, 1) + "T00:00:00", ctx.zone);
+  }
+
+  function resolveDay(str, ctx) {
+    var point = parsePoint(str, ctx);
+    if (!point || point.hasTime) return null;
+    return absolute(point.ms, endOfDay(point, ctx));
+  }
+
+  /**
+   * Resolve a typed expression.
+   *   options: { timeZone?, now? }
+   *     timeZone - zone setting; defaults to the settings' default zone
+   * Returns { start, end, source: "Typed", timeZone, raw } where raw keeps
+   * the expression (and a relative duration for rolling windows), or
+   * { error }.
+   */
+  Expr.resolve = function (expression, options) {
+    var text = String(expression || "").trim().replace(/\s+/g, " ");
+    if (!text) return { error: "Type an expression" };
+
+    var zone = (options && options.timeZone) || globalThis.TimeKeeperSettings.DEFAULTS.timeZone;
+    var zoneMatch = text.match(/\s+(utc|gmt|z|jst|local)$/i);
+    if (zoneMatch) {
+      zone = ZONE_ALIASES[zoneMatch[1].toLowerCase()];
+      text = text.slice(0, zoneMatch.index);
+    }
+
+    var ctx = {
+      zone: zone,
+      now: (options && options.now) || Date.now(),
+    };
+
+    var body = text.replace(/^(?:last|past)\s+/i, "");
+    var sinceMatch = text.match(/^(?:since|from)\s+(.+)$/i);
+    var range = (sinceMatch && resolveSince(sinceMatch[1], ctx)) ||
+      resolveRolling(body, ctx) ||
+      resolveAround(text, ctx) ||
+      resolveBetween(text, ctx) ||
+      resolveDay(text, ctx);
+
+    if (!range) return { error: "Could not understand \"" + text + "\"" };
+    if (range.start >= range.end) return { error: "Start must be before end" };
+
+    range.raw.expression = String(expression).trim();
+    return {
+      start: range.start,
+      end: range.end,
+      source: "Typed",
+      timeZone: globalThis.TimeKeeperTZ.resolve(zone),
+      raw: range.raw,
+    };
+  };
+
+  // Expose globally for popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperExpression = Expr;
+  }
+})();
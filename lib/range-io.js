@@ -0,0 +1,296 @@
+/**
+ * Range Import/Export - AWS Console Time Keeper
+ *
+ * Serialises saved time ranges to JSON and CSV (for postmortems or moving
+ * to another machine) and validates entries read back from either format.
+ *
+ * Export entry:
+ *   { kind, start, end, startMs, endMs, source, capturedAt, timeZone, applyMode?, raw,
+ *     region?, account?, alarmName? }
+ *   start/end/capturedAt are ISO 8601 with the offset of the range's zone.
+ *
+ * Depends on TimeKeeperTZ (lib/timezone.js).
+ */
+(function () {
+  "use strict";
+
+  var IO = {};
+
+  IO.FORMAT_VERSION = 1;
+
+  var CSV_COLUMNS = ["kind", "start", "end", "startMs", "endMs", "source", "capturedAt", "timeZone", "applyMode", "raw", "region", "account", "alarmName"];
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  function toEntry(tr, kind, fallbackZone) {
+    var TZ = globalThis.TimeKeeperTZ;
+    var zone = tr.timeZone || TZ.resolve(fallbackZone);
+    var entry = {
+      kind: kind,
+      start: TZ.formatISO(tr.start, zone),
+      end: TZ.formatISO(tr.end, zone),
+      startMs: tr.start,
+      endMs: tr.end,
+      source: tr.source || "Manual",
+      capturedAt: tr.capturedAt ? TZ.formatISO(tr.capturedAt, zone) : null,
+      timeZone: zone,
+      raw: tr.raw || null,
+    };
+    if (tr.applyMode) entry.applyMode = tr.applyMode;
+    if (tr.region) entry.region = tr.region;
+    if (tr.account) entry.account = tr.account;
+    if (tr.alarmName) entry.alarmName = tr.alarmName;
+    return entry;
+  }
+
+  /**
+   * Flatten an incident's ranges into export entries, tagged by kind
+   * ("current", "history" or "pinned").
+   */
+  IO.toEntries = function (incident, fallbackZone) {
+    var entries = [];
+    if (incident.currentTimeRange) {
+      entries.push(toEntry(incident.currentTimeRange, "current", fallbackZone));
+    }
+    (incident.history || []).forEach(function (tr) {
+      entries.push(toEntry(tr, "history", fallbackZone));
+    });
+    (incident.pinned || []).forEach(function (tr) {
+      entries.push(toEntry(tr, "pinned", fallbackZone));
+    });
+    return entries;
+  };
+
+  IO.toJSON = function (incident, fallbackZone) {
+    return JSON.stringify({
+      version: IO.FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      incident: { name: incident.name, notes: incident.notes || "" },
+      entries: IO.toEntries(incident, fallbackZone),
+    }, null, 2);
+  };
+
+  // Spreadsheets run cells starting with these as formulas
+  var FORMULA_START = /^[=+\-@\t\r]/;
+
+  /**
+   * One CSV cell. Text that a spreadsheet would take for a formula (a
+   * source or alarm name like "=HYPERLINK(...)") gets a leading ', which
+   * IO.parse strips again.
+   */
+  function csvCell(value) {
+    if (value == null) return "";
+    var s = typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (typeof value === "string" && FORMULA_START.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  IO.toCSV = function (incident, fallbackZone) {
+    var lines = [CSV_COLUMNS.join(",")];
+    IO.toEntries(incident, fallbackZone).forEach(function (entry) {
+      lines.push(CSV_COLUMNS.map(function (col) { return csvCell(entry[col]); }).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+  };
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse RFC 4180 CSV text into an array of row arrays.
+   */
+  function parseCSVRows(text) {
+    var rows = [];
+    var row = [];
+    var cell = "";
+    var inQuotes = false;
+
+    for (var i = 0; i < text.length; i++) {
+      var ch = text.charAt(i);
+      if (inQuotes) {
+        if (ch === '"' && text.charAt(i + 1) === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text.charAt(i + 1) === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(function (r) {
+      return r.some(function (c) { return c !== ""; });
+    });
+  }
+
+  /**
+   * Parse exported JSON or CSV text into plain entry objects (unvalidated).
+   * Throws on text that is neither.
+   */
+  IO.parse = function (text) {
+    var trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+    if (!trimmed) return [];
+
+    if (trimmed.charAt(0) === "{" || trimmed.charAt(0) === "[") {
+      var data = JSON.parse(trimmed);
+      if (Array.isArray(data)) return data;
+      if (Array.isArray(data.entries)) return data.entries;
+      throw new Error("JSON has no entries array");
+    }
+
+    var rows = parseCSVRows(trimmed);
+    var header = rows.shift() || [];
+    if (header.indexOf("start") < 0 && header.indexOf("startMs") < 0) {
+      throw new Error("CSV header must include start or startMs");
+    }
+    return rows.map(function (cells) {
+      var obj = {};
+      header.forEach(function (col, i) {
+        var cell = cells[i];
+        if (cell === undefined || cell === "") return;
+        obj[col.trim()] = cell.charAt(0) === "'" && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+      });
+      return obj;
+    });
+  };
+
+  function toMs(value) {
+    if (value == null || value === "") return NaN;
+    if (typeof value === "number") return value;
+    if (/^-?\d+(\.\d+)?$/.test(String(value).trim())) return Number(value);
+    // Only accept ISO strings that carry an explicit zone
+    if (!/(?:Z|[+-]\d{2}:?\d{2})$/i.test(value)) return NaN;
+    return new Date(value).getTime();
+  }
+
+  /**
+   * Validate one imported entry. Returns { ok: true, timeRange } or
+   * { ok: false, reason }.
+   */
+  IO.validate = function (entry) {
+    if (!entry || typeof entry !== "object") {
+      return { ok: false, reason: "Not an object" };
+    }
+
+    var startMs = toMs(entry.startMs);
+    var endMs = toMs(entry.endMs);
+    var startIso = toMs(entry.start);
+    var endIso = toMs(entry.end);
+
+    if (!isFinite(startMs)) startMs = startIso;
+    if (!isFinite(endMs)) endMs = endIso;
+
+    if (!isFinite(startMs) || !isFinite(endMs)) {
+      return { ok: false, reason: "Missing or invalid start/end" };
+    }
+    // When both representations are present they must agree (to the second)
+    if ((isFinite(startIso) && Math.abs(startIso - startMs) >= 1000) ||
+        (isFinite(endIso) && Math.abs(endIso - endMs) >= 1000)) {
+      return { ok: false, reason: "ISO and epoch times disagree" };
+    }
+    if (startMs >= endMs) {
+      return { ok: false, reason: "Start is not before end" };
+    }
+
+    var raw = entry.raw;
+    if (typeof raw === "string") {
+      try {
+        raw = JSON.parse(raw);
+      } catch (e) {
+        return { ok: false, reason: "raw is not valid JSON" };
+      }
+    }
+    if (raw != null && typeof raw !== "object") {
+      return { ok: false, reason: "raw must be an object" };
+    }
+
+    var capturedAt = toMs(entry.capturedAt);
+    var timeRange = {
+      start: startMs,
+      end: endMs,
+      source: entry.source ? String(entry.source) : "Imported",
+      capturedAt: isFinite(capturedAt) ? capturedAt : Date.now(),
+    };
+    if (raw) timeRange.raw = raw;
+    if (entry.timeZone && globalThis.TimeKeeperTZ.isValid(entry.timeZone)) {
+      timeRange.timeZone = entry.timeZone;
+    }
+    if (entry.applyMode === "absolute" || entry.applyMode === "relative") {
+      timeRange.applyMode = entry.applyMode;
+    }
+    ["region", "account", "alarmName"].forEach(function (key) {
+      if (entry[key]) timeRange[key] = String(entry[key]);
+    });
+
+    return { ok: true, timeRange: timeRange };
+  };
+
+  /**
+   * Key used to detect duplicate ranges (same start and end).
+   */
+  IO.rangeKey = function (tr) {
+    return tr.start + ":" + tr.end;
+  };
+
+  /**
+   * Validate imported entries against the ranges already saved.
+   * Returns { accepted: [timeRange], duplicates, rejected: [{ row, reason }] }
+   * where row is the 1-based entry number (the CSV line after the header).
+   * Entries repeating a saved range, or an earlier entry, count as
+   * duplicates.
+   */
+  IO.merge = function (entries, existing) {
+    var seen = {};
+    (existing || []).forEach(function (tr) {
+      if (tr) seen[IO.rangeKey(tr)] = true;
+    });
+
+    var accepted = [];
+    var duplicates = 0;
+    var rejected = [];
+
+    (entries || []).forEach(function (entry, i) {
+      var result = IO.validate(entry);
+      if (!result.ok) {
+        rejected.push({ row: i + 1, reason: result.reason });
+        return;
+      }
+
+      var key = IO.rangeKey(result.timeRange);
+      if (seen[key]) {
+        duplicates++;
+        return;
+      }
+      seen[key] = true;
+      accepted.push(result.timeRange);
+    });
+
+    return { accepted: accepted, duplicates: duplicates, rejected: rejected };
+  };
+
+  // Expose globally for popup and service worker access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperIO = IO;
+  }
+})();
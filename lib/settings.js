@@ -0,0 +1,96 @@
+/**
+ * Settings - AWS Console Time Keeper
+ *
+ * User settings persisted in chrome.storage.sync, merged over defaults.
+ * Edited on the options page (options/options.html); the popup keeps a few
+ * contextual ones (adjust step, apply-all scope). Every context subscribes
+ * with Settings.onChange, so edits take effect without a reload.
+ *
+ * Storage schema (sync):
+ *   settings: { timeZone, applyAllCurrentWindowOnly, adjustStepMs, showOverlay,
+ *               alarmLeadMs, alarmLagMs, historySize, defaultApplyMode,
+ *               defaultPadMs, dateFormat, disabledServices: [...],
+ *               stopDashboardRefresh }
+ */
+(function () {
+  "use strict";
+
+  var Settings = {};
+
+  Settings.DEFAULTS = {
+    timeZone: "Asia/Tokyo",
+    applyAllCurrentWindowOnly: false,
+    adjustStepMs: 15 * 60 * 1000,
+    showOverlay: false,
+    // Alarm capture: window from lead before ALARM to lag after recovery
+    alarmLeadMs: 30 * 60 * 1000,
+    alarmLagMs: 15 * 60 * 1000,
+    historySize: 5,
+    // "relative" keeps rolling captures rolling when applied
+    defaultApplyMode: "absolute",
+    // Half-width of the window built around a single pasted timestamp
+    defaultPadMs: 15 * 60 * 1000,
+    // One of TimeKeeperTZ.DISPLAY_FORMATS
+    dateFormat: "ymd-slash",
+    // Ids from Settings.SERVICES; listed as disabled so new services start on
+    disabledServices: [],
+    // Turn off dashboard auto-refresh when a fixed window is applied
+    stopDashboardRefresh: true,
+  };
+
+  Settings.HISTORY_SIZE_MAX = 50;
+
+  /**
+   * Services capture / apply can be switched off for. "page-picker" is the
+   * DOM strategy for pages without a time in the URL.
+   */
+  Settings.SERVICES = [
+    { id: "cloudwatch-metrics", label: "CloudWatch Metrics" },
+    { id: "cloudwatch-logs-insights", label: "Logs Insights" },
+    { id: "cloudwatch-logs", label: "Log Events" },
+    { id: "cloudwatch-generic", label: "CloudWatch Home / Dashboards" },
+    { id: "cloudwatch-alarm", label: "CloudWatch Alarms" },
+    { id: "cloudwatch-app-signals", label: "Application Signals (services, SLOs)" },
+    { id: "cloudwatch-synthetics", label: "Synthetics canaries" },
+    { id: "xray", label: "X-Ray" },
+    { id: "cloudwatch-xray", label: "X-Ray in CloudWatch (trace map, traces)" },
+    { id: "cloudtrail", label: "CloudTrail" },
+    { id: "page-picker", label: "Other pages (date-range picker)" },
+  ];
+
+  Settings.isServiceEnabled = function (settings, serviceId) {
+    return (settings.disabledServices || []).indexOf(serviceId) < 0;
+  };
+
+  function _withDefaults(stored) {
+    return Object.assign({}, Settings.DEFAULTS, stored || {});
+  }
+
+  Settings.get = async function () {
+    var data = await chrome.storage.sync.get("settings");
+    return _withDefaults(data.settings);
+  };
+
+  Settings.set = async function (patch) {
+    var data = await chrome.storage.sync.get("settings");
+    var next = Object.assign({}, data.settings || {}, patch);
+    await chrome.storage.sync.set({ settings: next });
+    return _withDefaults(next);
+  };
+
+  /**
+   * Invoke callback with the merged settings whenever they change.
+   */
+  Settings.onChange = function (callback) {
+    chrome.storage.onChanged.addListener(function (changes, areaName) {
+      if (areaName === "sync" && changes.settings) {
+        callback(_withDefaults(changes.settings.newValue));
+      }
+    });
+  };
+
+  // Expose globally for content script, popup and service worker access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperSettings = Settings;
+  }
+})();
@@ -0,0 +1,1118 @@
+/**
+ * Time Core - AWS Console Time Keeper
+ *
+ * Pure service detection, time range parsing and injection for AWS Console
+ * URLs. Everything here works on URL strings, so the same logic serves the
+ * content script (window.location.href), pasted URLs in the popup and the
+ * Node test suite (tests/).
+ *
+ * Parsers take (url, options) where options is { timeZone?, now?, padMs? }:
+ *   timeZone - zone setting used for absolute strings without an offset
+ *   now      - epoch ms that relative ranges are resolved against
+ *   padMs    - half-width of the window captured around a single instant
+ *              (an X-Ray trace)
+ * and return { start, end, source, raw } or null.
+ *
+ * Injectors take (url, timeRange, options) and return { url, applyMode }
+ * with the range written in (see written), or null when the URL has
+ * nowhere to put it. Besides timeZone, options may carry:
+ *   stopAutoRefresh - turn off dashboard auto-refresh on absolute applies
+ *
+ * Depends on JSURL (lib/jsurl.js), TimeKeeperTZ (lib/timezone.js) and
+ * TimeKeeperEncoding (lib/time-encoding.js).
+ */
+(function () {
+  "use strict";
+
+  var Core = {};
+  var Enc = globalThis.TimeKeeperEncoding;
+
+  function currentTime(options) {
+    return (options && options.now) || Date.now();
+  }
+
+  function zoneOf(options) {
+    return (options && options.timeZone) || "UTC";
+  }
+
+  // ---------------------------------------------------------------------------
+  // Service Detection
+  // ---------------------------------------------------------------------------
+
+  function detectService(url) {
+    var loc;
+    try {
+      loc = new URL(url);
+    } catch (e) {
+      return "not-aws";
+    }
+    var pathname = loc.pathname;
+    var hash = loc.hash;
+
+    if (pathname.includes("/cloudwatch") && hash.includes("metricsV2")) {
+      return "cloudwatch-metrics";
+    }
+    if (pathname.includes("/cloudwatch") && hash.includes("logsV2:log-groups") && hash.includes("logs-insights")) {
+      return "cloudwatch-logs-insights";
+    }
+    // Broader match for Logs Insights (different URL patterns across regions)
+    // queryDetail may appear as literal or $3D-encoded
+    if (pathname.includes("/cloudwatch") && (hash.includes("logs-insights") || hash.includes("logsV2") && (hash.includes("queryDetail") || hash.includes("queryDetail$3D")))) {
+      return "cloudwatch-logs-insights";
+    }
+    // CloudWatch Log Events: logsV2:log-groups with $3Fstart$3D pattern
+    if (pathname.includes("/cloudwatch") && hash.includes("logsV2:log-groups") && (hash.includes("$3Fstart$3D") || hash.includes("?start="))) {
+      return "cloudwatch-logs";
+    }
+    if (pathname.includes("/xray") || pathname.includes("/x-ray")) {
+      return "xray";
+    }
+    // CloudTrail Event history: /cloudtrailv2/home#/events?StartTime=...
+    if (pathname.includes("/cloudtrail") && hash.includes("/events")) {
+      return "cloudtrail";
+    }
+    // X-Ray inside CloudWatch: trace map, traces and trace detail
+    // e.g. #xray:service-map/map?~(...), #xray:traces/1-..., #servicelens:map?~(...)
+    if (pathname.includes("/cloudwatch") && /^#(?:xray|servicelens):/.test(hash)) {
+      return "cloudwatch-xray";
+    }
+    // Application Signals services / SLOs and Synthetics canaries keep the
+    // range in the same JSURL state as generic pages, when they have one
+    if (pathname.includes("/cloudwatch") && /^#application-signals:/.test(hash)) {
+      return "cloudwatch-app-signals";
+    }
+    if (pathname.includes("/cloudwatch") && /^#synthetics:/.test(hash)) {
+      return "cloudwatch-synthetics";
+    }
+    // Alarm detail: #alarmsV2:alarm/<name> (no time in the URL; see lib/alarm-window.js)
+    if (pathname.includes("/cloudwatch") && /#alarmsV2:alarm\//.test(hash)) {
+      return "cloudwatch-alarm";
+    }
+    if (pathname.includes("/cloudwatch")) {
+      // Generic CloudWatch pages with JSURL state after '?'
+      // e.g. #home:?~(timeRange~1814400000)
+      //      #home:dashboards/ApplicationELB?~(timeRange~43200000)
+      if (hash.includes("?~(")) {
+        return "cloudwatch-generic";
+      }
+      return "cloudwatch-other";
+    }
+    if (loc.hostname.endsWith(".console.aws.amazon.com")) {
+      return "unknown";
+    }
+    return "not-aws";
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parsers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse an absolute time string to epoch ms. Strings without a 'Z' or
+   * offset suffix are read as wall-clock time in the given zone, mirroring
+   * how TimeKeeperEncoding.toConsoleTimeString writes them.
+   */
+  function parseTimeString(str, zone) {
+    if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+      return new Date(str).getTime();
+    }
+    var ms = globalThis.TimeKeeperTZ.wallTimeToEpoch(str, zone);
+    return isNaN(ms) ? new Date(str).getTime() : ms;
+  }
+
+  /**
+   * Convert relative duration string to absolute start/end.
+   */
+  function relativeToAbsolute(durationStr, options) {
+    var ms = Enc.parseDuration(durationStr.replace(/^-/, ""));
+    if (!ms) return null;
+    var now = currentTime(options);
+    return { start: now - ms, end: now };
+  }
+
+  /**
+   * CloudWatch Metrics parser.
+   * URL hash: #metricsV2:graph=~(...)
+   * The graph param is JSURL-encoded and contains start/end fields.
+   */
+  function parseCloudWatchMetrics(url, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var graphMatch = hash.match(/graph=([^&;]*)/);
+      if (!graphMatch) return null;
+
+      var graphStr = graphMatch[1];
+      var graphObj = globalThis.JSURL.tryParse(graphStr, null);
+      if (!graphObj) return null;
+
+      var result = { source: "CloudWatch Metrics" };
+
+      // Absolute time: start and end are ISO strings or epoch
+      if (graphObj.start && graphObj.end) {
+        var startVal = graphObj.start;
+        var endVal = graphObj.end;
+
+        // Check if relative duration (e.g., "-PT3H")
+        if (typeof startVal === "string" && startVal.startsWith("-P")) {
+          var range = relativeToAbsolute(startVal, options);
+          if (range) {
+            result.start = range.start;
+            result.end = range.end;
+            result.raw = { type: "relative", duration: startVal };
+          }
+        } else {
+          // Absolute values - could be ISO string or epoch ms
+          result.start = typeof startVal === "string" ? parseTimeString(startVal, zoneOf(options)) : startVal;
+          result.end = typeof endVal === "string" ? parseTimeString(endVal, zoneOf(options)) : endVal;
+          result.raw = { type: "absolute" };
+        }
+
+        if (result.start && result.end && !isNaN(result.start) && !isNaN(result.end)) {
+          return result;
+        }
+      }
+
+      // Try period-based (relative)
+      if (graphObj.period) {
+        var range2 = relativeToAbsolute(graphObj.period, options);
+        if (range2) {
+          return {
+            start: range2.start,
+            end: range2.end,
+            source: "CloudWatch Metrics",
+            raw: { type: "relative", duration: graphObj.period },
+          };
+        }
+      }
+
+      return null;
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Metrics parse error:", e);
+      return null;
+    }
+  }
+
+  // Format A: queryDetail=<$-encoded value>
+  // Format B: queryDetail$3D<raw JSURL>. Raw JSURL never contains '$' (it is
+  // written '!'), so the value ends at the next $-encoded delimiter, e.g.
+  // "...)$26tab$3Dlogs".
+  var QUERY_DETAIL_A = /queryDetail=([^&;]*)/;
+  var QUERY_DETAIL_B = /queryDetail\$3D([^&;$]*)/i;
+
+  /**
+   * Decode the Logs Insights queryDetail object in a URL hash.
+   * Returns { detail, format: "A" | "B" } or null.
+   */
+  function findQueryDetail(hash) {
+    var m = hash.match(QUERY_DETAIL_A);
+    var detail = m && Enc.decodeQueryDetailA(m[1]);
+    if (detail && typeof detail === "object") return { detail: detail, format: "A" };
+
+    m = hash.match(QUERY_DETAIL_B);
+    detail = m && Enc.decodeQueryDetailB(m[1]);
+    if (detail && typeof detail === "object") return { detail: detail, format: "B" };
+    return null;
+  }
+
+  /**
+   * CloudWatch Logs Insights parser.
+   * Two URL hash formats:
+   *   Format A: queryDetail=<$-encoded JSURL>  (= is literal, value is $→% encoded)
+   *   Format B: queryDetail$3D<raw JSURL>       (= is $3D-encoded, value is raw JSURL)
+   */
+  function parseCloudWatchLogsInsights(url, options) {
+    try {
+      var found = findQueryDetail(new URL(url).hash);
+      if (!found) return null;
+      var obj = found.detail;
+
+      var result = { source: "CloudWatch Logs Insights" };
+
+      // timeType: "RELATIVE" or "ABSOLUTE"
+      // Note: end can be 0 (meaning "now" in relative mode), so use != null instead of truthiness
+      if (obj.start != null && obj.end != null) {
+        if (obj.timeType === "RELATIVE" || (typeof obj.start === "number" && obj.start < 0)) {
+          // Relative: start is negative seconds from now
+          var startSec = typeof obj.start === "number" ? obj.start : parseInt(obj.start, 10);
+          var now = currentTime(options);
+          result.start = now + startSec * 1000;
+          result.end = now;
+          result.raw = { type: "relative", seconds: startSec };
+        } else {
+          // Absolute: epoch seconds
+          var s = typeof obj.start === "number" ? obj.start : parseInt(obj.start, 10);
+          var e = typeof obj.end === "number" ? obj.end : parseInt(obj.end, 10);
+          // If values are in seconds (< 10 billion), convert to ms
+          if (s < 1e12) s *= 1000;
+          if (e < 1e12) e *= 1000;
+          result.start = s;
+          result.end = e;
+          result.raw = { type: "absolute" };
+        }
+        return result;
+      }
+
+      // Check for editorString with time info
+      if (obj.unit && obj.value) {
+        // Custom relative format
+        var multipliers = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+        var mult = multipliers[obj.unit] || 1000;
+        var ms = parseInt(obj.value, 10) * mult;
+        var now2 = currentTime(options);
+        result.start = now2 - ms;
+        result.end = now2;
+        result.raw = { type: "relative", unit: obj.unit, value: obj.value };
+        return result;
+      }
+
+      return null;
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Logs Insights parse error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * X-Ray parser.
+   * URL query: ?timeRange=PT1H or ?timeRange=START~END
+   */
+  function parseXRay(url, options) {
+    try {
+      var loc = new URL(url);
+      var params = new URLSearchParams(loc.search);
+      var hash = loc.hash;
+
+      // Also check hash params (X-Ray sometimes uses hash-based routing)
+      var timeRange = params.get("timeRange");
+      if (!timeRange && hash) {
+        var hashMatch = hash.match(/timeRange=([^&]*)/);
+        if (hashMatch) timeRange = hashMatch[1];
+      }
+
+      if (!timeRange) return null;
+
+      var result = { source: "X-Ray" };
+
+      if (timeRange.includes("~")) {
+        // Absolute: START~END (ISO 8601 or epoch)
+        var parts = timeRange.split("~");
+        result.start = parseTimeString(parts[0], zoneOf(options));
+        result.end = parseTimeString(parts[1], zoneOf(options));
+        if (isNaN(result.start) || isNaN(result.end)) return null;
+        result.raw = { type: "absolute" };
+      } else {
+        // Relative duration (e.g., PT1H)
+        var range = relativeToAbsolute(timeRange, options);
+        if (!range) return null;
+        result.start = range.start;
+        result.end = range.end;
+        result.raw = { type: "relative", duration: timeRange };
+      }
+
+      return result;
+    } catch (e) {
+      console.warn("[TimeKeeper] X-Ray parse error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudWatch Log Events parser.
+   * Hash: #logsV2:log-groups/log-group/<group>/log-events/<stream>$3Fstart$3D<time>$26end$3D<time>
+   * Decoded: ?start=<ms>&end=<ms>
+   * start/end: negative = relative ms from now, large positive = epoch ms
+   */
+  function parseCloudWatchLogs(url, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      // Normalize $-encoded delimiters
+      var normalized = hash.replace(/\$3F/gi, "?").replace(/\$3D/gi, "=").replace(/\$26/gi, "&");
+
+      var startMatch = normalized.match(/[?&]start=(-?\d+)/);
+      if (!startMatch) return null;
+
+      var startVal = parseInt(startMatch[1], 10);
+      var endVal = null;
+      var endMatch = normalized.match(/[?&]end=(-?\d+)/);
+      if (endMatch) endVal = parseInt(endMatch[1], 10);
+
+      var result = { source: "CloudWatch Logs" };
+      var now = currentTime(options);
+
+      if (startVal < 0) {
+        // Relative: negative milliseconds from now
+        result.start = now + startVal;
+        result.end = endVal != null && endVal < 0 ? now + endVal : now;
+        result.raw = { type: "relative", startMs: startVal, endMs: endVal };
+      } else {
+        // Absolute: epoch milliseconds
+        result.start = startVal;
+        result.end = endVal != null ? endVal : now;
+        result.raw = { type: "absolute" };
+      }
+
+      if (isNaN(result.start) || isNaN(result.end)) return null;
+      return result;
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Logs parse error:", e);
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dashboard State
+  // ---------------------------------------------------------------------------
+
+  // Dashboards keep their display zone next to the range in the JSURL state:
+  // tz is "local", "UTC" or a fixed offset such as "+0900".
+  var DASHBOARD_OFFSET_RE = /^([+-])(\d{2}):?(\d{2})$/;
+  var OFFSET_SUFFIX_RE = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+  function isDashboardHash(prefix) {
+    return /dashboards[/:]/.test(prefix);
+  }
+
+  /**
+   * Offset in minutes for a dashboard tz value, or null for "local",
+   * missing or unrecognised values.
+   */
+  function dashboardOffsetMinutes(tz) {
+    if (tz === "UTC") return 0;
+    var m = DASHBOARD_OFFSET_RE.exec(tz || "");
+    if (!m) return null;
+    var minutes = parseInt(m[2], 10) * 60 + parseInt(m[3], 10);
+    return m[1] === "-" ? -minutes : minutes;
+  }
+
+  /**
+   * Dashboard tz value for writing a range in the zone setting. Named zones
+   * are pinned to their offset at the range start; a fixed offset is all
+   * the dashboard can express.
+   */
+  function dashboardTz(epochMs, zone) {
+    if (globalThis.TimeKeeperTZ.resolve(zone) === "UTC") return "UTC";
+    var offset = globalThis.TimeKeeperTZ.offsetMinutes(epochMs, zone);
+    return globalThis.TimeKeeperTZ.formatOffset(offset).replace(":", "");
+  }
+
+  /**
+   * Read a start/end value from a timeRange object: epoch ms pass through,
+   * strings without a suffix are wall-clock time in the page's tz (falling
+   * back to the zone setting).
+   */
+  function parseStateTime(value, tz, options) {
+    if (typeof value !== "string") return value;
+    var offset = dashboardOffsetMinutes(tz);
+    if (offset !== null && !OFFSET_SUFFIX_RE.test(value)) {
+      return parseTimeString(value + globalThis.TimeKeeperTZ.formatOffset(offset));
+    }
+    return parseTimeString(value, tz === "local" ? "local" : zoneOf(options));
+  }
+
+  /**
+   * Absolute { start, end } in the shape the page already used: epoch ms,
+   * UTC ISO strings, or wall-clock strings in the page's tz (the zone
+   * setting when it has none).
+   */
+  function stateTimeRange(previous, timeRange, tz, options) {
+    if (typeof previous.start === "number") {
+      return { start: timeRange.start, end: timeRange.end };
+    }
+    if (/Z$/i.test(previous.start)) {
+      return { start: new Date(timeRange.start).toISOString(), end: new Date(timeRange.end).toISOString() };
+    }
+    var offset = dashboardOffsetMinutes(tz);
+    function wallTime(epochMs) {
+      if (offset === null) return Enc.toConsoleTimeString(epochMs, tz === "local" ? "local" : zoneOf(options));
+      return globalThis.TimeKeeperTZ.formatWallTime(epochMs + offset * 60000, "UTC") + ".000";
+    }
+    return { start: wallTime(timeRange.start), end: wallTime(timeRange.end) };
+  }
+
+  function isRangeObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value) && value.start != null && value.end != null;
+  }
+
+  /**
+   * CloudWatch Generic parser.
+   * Many CloudWatch pages use hash format: #<section>:?~(<jsurl-state>)
+   * e.g. #home:?~(timeRange~1814400000)
+   *      #home:?~(timeRange~181440000       ← no closing paren
+   *      #home:?~(timeRange~(start~'2024-01-01T00:00:00Z~end~'2024-01-02T00:00:00Z))
+   *      #dashboards/dashboard/Prod?~(timeRange~(start~'2024-01-01T09:00:00.000~end~'...)~tz~'+0900)
+   * timeRange as number = relative duration in milliseconds from now.
+   * timeRange as array / object = absolute start/end; object strings
+   * without a suffix are read in the dashboard's tz.
+   */
+  function parseCloudWatchGeneric(url, options) {
+    try {
+      var hash = new URL(url).hash;
+      // Find '?~(' to locate JSURL state in hash
+      // e.g. #home:?~(...)  or  #home:dashboards/Foo?~(...)
+      var qIdx = hash.indexOf("?~(");
+      if (qIdx < 0) return null;
+      var source = isDashboardHash(hash.substring(0, qIdx)) ? "CloudWatch Dashboard" : "CloudWatch";
+      return parseStateTimeRange(hash, source, options);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Generic parse error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Range from the JSURL state after '?~(' in a hash: state.timeRange as a
+   * number, [start, end] or { start, end } (see parseCloudWatchGeneric).
+   * Returns null when the hash has no state or no timeRange in it.
+   */
+  function parseStateTimeRange(hash, source, options) {
+    var qIdx = hash.indexOf("?~(");
+    if (qIdx < 0) return null;
+    var stateStr = hash.substring(qIdx + 1); // everything after '?'
+    var stateObj = globalThis.JSURL.tryParse(stateStr, null);
+    if (!stateObj || stateObj.timeRange === undefined) return null;
+
+    var tr = stateObj.timeRange;
+    var result = { source: source };
+
+    if (typeof tr === "number") {
+      // Relative: milliseconds duration from now
+      var now = currentTime(options);
+      result.start = now - tr;
+      result.end = now;
+      result.raw = { type: "relative", durationMs: tr };
+    } else if (Array.isArray(tr) && tr.length === 2) {
+      // Absolute: [startEpochMs, endEpochMs]
+      result.start = tr[0];
+      result.end = tr[1];
+      result.raw = { type: "absolute-array" };
+    } else if (isRangeObject(tr)) {
+      // Absolute: { start, end } as ISO strings or epoch
+      result.start = parseStateTime(tr.start, stateObj.tz, options);
+      result.end = parseStateTime(tr.end, stateObj.tz, options);
+      result.raw = { type: "absolute" };
+    } else {
+      return null;
+    }
+
+    if (isNaN(result.start) || isNaN(result.end)) return null;
+    return result;
+  }
+
+  /**
+   * Application Signals parser (service and SLO pages).
+   * e.g. #application-signals:services/checkout?~(timeRange~10800000)
+   *      #application-signals:slos/checkout-latency?~(timeRange~(~1771894800000~1771898400000))
+   * Same JSURL state as the generic pages; without it the page shows its
+   * default window, which is not in the URL.
+   */
+  function parseApplicationSignals(url, options) {
+    try {
+      return parseStateTimeRange(new URL(url).hash, "Application Signals", options);
+    } catch (e) {
+      console.warn("[TimeKeeper] Application Signals parse error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Synthetics parser (canary list and detail pages).
+   * e.g. #synthetics:canary/detail/checkout-flow?~(timeRange~3600000)
+   * Same JSURL state as the generic pages. A single run's time is only on
+   * the page; see lib/canary-run.js.
+   */
+  function parseSynthetics(url, options) {
+    try {
+      return parseStateTimeRange(new URL(url).hash, "Synthetics", options);
+    } catch (e) {
+      console.warn("[TimeKeeper] Synthetics parse error:", e);
+      return null;
+    }
+  }
+
+  // X-Ray trace ID: 1-<start time, 8 hex digits of epoch seconds>-<24 hex>
+  var TRACE_ID_RE = /\btraces\/(1-([0-9a-f]{8})-[0-9a-f]{24})\b/i;
+  var DEFAULT_TRACE_PAD_MS = 15 * 60 * 1000;
+
+  function traceMapState(hash) {
+    var qIdx = hash.indexOf("?~(");
+    return qIdx < 0 ? null : globalThis.JSURL.tryParse(hash.substring(qIdx + 1), null);
+  }
+
+  /**
+   * X-Ray in CloudWatch parser (trace map, traces, trace detail).
+   * Hash: #xray:<view>?~(<jsurl-state>) or #servicelens:<view>?~(...), with
+   * the range in state.context.timeRange:
+   *   (delta~<ms>)                      = the last <ms>
+   *   (end~'<ISO>~start~'<ISO>)          = absolute
+   * e.g. #servicelens:service-map/map?~(query~()~context~(timeRange~(delta~21600000)))
+   * A trace detail view (#xray:traces/<trace id>) is captured as a window
+   * centred on the trace's start, which the trace ID encodes, whatever the
+   * context says.
+   */
+  function parseCloudWatchXRay(url, options) {
+    try {
+      var hash = new URL(url).hash;
+
+      var trace = TRACE_ID_RE.exec(hash);
+      if (trace) {
+        var at = parseInt(trace[2], 16) * 1000;
+        var pad = (options && options.padMs) || DEFAULT_TRACE_PAD_MS;
+        return {
+          source: "X-Ray Trace",
+          start: at - pad,
+          end: at + pad,
+          raw: { type: "absolute", traceId: trace[1], anchor: at },
+        };
+      }
+
+      var state = traceMapState(hash);
+      var tr = state && state.context && state.context.timeRange;
+      if (!tr) return null;
+
+      var result = { source: "X-Ray (CloudWatch)" };
+      if (typeof tr.delta === "number") {
+        var now = currentTime(options);
+        result.start = now - tr.delta;
+        result.end = now;
+        result.raw = { type: "relative", durationMs: tr.delta };
+      } else if (isRangeObject(tr)) {
+        result.start = parseStateTime(tr.start, null, options);
+        result.end = parseStateTime(tr.end, null, options);
+        result.raw = { type: "absolute" };
+      } else {
+        return null;
+      }
+
+      if (isNaN(result.start) || isNaN(result.end)) return null;
+      return result;
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch X-Ray parse error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudTrail Event history parser.
+   * Hash route: #/events?StartTime=<ISO>&EndTime=<ISO>&<other filters>
+   * Times are ISO 8601 in UTC. Without both params the page shows its
+   * default window, which is not recorded in the URL.
+   */
+  function parseCloudTrail(url, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var qIdx = hash.indexOf("?");
+      if (qIdx < 0) return null;
+
+      var params = new URLSearchParams(hash.substring(qIdx + 1));
+      var startVal = params.get("StartTime");
+      var endVal = params.get("EndTime");
+      if (!startVal || !endVal) return null;
+
+      var result = {
+        source: "CloudTrail",
+        start: parseTimeString(startVal, zoneOf(options)),
+        end: parseTimeString(endVal, zoneOf(options)),
+        raw: { type: "absolute" },
+      };
+
+      if (isNaN(result.start) || isNaN(result.end)) return null;
+      return result;
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudTrail parse error:", e);
+      return null;
+    }
+  }
+
+  var PARSERS = {
+    "cloudwatch-metrics": parseCloudWatchMetrics,
+    "cloudwatch-logs-insights": parseCloudWatchLogsInsights,
+    "cloudwatch-logs": parseCloudWatchLogs,
+    "cloudwatch-generic": parseCloudWatchGeneric,
+    "xray": parseXRay,
+    "cloudtrail": parseCloudTrail,
+    "cloudwatch-xray": parseCloudWatchXRay,
+    "cloudwatch-app-signals": parseApplicationSignals,
+    "cloudwatch-synthetics": parseSynthetics,
+  };
+
+  /**
+   * Detect the service of a console URL and parse its time range.
+   * Returns { service, timeRange } where timeRange is null when the URL
+   * carries no parsable time.
+   */
+  function parseUrl(url, options) {
+    var service = detectService(url);
+    var parser = PARSERS[service];
+    return { service: service, timeRange: parser ? parser(url, options) : null };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Injectors
+  // ---------------------------------------------------------------------------
+
+  function withHash(loc, hash) {
+    loc.hash = hash;
+    return loc.toString();
+  }
+
+  /**
+   * An injector's result: the new URL and the mode the range went in as,
+   * "relative" (a rolling window) or "absolute". Injectors for pages that
+   * only take fixed windows report "absolute" themselves.
+   */
+  function written(url, timeRange) {
+    return { url: url, applyMode: Enc.relativeDurationMs(timeRange) ? "relative" : "absolute" };
+  }
+
+  /**
+   * CloudWatch Metrics injector: rewrites start/end in the graph param and
+   * moves the graph period to one that suits the new window (see
+   * TimeKeeperEncoding.metricsPeriod).
+   */
+  function injectCloudWatchMetrics(url, timeRange, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var graphMatch = hash.match(/graph=([^&;]*)/);
+      if (!graphMatch) return null;
+
+      var graphObj = globalThis.JSURL.tryParse(graphMatch[1], null);
+      if (!graphObj) return null;
+
+      // Relative ISO 8601 duration back from now, or absolute time
+      var times = Enc.metricsTimes(timeRange);
+      graphObj.start = times.start;
+      graphObj.end = times.end;
+
+      var current = graphObj.period != null ? graphObj.period : Enc.METRICS_DEFAULT_PERIOD;
+      var period = Enc.metricsPeriod(timeRange, current, currentTime(options));
+      if (period !== current) graphObj.period = period;
+
+      var newGraphStr = globalThis.JSURL.stringify(graphObj);
+      return written(withHash(loc, hash.replace(/graph=[^&;]*/, function () {
+        return "graph=" + newGraphStr;
+      })), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Metrics inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudWatch Logs Insights injector.
+   * Keeps the URL's format: Format A (queryDetail=<$-encoded>) or
+   * Format B (queryDetail$3D<raw JSURL>). Only start, end and timeType
+   * change; the query (editorString), log groups (source) and every other
+   * field and hash param are written back as they were.
+   */
+  function injectCloudWatchLogsInsights(url, timeRange) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var found = findQueryDetail(hash);
+      if (!found) return null;
+      var obj = found.detail;
+
+      // Relative (negative seconds, end 0 = now) or absolute (epoch seconds)
+      var times = Enc.logsInsightsTimes(timeRange);
+      obj.start = times.start;
+      obj.end = times.end;
+      obj.timeType = times.timeType;
+
+      // Replacements go through functions so '$' in the values stays literal
+      if (found.format === "B") {
+        var rawDetail = Enc.encodeQueryDetailB(obj);
+        return written(withHash(loc, hash.replace(QUERY_DETAIL_B, function () {
+          return "queryDetail$3D" + rawDetail;
+        })), timeRange);
+      }
+      var encodedDetail = Enc.encodeQueryDetailA(obj);
+      return written(withHash(loc, hash.replace(QUERY_DETAIL_A, function () {
+        return "queryDetail=" + encodedDetail;
+      })), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Logs Insights inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudWatch Log Events injector. Relative ranges drop the end param
+   * (end defaults to now).
+   */
+  function injectCloudWatchLogs(url, timeRange) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var times = Enc.logEventsTimes(timeRange);
+      var startMs = times.start;
+      var endMs = times.end;
+
+      // Detect encoding style: $3F/$3D or literal ?/=
+      if (hash.includes("$3F") || hash.includes("$3D")) {
+        if (!/\$3Fstart\$3D-?\d+/i.test(hash)) return null;
+        hash = hash.replace(/\$3Fstart\$3D-?\d+/i, "$$3Fstart$$3D" + startMs);
+        if (endMs == null) {
+          hash = hash.replace(/\$26end\$3D-?\d+/i, "");
+        } else if (/\$26end\$3D-?\d+/i.test(hash)) {
+          hash = hash.replace(/\$26end\$3D-?\d+/i, "$$26end$$3D" + endMs);
+        } else {
+          hash = hash.replace(/(\$3Fstart\$3D-?\d+)/i, "$1$$26end$$3D" + endMs);
+        }
+        return written(withHash(loc, hash), timeRange);
+      }
+
+      if (!/[?&]start=-?\d+/.test(hash)) return null;
+      hash = hash.replace(/([?&])start=-?\d+/, "$1start=" + startMs);
+      if (endMs == null) {
+        hash = hash.replace(/&end=-?\d+/, "");
+      } else if (/[?&]end=-?\d+/.test(hash)) {
+        hash = hash.replace(/([?&])end=-?\d+/, "$1end=" + endMs);
+      } else {
+        hash = hash.replace(/(\?start=-?\d+)/, "$1&end=" + endMs);
+      }
+      return written(withHash(loc, hash), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Logs inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * X-Ray injector: sets timeRange in the query, or in the hash when the
+   * page keeps it there.
+   */
+  function injectXRay(url, timeRange) {
+    try {
+      // Relative ISO 8601 duration (e.g., PT1H) or START~END
+      var newTimeRange = Enc.xrayTimeRange(timeRange);
+      var loc = new URL(url);
+
+      if (loc.searchParams.has("timeRange")) {
+        loc.searchParams.set("timeRange", newTimeRange);
+        return written(loc.toString(), timeRange);
+      }
+
+      var hash = loc.hash;
+      if (hash.includes("timeRange=")) {
+        return written(withHash(loc, hash.replace(/timeRange=[^&]*/, "timeRange=" + newTimeRange)), timeRange);
+      }
+
+      // Append timeRange if not present
+      if (hash) {
+        return written(withHash(loc, hash + "&timeRange=" + newTimeRange), timeRange);
+      }
+      loc.searchParams.set("timeRange", newTimeRange);
+      return written(loc.toString(), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] X-Ray inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudWatch Generic injector: sets timeRange in the hash JSURL state,
+   * keeping the page's own representation for absolute ranges. On
+   * dashboards an absolute range also moves an existing tz to the zone
+   * setting and, with options.stopAutoRefresh, turns auto-refresh off so
+   * the window stays put.
+   * Other state (period, refresh interval, anything else) is left as it
+   * was. Per-widget time overrides are not in the URL at all: they are
+   * saved in the dashboard definition (a widget's own start / end
+   * properties), and the console keeps them over the dashboard range, so a
+   * URL apply can't and shouldn't change them.
+   */
+  function injectCloudWatchGeneric(url, timeRange, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var qIdx = hash.indexOf("?~(");
+      if (qIdx < 0) return null;
+
+      var prefix = hash.substring(0, qIdx + 1); // everything up to and including '?'
+      var stateObj = globalThis.JSURL.tryParse(hash.substring(qIdx + 1), null) || {};
+
+      var relative = !!Enc.relativeDurationMs(timeRange);
+      if (!relative && isDashboardHash(prefix)) {
+        if (stateObj.tz !== undefined) stateObj.tz = dashboardTz(timeRange.start, zoneOf(options));
+        if (options && options.stopAutoRefresh) stateObj.autoRefresh = false;
+      }
+
+      setStateTimeRange(stateObj, timeRange, options);
+      return written(withHash(loc, prefix + globalThis.JSURL.stringify(stateObj)), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch Generic inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Write a range into state.timeRange, keeping an absolute { start, end }
+   * object in its shape; otherwise a relative ms duration or
+   * [startMs, endMs].
+   */
+  function setStateTimeRange(stateObj, timeRange, options) {
+    if (!Enc.relativeDurationMs(timeRange) && isRangeObject(stateObj.timeRange)) {
+      stateObj.timeRange = stateTimeRange(stateObj.timeRange, timeRange, stateObj.tz, options);
+    } else {
+      stateObj.timeRange = Enc.genericTimeRange(timeRange);
+    }
+  }
+
+  /**
+   * Injector for pages that keep the range in a generic-style JSURL state
+   * but open without one (Application Signals, Synthetics): the state is
+   * added after the route when missing.
+   */
+  function injectStateTimeRange(url, timeRange, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var qIdx = hash.indexOf("?");
+      var route = qIdx >= 0 ? hash.substring(0, qIdx) : hash;
+      var stateObj = (qIdx >= 0 && globalThis.JSURL.tryParse(hash.substring(qIdx + 1), null)) || {};
+
+      setStateTimeRange(stateObj, timeRange, options);
+      return written(withHash(loc, route + "?" + globalThis.JSURL.stringify(stateObj)), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] Application Signals / Synthetics inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * X-Ray in CloudWatch injector: sets state.context.timeRange, adding the
+   * JSURL state when the view has none. The query (filters, groups) and the
+   * trace being viewed are kept; an absolute start/end object keeps its
+   * shape.
+   */
+  function injectCloudWatchXRay(url, timeRange, options) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash;
+      var qIdx = hash.indexOf("?");
+      var route = qIdx >= 0 ? hash.substring(0, qIdx) : hash;
+      var state = traceMapState(hash) || {};
+      if (!state.context || typeof state.context !== "object") state.context = {};
+
+      var previous = state.context.timeRange;
+      state.context.timeRange = isRangeObject(previous) && !Enc.relativeDurationMs(timeRange)
+        ? stateTimeRange(previous, timeRange, null, options)
+        : Enc.traceMapTimeRange(timeRange);
+
+      return written(withHash(loc, route + "?" + globalThis.JSURL.stringify(state)), timeRange);
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudWatch X-Ray inject error:", e);
+      return null;
+    }
+  }
+
+  /**
+   * CloudTrail Event history injector.
+   * Other filters in the hash route (EventName, ReadOnly, ...) are kept.
+   * Event history only accepts absolute windows: relative ranges are written
+   * as their fixed start/end and reported as "absolute".
+   */
+  function injectCloudTrail(url, timeRange) {
+    try {
+      var loc = new URL(url);
+      var hash = loc.hash.replace(/^#/, "");
+      var qIdx = hash.indexOf("?");
+      var route = qIdx >= 0 ? hash.substring(0, qIdx) : hash;
+      var params = new URLSearchParams(qIdx >= 0 ? hash.substring(qIdx + 1) : "");
+
+      var times = Enc.cloudTrailTimes(timeRange);
+      params.set("StartTime", times.StartTime);
+      params.set("EndTime", times.EndTime);
+
+      return { url: withHash(loc, route + "?" + params.toString()), applyMode: "absolute" };
+    } catch (e) {
+      console.warn("[TimeKeeper] CloudTrail inject error:", e);
+      return null;
+    }
+  }
+
+  var INJECTORS = {
+    "cloudwatch-metrics": injectCloudWatchMetrics,
+    "cloudwatch-logs-insights": injectCloudWatchLogsInsights,
+    "cloudwatch-logs": injectCloudWatchLogs,
+    "cloudwatch-generic": injectCloudWatchGeneric,
+    "xray": injectXRay,
+    "cloudtrail": injectCloudTrail,
+    "cloudwatch-xray": injectCloudWatchXRay,
+    "cloudwatch-app-signals": injectStateTimeRange,
+    "cloudwatch-synthetics": injectStateTimeRange,
+  };
+
+  /**
+   * Write a time range into a console URL of any supported service.
+   * Returns { url, applyMode } with the mode the page was given (see
+   * written), or null when the URL's service or shape has no place for a
+   * time range.
+   */
+  function inject(url, timeRange, options) {
+    var injector = INJECTORS[detectService(url)];
+    return injector ? injector(url, timeRange, options) : null;
+  }
+
+  /**
+   * The URL from inject, or null.
+   */
+  function injectUrl(url, timeRange, options) {
+    var result = inject(url, timeRange, options);
+    return result ? result.url : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Region / Account
+  // ---------------------------------------------------------------------------
+
+  var REGION_RE = /^[a-z]{2}(?:-gov|-iso[a-z]*)?-[a-z]+-\d$/;
+  var CONSOLE_HOST_RE = /(?:^|\.)console\.aws\.amazon\.com$/;
+
+  function hostLabels(loc) {
+    return loc.hostname.replace(CONSOLE_HOST_RE, "").split(".").filter(Boolean);
+  }
+
+  /**
+   * Where a console URL points: { region, account }, null for whatever the
+   * URL doesn't say, or null for non-console URLs. The region comes from
+   * ?region= or the host ("ap-northeast-1.console..."); the account from a
+   * multi-session host ("123456789012-abcd1234.ap-northeast-1.console...").
+   */
+  function consoleLocation(url) {
+    var loc;
+    try {
+      loc = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    if (!CONSOLE_HOST_RE.test(loc.hostname)) return null;
+
+    var labels = hostLabels(loc);
+    var hostRegion = labels.filter(function (label) { return REGION_RE.test(label); })[0];
+    var account = /^(\d{12})(?:-|$)/.exec(labels[0] || "");
+    return {
+      region: loc.searchParams.get("region") || hostRegion || null,
+      account: account ? account[1] : null,
+    };
+  }
+
+  /**
+   * The same view in another region: rewrites the host's region label, the
+   * region query param and region fields in the hash's view state (e.g. the
+   * Metrics graph's region~'...), leaving the time range and everything
+   * else alone. Returns null for non-console URLs or unknown region names.
+   */
+  function withRegion(url, region) {
+    var from = consoleLocation(url);
+    if (!from || !REGION_RE.test(region)) return null;
+
+    var loc = new URL(url);
+    var labels = hostLabels(loc);
+    var hostHasRegion = labels.some(function (label) { return REGION_RE.test(label); });
+    if (hostHasRegion) {
+      loc.hostname = labels.map(function (label) {
+        return REGION_RE.test(label) ? region : label;
+      }).join(".") + ".console.aws.amazon.com";
+    }
+
+    // Edit the query as text: URLSearchParams would re-encode '~' and ':'
+    // in values such as X-Ray's START~END
+    if (/[?&]region=/.test(loc.search)) {
+      loc.search = loc.search.replace(/([?&]region=)[^&]*/, function (_m, key) {
+        return key + region;
+      });
+    } else if (!hostHasRegion) {
+      loc.search = (loc.search ? loc.search + "&" : "?") + "region=" + region;
+    }
+
+    if (from.region) {
+      // JSURL string marker as written raw (') or $-encoded ($27, Format A)
+      var escaped = from.region.replace(/-/g, "\\-");
+      var field = new RegExp("(region~(?:'|\\$27))" + escaped + "(?![\\w-])", "g");
+      loc.hash = loc.hash.replace(field, function (_m, key) {
+        return key + region;
+      });
+    }
+    return loc.toString();
+  }
+
+  /**
+   * How a tab differs from where a range was captured:
+   * [{ key: "region" | "account", captured, tab }]. Empty when they match
+   * or either side doesn't say.
+   */
+  function originMismatch(timeRange, url) {
+    var here = consoleLocation(url) || {};
+    return ["region", "account"].filter(function (key) {
+      return timeRange && timeRange[key] && here[key] && timeRange[key] !== here[key];
+    }).map(function (key) {
+      return { key: key, captured: timeRange[key], tab: here[key] };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Range Identity
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Identity of a range for linked-tab sync. Rolling windows compare by
+   * length (their ends move with "now"); fixed windows by their ends to the
+   * second, since Logs Insights keeps only seconds.
+   */
+  function syncKey(timeRange) {
+    if (!timeRange) return null;
+    var relMs = Enc.relativeDurationMs(Object.assign({}, timeRange, { applyMode: "relative" }));
+    if (relMs) return "relative:" + Math.round(relMs / 1000);
+    return "absolute:" + Math.floor(timeRange.start / 1000) + ":" + Math.floor(timeRange.end / 1000);
+  }
+
+  Core.detectService = detectService;
+  Core.parseTimeString = parseTimeString;
+  Core.relativeToAbsolute = relativeToAbsolute;
+  Core.parseCloudWatchMetrics = parseCloudWatchMetrics;
+  Core.parseCloudWatchLogsInsights = parseCloudWatchLogsInsights;
+  Core.parseCloudWatchLogs = parseCloudWatchLogs;
+  Core.parseCloudWatchGeneric = parseCloudWatchGeneric;
+  Core.parseXRay = parseXRay;
+  Core.parseCloudTrail = parseCloudTrail;
+  Core.parseCloudWatchXRay = parseCloudWatchXRay;
+  Core.parseApplicationSignals = parseApplicationSignals;
+  Core.parseSynthetics = parseSynthetics;
+  Core.parseUrl = parseUrl;
+  Core.injectCloudWatchMetrics = injectCloudWatchMetrics;
+  Core.injectCloudWatchLogsInsights = injectCloudWatchLogsInsights;
+  Core.injectCloudWatchLogs = injectCloudWatchLogs;
+  Core.injectCloudWatchGeneric = injectCloudWatchGeneric;
+  Core.injectXRay = injectXRay;
+  Core.injectCloudTrail = injectCloudTrail;
+  Core.injectCloudWatchXRay = injectCloudWatchXRay;
+  Core.injectStateTimeRange = injectStateTimeRange;
+  Core.inject = inject;
+  Core.injectUrl = injectUrl;
+  Core.syncKey = syncKey;
+  Core.consoleLocation = consoleLocation;
+  Core.withRegion = withRegion;
+  Core.originMismatch = originMismatch;
+
+  /**
+   * The Logs Insights queryDetail object in a console URL, or null.
+   */
+  Core.queryDetail = function (url) {
+    try {
+      var found = findQueryDetail(new URL(url).hash);
+      return found ? found.detail : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // Expose globally for content script and popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperCore = Core;
+  }
+})();
@@ -0,0 +1,286 @@
+/**
+ * Time Encodings - AWS Console Time Keeper
+ *
+ * The per-service ways a time range is written into AWS Console URLs,
+ * shared by the content script injectors and the deep-link builder.
+ * See docs/url-patterns.md for the patterns themselves.
+ *
+ * Depends on JSURL (lib/jsurl.js) and TimeKeeperTZ (lib/timezone.js).
+ */
+(function () {
+  "use strict";
+
+  var Enc = {};
+
+  // ---------------------------------------------------------------------------
+  // Durations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse ISO 8601 duration (e.g., PT3H, PT1H30M, P1D) to milliseconds.
+   */
+  Enc.parseDuration = function (dur) {
+    if (!dur) return null;
+    var match = dur.match(/^-?P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
+    if (!match) return null;
+    var days = parseInt(match[1] || "0", 10);
+    var hours = parseInt(match[2] || "0", 10);
+    var minutes = parseInt(match[3] || "0", 10);
+    var seconds = parseInt(match[4] || "0", 10);
+    return (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  };
+
+  /**
+   * Format milliseconds as an ISO 8601 duration (e.g., 10800000 → "PT3H").
+   * Days are folded into hours, which is how the AWS Console writes them.
+   */
+  Enc.toISODuration = function (ms) {
+    var totalSeconds = Math.round(ms / 1000);
+    var hours = Math.floor(totalSeconds / 3600);
+    var minutes = Math.floor((totalSeconds % 3600) / 60);
+    var seconds = totalSeconds % 60;
+    var s = "PT";
+    if (hours > 0) s += hours + "H";
+    if (minutes > 0) s += minutes + "M";
+    if (seconds > 0 || s === "PT") s += seconds + "S";
+    return s;
+  };
+
+  /**
+   * Rolling window length (ms) to write for a saved range, or null when it
+   * should be written as absolute times. Only ranges saved with
+   * applyMode "relative" whose capture was relative (ending now) qualify.
+   */
+  Enc.relativeDurationMs = function (timeRange) {
+    if (timeRange.applyMode !== "relative") return null;
+    var raw = timeRange.raw;
+    if (!raw || raw.type !== "relative") return null;
+
+    var ms = null;
+    if (raw.duration) {
+      ms = Enc.parseDuration(raw.duration.replace(/^-/, ""));
+    } else if (raw.seconds != null) {
+      ms = Math.abs(raw.seconds) * 1000;
+    } else if (raw.durationMs != null) {
+      ms = raw.durationMs;
+    } else if (raw.startMs != null) {
+      // Log Events windows that end before "now" have no rolling equivalent
+      if (raw.endMs != null && raw.endMs < 0) return null;
+      ms = Math.abs(raw.startMs);
+    } else if (raw.unit && raw.value) {
+      var multipliers = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+      ms = parseInt(raw.value, 10) * (multipliers[raw.unit] || 1000);
+    }
+
+    return ms > 0 ? ms : null;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Absolute Time Strings
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Format epoch ms as ISO-like datetime string in the given zone setting.
+   * Only UTC gets an explicit 'Z' suffix; other zones give wall-clock time,
+   * which the console reads in its own display zone. Use a zone other
+   * than UTC only where the page says which zone its times are in
+   * (dashboards with a tz) or for the date-range picker's inputs.
+   * e.g. "2025-02-26T09:30:00.000" / "2025-02-26T00:30:00.000Z"
+   */
+  Enc.toConsoleTimeString = function (epochMs, zone) {
+    var s = globalThis.TimeKeeperTZ.formatWallTime(epochMs, zone) + ".000";
+    return globalThis.TimeKeeperTZ.resolve(zone) === "UTC" ? s + "Z" : s;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Per-Service Time Values
+  // ---------------------------------------------------------------------------
+
+  /**
+   * CloudWatch Metrics graph start/end: "-PT3H" / "P0D" or absolute UTC
+   * strings. The graph has no zone of its own, so absolute times carry 'Z'
+   * and mean the same instant whatever the console's display zone is.
+   */
+  Enc.metricsTimes = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) {
+      return { start: "-" + Enc.toISODuration(relMs), end: "P0D" };
+    }
+    return {
+      start: Enc.toConsoleTimeString(timeRange.start, "UTC"),
+      end: Enc.toConsoleTimeString(timeRange.end, "UTC"),
+    };
+  };
+
+  // CloudWatch keeps 1-minute data for 15 days, 5-minute data for 63 days
+  // and 1-hour data for 455 days.
+  var DAY_MS = 24 * 60 * 60 * 1000;
+  Enc.METRICS_RETENTION = [
+    { periodSec: 60, maxAgeMs: 15 * DAY_MS },
+    { periodSec: 300, maxAgeMs: 63 * DAY_MS },
+    { periodSec: 3600, maxAgeMs: 455 * DAY_MS },
+  ];
+  // Most points the console draws per line before it refuses the graph
+  Enc.METRICS_MAX_DATAPOINTS = 1440;
+  // Periods offered by the console's period picker
+  var METRICS_PERIODS = [60, 300, 900, 3600, 21600, 86400];
+  // Fewer points than this and a kept period is too coarse for the window
+  var METRICS_MIN_DATAPOINTS = 10;
+  // What the console graphs at when the graph state has no period
+  Enc.METRICS_DEFAULT_PERIOD = 300;
+
+  /**
+   * Finest period (seconds) CloudWatch still holds for data from startMs,
+   * or null once even hourly data has expired.
+   */
+  Enc.metricsResolution = function (startMs, now) {
+    var age = now - startMs;
+    var tier = Enc.METRICS_RETENTION.filter(function (t) { return age <= t.maxAgeMs; })[0];
+    return tier ? tier.periodSec : null;
+  };
+
+  /**
+   * Graph period (seconds) for a range: currentPeriod when it still suits
+   * the window, otherwise the smallest console period that has data that
+   * far back and stays under the data-point limit.
+   */
+  Enc.metricsPeriod = function (timeRange, currentPeriod, now) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    var durationSec = (relMs || timeRange.end - timeRange.start) / 1000;
+    var startMs = relMs ? now - relMs : timeRange.start;
+    var finest = Enc.metricsResolution(startMs, now) || Enc.METRICS_RETENTION[Enc.METRICS_RETENTION.length - 1].periodSec;
+    var minPeriod = Math.max(finest, durationSec / Enc.METRICS_MAX_DATAPOINTS);
+
+    if (currentPeriod >= minPeriod && durationSec / currentPeriod >= METRICS_MIN_DATAPOINTS) {
+      return currentPeriod;
+    }
+    return METRICS_PERIODS.filter(function (p) { return p >= minPeriod; })[0] || METRICS_PERIODS[METRICS_PERIODS.length - 1];
+  };
+
+  /**
+   * Logs Insights queryDetail start/end/timeType: negative seconds with
+   * end 0 (= now), or epoch seconds.
+   */
+  Enc.logsInsightsTimes = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) {
+      return { start: -Math.round(relMs / 1000), end: 0, timeType: "RELATIVE" };
+    }
+    return {
+      start: Math.floor(timeRange.start / 1000),
+      end: Math.floor(timeRange.end / 1000),
+      timeType: "ABSOLUTE",
+    };
+  };
+
+  /**
+   * Log Events start/end: negative ms with no end (= now), or epoch ms.
+   */
+  Enc.logEventsTimes = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) {
+      return { start: -relMs, end: null };
+    }
+    return { start: timeRange.start, end: timeRange.end };
+  };
+
+  /**
+   * CloudWatch generic timeRange: ms duration (relative) or
+   * [startMs, endMs] — matches CloudWatch's absolute time URL format.
+   */
+  Enc.genericTimeRange = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) return relMs;
+    return [timeRange.start, timeRange.end];
+  };
+
+  /**
+   * X-Ray timeRange param: "PT1H" or "START~END" in UTC, like Metrics.
+   */
+  Enc.xrayTimeRange = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) return Enc.toISODuration(relMs);
+    return Enc.toConsoleTimeString(timeRange.start, "UTC") + "~" + Enc.toConsoleTimeString(timeRange.end, "UTC");
+  };
+
+  /**
+   * X-Ray in CloudWatch context.timeRange: { delta: ms } (relative) or
+   * ISO start/end in UTC.
+   */
+  Enc.traceMapTimeRange = function (timeRange) {
+    var relMs = Enc.relativeDurationMs(timeRange);
+    if (relMs) return { delta: relMs };
+    return {
+      start: new Date(timeRange.start).toISOString(),
+      end: new Date(timeRange.end).toISOString(),
+    };
+  };
+
+  /**
+   * CloudTrail Event history StartTime/EndTime (always absolute, UTC).
+   */
+  Enc.cloudTrailTimes = function (timeRange) {
+    return {
+      StartTime: new Date(timeRange.start).toISOString(),
+      EndTime: new Date(timeRange.end).toISOString(),
+    };
+  };
+
+  // ---------------------------------------------------------------------------
+  // Hash Fragment Encodings
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Logs Insights Format A: JSURL → URI-encode → '%' to '$'.
+   * The console also escapes ( ) ' ! * which encodeURIComponent leaves alone,
+   * giving e.g. "~$28end~0~start~-3600~timeType~$27RELATIVE$29".
+   */
+  Enc.encodeQueryDetailA = function (obj) {
+    return encodeURIComponent(globalThis.JSURL.stringify(obj))
+      .replace(/[()'!*]/g, function (ch) {
+        return "%" + ch.charCodeAt(0).toString(16).toUpperCase();
+      })
+      .replace(/%/g, "$");
+  };
+
+  Enc.decodeQueryDetailA = function (str) {
+    try {
+      return globalThis.JSURL.tryParse(decodeURIComponent(str.replace(/\$/g, "%")), null);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Logs Insights Format B: raw JSURL (the delimiters around it are $-encoded).
+   */
+  Enc.encodeQueryDetailB = function (obj) {
+    return globalThis.JSURL.stringify(obj);
+  };
+
+  Enc.decodeQueryDetailB = function (str) {
+    return globalThis.JSURL.tryParse(str, null);
+  };
+
+  /**
+   * Log Events query suffix: "$3Fstart$3D<ms>[$26end$3D<ms>]".
+   */
+  Enc.encodeLogEventsQuery = function (start, end) {
+    var s = "$3Fstart$3D" + start;
+    if (end != null) s += "$26end$3D" + end;
+    return s;
+  };
+
+  /**
+   * Log group / stream names inside logsV2 hash paths are URI-encoded twice
+   * with '%' → '$', e.g. "/aws/lambda/fn" → "$252Faws$252Flambda$252Ffn".
+   */
+  Enc.encodeLogsPathSegment = function (name) {
+    return encodeURIComponent(encodeURIComponent(name)).replace(/%/g, "$");
+  };
+
+  // Expose globally for content script and popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperEncoding = Enc;
+  }
+})();
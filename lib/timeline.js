@@ -0,0 +1,109 @@
+/**
+ * Timeline Layout - AWS Console Time Keeper
+ *
+ * Lays out an incident's ranges (current, history, pinned) as bars on one
+ * shared time axis, so overlaps and gaps are visible. Pure geometry: the
+ * popup turns the result into DOM.
+ *
+ * Positions are fractions of the axis width (0..1). Overlapping ranges go
+ * to separate lanes; tick marks fall on round wall-clock times in the
+ * configured zone.
+ *
+ * Depends on TimeKeeperTZ (lib/timezone.js).
+ */
+(function () {
+  "use strict";
+
+  var Timeline = {};
+
+  var MINUTE = 60 * 1000;
+  var HOUR = 60 * MINUTE;
+  var DAY = 24 * HOUR;
+  var TICK_STEPS = [
+    MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+    HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR,
+    DAY, 7 * DAY,
+  ];
+  var MAX_TICKS = 6;
+  // Space either side of the outermost ranges, as a share of their span
+  var PADDING = 0.05;
+
+  function offsetMs(epochMs, zone) {
+    return globalThis.TimeKeeperTZ.offsetMinutes(epochMs, zone) * MINUTE;
+  }
+
+  /**
+   * Ticks at round wall-clock times: [{ at, position }].
+   */
+  function ticks(axisStart, axisEnd, zone) {
+    var span = axisEnd - axisStart;
+    var step = TICK_STEPS.filter(function (s) { return span / s <= MAX_TICKS; })[0] || TICK_STEPS[TICK_STEPS.length - 1];
+    var offset = offsetMs(axisStart, zone);
+    var out = [];
+    for (var wall = Math.ceil((axisStart + offset) / step) * step; wall - offset <= axisEnd; wall += step) {
+      var at = wall - offset;
+      out.push({ at: at, position: (at - axisStart) / span });
+    }
+    return out;
+  }
+
+  /**
+   * Lay out ranges on a shared axis.
+   *   items:   [{ start, end, ... }] (extra fields are passed through)
+   *   options: { timeZone }
+   * Returns { axisStart, axisEnd, lanes, bars: [{ item, lane, left, width }],
+   * ticks: [{ at, position }] }, or null when there is nothing to draw.
+   */
+  Timeline.layout = function (items, options) {
+    var valid = (items || []).filter(function (item) {
+      return isFinite(item.start) && isFinite(item.end) && item.end > item.start;
+    });
+    if (valid.length === 0) return null;
+
+    var min = Math.min.apply(null, valid.map(function (item) { return item.start; }));
+    var max = Math.max.apply(null, valid.map(function (item) { return item.end; }));
+    var pad = Math.max((max - min) * PADDING, MINUTE);
+    var axisStart = min - pad;
+    var axisEnd = max + pad;
+    var span = axisEnd - axisStart;
+
+    // Greedy interval packing: earliest start first, into the first lane
+    // that is free by then
+    var laneEnds = [];
+    var bars = valid.slice().sort(function (a, b) {
+      return a.start - b.start || b.end - a.end;
+    }).map(function (item) {
+      var lane = 0;
+      while (lane < laneEnds.length && laneEnds[lane] > item.start) lane++;
+      laneEnds[lane] = item.end;
+      return {
+        item: item,
+        lane: lane,
+        left: (item.start - axisStart) / span,
+        width: (item.end - item.start) / span,
+      };
+    });
+
+    return {
+      axisStart: axisStart,
+      axisEnd: axisEnd,
+      lanes: laneEnds.length,
+      bars: bars,
+      ticks: ticks(axisStart, axisEnd, (options && options.timeZone) || "UTC"),
+    };
+  };
+
+  /**
+   * Time at a position (0..1) on a layout's axis, rounded to the minute.
+   */
+  Timeline.timeAt = function (layout, position) {
+    var clamped = Math.max(0, Math.min(1, position));
+    var at = layout.axisStart + clamped * (layout.axisEnd - layout.axisStart);
+    return Math.round(at / MINUTE) * MINUTE;
+  };
+
+  // Expose globally for popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperTimeline = Timeline;
+  }
+})();
@@ -0,0 +1,157 @@
+/**
+ * Time Zone helpers - AWS Console Time Keeper
+ *
+ * Formats epoch ms as wall-clock time in a configurable zone and converts
+ * wall-clock strings back to epoch ms. A zone setting is one of:
+ *   "UTC"    - Coordinated Universal Time
+ *   "local"  - the browser's own time zone
+ *   <IANA>   - any IANA zone name, e.g. "Asia/Tokyo", "America/Los_Angeles"
+ */
+(function () {
+  "use strict";
+
+  var TZ = {};
+
+  var _formatters = {};
+
+  function _formatter(zone) {
+    if (!_formatters[zone]) {
+      // "sv-SE" gives "YYYY-MM-DD HH:MM:SS", which is trivially ISO-like
+      _formatters[zone] = new Intl.DateTimeFormat("sv-SE", {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hour12: false,
+        timeZone: zone,
+      });
+    }
+    return _formatters[zone];
+  }
+
+  function _pad(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  /**
+   * Resolve a zone setting to a concrete IANA zone name.
+   */
+  TZ.resolve = function (zone) {
+    if (!zone || zone === "local") {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+    }
+    return zone;
+  };
+
+  /**
+   * Whether a zone setting is usable ("UTC", "local" or a known IANA name).
+   */
+  TZ.isValid = function (zone) {
+    if (zone === "local" || zone === "UTC") return true;
+    if (!zone) return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  /**
+   * Human-readable label for a zone setting, e.g. "Local (Europe/Berlin)".
+   */
+  TZ.label = function (zone) {
+    if (!zone || zone === "local") return "Local (" + TZ.resolve("local") + ")";
+    return zone;
+  };
+
+  /**
+   * Format epoch ms as wall-clock time in the zone (no offset suffix).
+   * e.g. "2025-02-26T09:30:00"
+   */
+  TZ.formatWallTime = function (epochMs, zone) {
+    var s = _formatter(TZ.resolve(zone)).format(new Date(epochMs));
+    // Some engines render midnight as "24:00:00"
+    return s.replace(" ", "T").replace("T24:", "T00:");
+  };
+
+  /**
+   * Date display formats (settings.dateFormat), shown with an example.
+   */
+  TZ.DISPLAY_FORMATS = [
+    { id: "ymd-slash", label: "2026/02/24 09:30:00" },
+    { id: "iso", label: "2026-02-24 09:30:00" },
+    { id: "iso-offset", label: "2026-02-24T09:30:00+09:00" },
+    { id: "mdy", label: "02/24/2026 09:30:00" },
+    { id: "dmy", label: "24/02/2026 09:30:00" },
+  ];
+
+  /**
+   * Format epoch ms for display in the zone using one of DISPLAY_FORMATS
+   * (unknown ids fall back to "ymd-slash").
+   */
+  TZ.formatDisplay = function (epochMs, zone, format) {
+    if (format === "iso-offset") return TZ.formatISO(epochMs, zone);
+    var m = TZ.formatWallTime(epochMs, zone).match(/^(\d{4})-(\d{2})-(\d{2})T(.*)$/);
+    if (!m) return "";
+    switch (format) {
+      case "iso":
+        return m[1] + "-" + m[2] + "-" + m[3] + " " + m[4];
+      case "mdy":
+        return m[2] + "/" + m[3] + "/" + m[1] + " " + m[4];
+      case "dmy":
+        return m[3] + "/" + m[2] + "/" + m[1] + " " + m[4];
+      default:
+        return m[1] + "/" + m[2] + "/" + m[3] + " " + m[4];
+    }
+  };
+
+  /**
+   * Offset of the zone from UTC at the given instant, in minutes.
+   * e.g. 540 for Asia/Tokyo, -420 for America/Los_Angeles in summer.
+   */
+  TZ.offsetMinutes = function (epochMs, zone) {
+    var m = TZ.formatWallTime(epochMs, zone).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/);
+    if (!m) return 0;
+    var asUtc = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+    var truncated = Math.floor(epochMs / 1000) * 1000;
+    return Math.round((asUtc - truncated) / 60000);
+  };
+
+  /**
+   * Format an offset in minutes as "+09:00" / "-07:00".
+   */
+  TZ.formatOffset = function (minutes) {
+    var sign = minutes < 0 ? "-" : "+";
+    var abs = Math.abs(minutes);
+    return sign + _pad(Math.floor(abs / 60)) + ":" + _pad(abs % 60);
+  };
+
+  /**
+   * Format epoch ms as ISO 8601 with the zone's offset.
+   * e.g. "2025-02-26T09:30:00+09:00"
+   */
+  TZ.formatISO = function (epochMs, zone) {
+    return TZ.formatWallTime(epochMs, zone) + TZ.formatOffset(TZ.offsetMinutes(epochMs, zone));
+  };
+
+  /**
+   * Interpret a wall-clock string ("YYYY-MM-DDTHH:MM[:SS]") in the zone and
+   * return epoch ms, or NaN if the string is malformed.
+   */
+  TZ.wallTimeToEpoch = function (str, zone) {
+    var m = String(str || "").match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (!m) return NaN;
+    var asUtc = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+    // Guess with the offset at the UTC reading, then correct once for DST edges
+    var guess = asUtc - TZ.offsetMinutes(asUtc, zone) * 60000;
+    return asUtc - TZ.offsetMinutes(guess, zone) * 60000;
+  };
+
+  // Expose globally for content script, popup and service worker access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperTZ = TZ;
+  }
+})();
@@ -0,0 +1,143 @@
+/**
+ * URL Builder - AWS Console Time Keeper
+ *
+ * Builds fresh AWS Console deep links with a time range already encoded,
+ * so one link can be shared (e.g. pasted into Slack) and opened directly.
+ * Uses the same per-service encodings as the content script injectors.
+ *
+ * Depends on JSURL (lib/jsurl.js), TimeKeeperTZ (lib/timezone.js),
+ * TimeKeeperEncoding (lib/time-encoding.js) and TimeKeeperCore
+ * (lib/time-core.js).
+ */
+(function () {
+  "use strict";
+
+  var Links = {};
+
+  Links.SERVICES = [
+    { id: "cloudwatch-metrics", label: "CloudWatch Metrics" },
+    { id: "cloudwatch-logs-insights", label: "Logs Insights" },
+    { id: "cloudwatch-logs-insights-b", label: "Logs Insights (Format B)" },
+    { id: "cloudwatch-logs", label: "Log Events", needsLogGroup: true },
+    { id: "cloudwatch-generic", label: "CloudWatch Home" },
+    { id: "xray", label: "X-Ray" },
+    { id: "cloudwatch-xray", label: "X-Ray Traces (CloudWatch)" },
+    { id: "cloudtrail", label: "CloudTrail" },
+  ];
+
+  function consoleBase(region, path) {
+    return "https://" + region + ".console.aws.amazon.com/" + path + "?region=" + encodeURIComponent(region);
+  }
+
+  // Field order follows the console's own queryDetail
+  function logsInsightsDetail(timeRange, options) {
+    var times = globalThis.TimeKeeperEncoding.logsInsightsTimes(timeRange);
+    var detail = { end: times.end, start: times.start, timeType: times.timeType };
+    if (times.timeType === "RELATIVE") detail.unit = "seconds";
+    if (options && options.query) detail.editorString = options.query;
+    if (options && options.logGroups && options.logGroups.length) detail.source = options.logGroups.slice();
+    return detail;
+  }
+
+  /**
+   * Build a console URL for one service.
+   *   serviceId: one of Links.SERVICES ids
+   *   options:   { region, logGroup?, logStream?, query?, logGroups?, now? }
+   * query / logGroups fill in the Logs Insights editor and log group
+   * selection.
+   * Returns the URL string, or null if the service can't be linked
+   * (unknown id, or Log Events without a log group).
+   */
+  Links.build = function (serviceId, timeRange, options) {
+    var Enc = globalThis.TimeKeeperEncoding;
+    var region = (options && options.region) || "us-east-1";
+    var cloudwatch = consoleBase(region, "cloudwatch/home");
+
+    switch (serviceId) {
+      case "cloudwatch-metrics": {
+        var metricsTimes = Enc.metricsTimes(timeRange);
+        var graph = {
+          view: "timeSeries",
+          stacked: false,
+          region: region,
+          start: metricsTimes.start,
+          end: metricsTimes.end,
+          period: Enc.metricsPeriod(timeRange, null, (options && options.now) || Date.now()),
+        };
+        return cloudwatch + "#metricsV2:graph=" + globalThis.JSURL.stringify(graph);
+      }
+
+      case "cloudwatch-logs-insights":
+        return cloudwatch + "#logsV2:logs-insights?queryDetail=" + Enc.encodeQueryDetailA(logsInsightsDetail(timeRange, options));
+
+      case "cloudwatch-logs-insights-b":
+        return cloudwatch + "#logsV2:logs-insights$3FqueryDetail$3D" + Enc.encodeQueryDetailB(logsInsightsDetail(timeRange, options));
+
+      case "cloudwatch-logs": {
+        if (!options || !options.logGroup) return null;
+        var path = "#logsV2:log-groups/log-group/" + Enc.encodeLogsPathSegment(options.logGroup) + "/log-events";
+        if (options.logStream) path += "/" + Enc.encodeLogsPathSegment(options.logStream);
+        var eventTimes = Enc.logEventsTimes(timeRange);
+        return cloudwatch + path + Enc.encodeLogEventsQuery(eventTimes.start, eventTimes.end);
+      }
+
+      case "cloudwatch-generic":
+        return cloudwatch + "#home:?" + globalThis.JSURL.stringify({ timeRange: Enc.genericTimeRange(timeRange) });
+
+      case "xray":
+        return consoleBase(region, "xray/home") + "&timeRange=" + Enc.xrayTimeRange(timeRange);
+
+      case "cloudwatch-xray": {
+        var state = { query: {}, context: { timeRange: Enc.traceMapTimeRange(timeRange) } };
+        return cloudwatch + "#xray:traces/query?" + globalThis.JSURL.stringify(state);
+      }
+
+      case "cloudtrail": {
+        var trailTimes = Enc.cloudTrailTimes(timeRange);
+        var params = new URLSearchParams(trailTimes);
+        return consoleBase(region, "cloudtrailv2/home") + "#/events?" + params.toString();
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Build links for every service. Returns [{ id, label, url, note? }].
+   */
+  Links.buildAll = function (timeRange, options) {
+    return Links.SERVICES.map(function (service) {
+      var url = Links.build(service.id, timeRange, options);
+      var entry = { id: service.id, label: service.label, url: url };
+      if (!url && service.needsLogGroup) entry.note = "Enter a log group";
+      return entry;
+    });
+  };
+
+  /**
+   * Logs Insights links for a query template ({ query, logGroups }) and a
+   * range, in both formats: { a, b }.
+   */
+  Links.logsInsights = function (timeRange, template, options) {
+    var linkOptions = Object.assign({}, options, {
+      query: template.query,
+      logGroups: template.logGroups,
+    });
+    return {
+      a: Links.build("cloudwatch-logs-insights", timeRange, linkOptions),
+      b: Links.build("cloudwatch-logs-insights-b", timeRange, linkOptions),
+    };
+  };
+
+  /**
+   * Extract the region from a console URL (?region= or the hostname).
+   */
+  Links.regionFromUrl = function (url) {
+    var location = globalThis.TimeKeeperCore.consoleLocation(url);
+    return location ? location.region : null;
+  };
+
+  // Expose globally for popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperLinks = Links;
+  }
+})();
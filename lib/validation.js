@@ -0,0 +1,138 @@
+/**
+ * Range Validation - AWS Console Time Keeper
+ *
+ * Checks a time range before it is applied to a page. Problems that make
+ * the range unusable (start/end that are not finite times, an empty
+ * window) are errors and stop the apply; problems the console can still
+ * live with are warnings that travel with the apply response:
+ *  - start and end swapped (fixed by swapping them back)
+ *  - a fixed window in the future
+ *  - a window longer than the target service handles
+ *  - a window older than the target service keeps data for
+ *
+ * Warnings are sentence fragments ("range ends in the future") so callers
+ * can prefix them, e.g. "Applied, but ...".
+ *
+ * Depends on TimeKeeperEncoding (lib/time-encoding.js).
+ */
+(function () {
+  "use strict";
+
+  var Validation = {};
+
+  var MINUTE = 60 * 1000;
+  var HOUR = 60 * MINUTE;
+  var DAY = 24 * HOUR;
+  // Clock skew between this machine and AWS is not "the future"
+  var FUTURE_TOLERANCE_MS = MINUTE;
+  // Largest epoch ms a Date can hold
+  var MAX_EPOCH_MS = 8.64e15;
+
+  /**
+   * Per-service limits. maxSpanMs: longest window the service handles well;
+   * retentionMs: how far back it keeps data.
+   */
+  Validation.SERVICE_LIMITS = {
+    "cloudwatch-logs-insights": {
+      maxSpanMs: 7 * DAY,
+      span: "Logs Insights windows over 7 days scan a lot of data and often hit the query timeout",
+    },
+    "xray": {
+      maxSpanMs: 6 * HOUR,
+      span: "X-Ray queries at most 6 hours at a time",
+      retentionMs: 30 * DAY,
+      retention: "X-Ray keeps traces for 30 days",
+    },
+    "cloudtrail": {
+      retentionMs: 90 * DAY,
+      retention: "CloudTrail event history covers the last 90 days",
+    },
+  };
+
+  // The trace map and traces under CloudWatch query the same X-Ray backend
+  Validation.SERVICE_LIMITS["cloudwatch-xray"] = Validation.SERVICE_LIMITS.xray;
+
+  // Services whose pages graph CloudWatch metrics
+  var METRIC_GRAPH_SERVICES = [
+    "cloudwatch-metrics",
+    "cloudwatch-generic",
+    "cloudwatch-app-signals",
+    "cloudwatch-synthetics",
+  ];
+
+  /**
+   * Epoch ms from a number or numeric string, rounded to the millisecond;
+   * NaN for anything else or outside the range a Date can hold.
+   */
+  function toEpochMs(value) {
+    var n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !isFinite(n) || Math.abs(n) > MAX_EPOCH_MS) return NaN;
+    return Math.round(n);
+  }
+
+  function metricsWarning(startMs, now) {
+    var finest = globalThis.TimeKeeperEncoding.metricsResolution(startMs, now);
+    if (finest === 60) return null;
+    if (finest === null) return "metrics this old have expired (455-day retention)";
+    return "1-minute metrics are kept 15 days; this range has " + finest / 60 + "-minute data at best";
+  }
+
+  /**
+   * Validate a range for a service (a detectService id, or null for no
+   * service-specific checks).
+   *   options: { now? }
+   * Returns { range, errors: [...], warnings: [...] } where range is a copy
+   * with start/end normalised (null when there are errors).
+   */
+  Validation.check = function (timeRange, serviceId, options) {
+    var now = (options && options.now) || Date.now();
+    var errors = [];
+    var warnings = [];
+    var range = Object.assign({}, timeRange);
+
+    range.start = toEpochMs(timeRange && timeRange.start);
+    range.end = toEpochMs(timeRange && timeRange.end);
+    if (isNaN(range.start) || isNaN(range.end)) {
+      errors.push("start and end must be valid times");
+      return { range: null, errors: errors, warnings: warnings };
+    }
+
+    if (range.start > range.end) {
+      var start = range.end;
+      range.end = range.start;
+      range.start = start;
+      warnings.push("start and end were swapped");
+    }
+    if (range.start === range.end) {
+      errors.push("range is empty (start equals end)");
+      return { range: null, errors: errors, warnings: warnings };
+    }
+
+    // A rolling window always ends now; only a fixed one can be misplaced
+    var relMs = globalThis.TimeKeeperEncoding.relativeDurationMs(range);
+    var spanMs = relMs || range.end - range.start;
+    var startMs = relMs ? now - relMs : range.start;
+    if (!relMs && range.end > now + FUTURE_TOLERANCE_MS) {
+      warnings.push(range.start > now ? "range is entirely in the future" : "range ends in the future");
+    }
+
+    var limits = Validation.SERVICE_LIMITS[serviceId];
+    if (limits && limits.maxSpanMs && spanMs > limits.maxSpanMs) {
+      warnings.push(limits.span);
+    }
+    if (limits && limits.retentionMs && now - startMs > limits.retentionMs) {
+      warnings.push(limits.retention);
+    }
+    if (METRIC_GRAPH_SERVICES.indexOf(serviceId) >= 0) {
+      var metrics = metricsWarning(startMs, now);
+      if (metrics) warnings.push(metrics);
+    }
+
+    return { range: range, errors: errors, warnings: warnings };
+  };
+
+  // Expose globally for content script and popup access
+  if (typeof globalThis !== "undefined") {
+    globalThis.TimeKeeperValidation = Validation;
+  }
+})();
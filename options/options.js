@@ -0,0 +1,277 @@
+/**
+ * Options Page - AWS Console Time Keeper
+ *
+ * Edits the settings in chrome.storage.sync (lib/settings.js). Each field
+ * saves on change; the popup, content scripts and service worker pick the
+ * new values up through TimeKeeperSettings.onChange. Also lists the current
+ * keyboard bindings, which Chrome only lets the user change on its own
+ * shortcuts page, and imports exported ranges (the popup closes when a file
+ * chooser opens, so import lives here).
+ */
+(function () {
+  "use strict";
+
+  // ---------------------------------------------------------------------------
+  // DOM Elements
+  // ---------------------------------------------------------------------------
+
+  var $status = document.getElementById("status");
+  var $settingTimezone = document.getElementById("setting-timezone");
+  var $timezoneOptions = document.getElementById("timezone-options");
+  var $settingDateFormat = document.getElementById("setting-date-format");
+  var $settingApplyMode = document.getElementById("setting-apply-mode");
+  var $settingPad = document.getElementById("setting-pad");
+  var $settingHistorySize = document.getElementById("setting-history-size");
+  var $settingAlarmLead = document.getElementById("setting-alarm-lead");
+  var $settingAlarmLag = document.getElementById("setting-alarm-lag");
+  var $serviceList = document.getElementById("service-list");
+  var $settingShowOverlay = document.getElementById("setting-show-overlay");
+  var $settingStopDashboardRefresh = document.getElementById("setting-stop-dashboard-refresh");
+  var $shortcutList = document.getElementById("shortcut-list");
+  var $btnEditShortcuts = document.getElementById("btn-edit-shortcuts");
+  var $importFile = document.getElementById("import-file");
+  var $importReport = document.getElementById("import-report");
+
+  var Settings = window.TimeKeeperSettings;
+  var TZ = window.TimeKeeperTZ;
+  var settings = Settings.DEFAULTS;
+  var statusTimer = null;
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function showStatus(message, type) {
+    $status.textContent = message;
+    $status.className = "status " + (type || "");
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(function () { $status.textContent = ""; }, 2000);
+  }
+
+  async function save(patch) {
+    settings = await Settings.set(patch);
+    showStatus("Saved");
+  }
+
+  /**
+   * Read a number input in minutes; null (and the field marked invalid)
+   * when it is not a number at least `min`.
+   */
+  function readMinutes(input, min) {
+    var value = parseFloat(input.value);
+    var valid = isFinite(value) && value >= min;
+    input.classList.toggle("invalid", !valid);
+    return valid ? Math.round(value * 60000) : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Settings Form
+  // ---------------------------------------------------------------------------
+
+  function populateOptions() {
+    var zones = ["local", "UTC"];
+    if (typeof Intl.supportedValuesOf === "function") {
+      zones = zones.concat(Intl.supportedValuesOf("timeZone"));
+    }
+    zones.forEach(function (zone) {
+      var option = document.createElement("option");
+      option.value = zone;
+      $timezoneOptions.appendChild(option);
+    });
+
+    TZ.DISPLAY_FORMATS.forEach(function (format) {
+      var option = document.createElement("option");
+      option.value = format.id;
+      option.textContent = format.label;
+      $settingDateFormat.appendChild(option);
+    });
+
+    Settings.SERVICES.forEach(function (service) {
+      var label = document.createElement("label");
+      label.className = "checkbox";
+      var input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = service.id;
+      input.addEventListener("change", saveServices);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(service.label));
+      $serviceList.appendChild(label);
+    });
+
+    $settingHistorySize.max = Settings.HISTORY_SIZE_MAX;
+  }
+
+  function displaySettings() {
+    $settingTimezone.value = settings.timeZone;
+    $settingDateFormat.value = settings.dateFormat;
+    $settingApplyMode.value = settings.defaultApplyMode;
+    $settingPad.value = settings.defaultPadMs / 60000;
+    $settingHistorySize.value = settings.historySize;
+    $settingAlarmLead.value = settings.alarmLeadMs / 60000;
+    $settingAlarmLag.value = settings.alarmLagMs / 60000;
+    $settingShowOverlay.checked = settings.showOverlay;
+    $settingStopDashboardRefresh.checked = settings.stopDashboardRefresh;
+    Array.prototype.forEach.call($serviceList.querySelectorAll("input"), function (input) {
+      input.checked = Settings.isServiceEnabled(settings, input.value);
+    });
+    Array.prototype.forEach.call(document.querySelectorAll("input.invalid"), function (input) {
+      input.classList.remove("invalid");
+    });
+  }
+
+  async function saveTimezone() {
+    var zone = $settingTimezone.value.trim();
+    if (!TZ.isValid(zone)) {
+      $settingTimezone.classList.add("invalid");
+      showStatus("Unknown time zone: " + zone, "error");
+      return;
+    }
+    $settingTimezone.classList.remove("invalid");
+    await save({ timeZone: zone });
+  }
+
+  async function saveHistorySize() {
+    var size = parseInt($settingHistorySize.value, 10);
+    var valid = isFinite(size) && size >= 1 && size <= Settings.HISTORY_SIZE_MAX;
+    $settingHistorySize.classList.toggle("invalid", !valid);
+    if (!valid) {
+      showStatus("History size must be 1-" + Settings.HISTORY_SIZE_MAX, "error");
+      return;
+    }
+    await save({ historySize: size });
+  }
+
+  async function savePad() {
+    var padMs = readMinutes($settingPad, 1);
+    if (padMs === null) return;
+    await save({ defaultPadMs: padMs });
+  }
+
+  async function saveAlarmWindow() {
+    var lead = readMinutes($settingAlarmLead, 0);
+    var lag = readMinutes($settingAlarmLag, 0);
+    if (lead === null || lag === null) return;
+    await save({ alarmLeadMs: lead, alarmLagMs: lag });
+  }
+
+  async function saveServices() {
+    var disabled = [];
+    Array.prototype.forEach.call($serviceList.querySelectorAll("input"), function (input) {
+      if (!input.checked) disabled.push(input.value);
+    });
+    await save({ disabledServices: disabled });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  async function importRanges() {
+    var file = $importFile.files[0];
+    $importFile.value = "";
+    if (!file) return;
+
+    var entries;
+    try {
+      entries = window.TimeKeeperIO.parse(await file.text());
+    } catch (e) {
+      showStatus("Cannot read " + file.name + ": " + e.message, "error");
+      return;
+    }
+
+    var response = await chrome.runtime.sendMessage({
+      action: "import-ranges",
+      entries: entries,
+    });
+
+    if (!response || !response.success) {
+      showStatus((response && response.error) || "Import failed", "error");
+      return;
+    }
+
+    var lines = [
+      "Imported " + response.imported + ", duplicates " + response.duplicates + ", rejected " + response.rejected.length,
+    ];
+    response.rejected.forEach(function (r) {
+      lines.push("Row " + r.row + ": " + r.reason);
+    });
+    $importReport.textContent = lines.join("\n");
+    $importReport.classList.remove("hidden");
+    showStatus("Imported " + response.imported + " ranges", response.imported > 0 ? "" : "error");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyboard Shortcuts
+  // ---------------------------------------------------------------------------
+
+  async function displayShortcuts() {
+    var commands = await chrome.commands.getAll();
+    $shortcutList.innerHTML = "";
+    commands.forEach(function (command) {
+      // _execute_action opens the popup; it has no description of its own
+      if (!command.description) return;
+      var row = document.createElement("tr");
+      var name = document.createElement("td");
+      name.textContent = command.description;
+      var keys = document.createElement("td");
+      if (command.shortcut) {
+        var kbd = document.createElement("kbd");
+        kbd.textContent = command.shortcut;
+        keys.appendChild(kbd);
+      } else {
+        keys.textContent = "Not set";
+        keys.className = "not-set";
+      }
+      row.appendChild(name);
+      row.appendChild(keys);
+      $shortcutList.appendChild(row);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Event Listeners
+  // ---------------------------------------------------------------------------
+
+  $settingTimezone.addEventListener("change", saveTimezone);
+  $settingDateFormat.addEventListener("change", function () {
+    save({ dateFormat: $settingDateFormat.value });
+  });
+  $settingApplyMode.addEventListener("change", function () {
+    save({ defaultApplyMode: $settingApplyMode.value });
+  });
+  $settingPad.addEventListener("change", savePad);
+  $settingHistorySize.addEventListener("change", saveHistorySize);
+  $settingAlarmLead.addEventListener("change", saveAlarmWindow);
+  $settingAlarmLag.addEventListener("change", saveAlarmWindow);
+  $settingShowOverlay.addEventListener("change", function () {
+    save({ showOverlay: $settingShowOverlay.checked });
+  });
+  $settingStopDashboardRefresh.addEventListener("change", function () {
+    save({ stopDashboardRefresh: $settingStopDashboardRefresh.checked });
+  });
+  $importFile.addEventListener("change", importRanges);
+  $btnEditShortcuts.addEventListener("click", function () {
+    // chrome:// pages can't be linked to, only opened through the tabs API
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+  // Bindings changed on Chrome's page show up when switching back here
+  window.addEventListener("focus", displayShortcuts);
+
+  // Another options tab or the popup changed something
+  Settings.onChange(function (s) {
+    settings = s;
+    displaySettings();
+  });
+
+  // ---------------------------------------------------------------------------
+  // Initialize
+  // ---------------------------------------------------------------------------
+
+  (async function init() {
+    settings = await Settings.get();
+    populateOptions();
+    displaySettings();
+    await displayShortcuts();
+  })();
+})();
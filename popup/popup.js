@@ -17,33 +17,83 @@
   var $endTime = document.getElementById("end-time");
   var $duration = document.getElementById("duration");
   var $source = document.getElementById("source");
+  var $zone = document.getElementById("zone");
+  var $origin = document.getElementById("origin");
+  var $applyMode = document.getElementById("apply-mode");
   var $btnCapture = document.getElementById("btn-capture");
+  var $btnCaptureRun = document.getElementById("btn-capture-run");
   var $btnApply = document.getElementById("btn-apply");
   var $btnClear = document.getElementById("btn-clear");
+  var $adjustStep = document.getElementById("adjust-step");
+  var $adjustStepCustom = document.getElementById("adjust-step-custom");
+  var $adjustButtons = document.querySelectorAll(".adjust-grid [data-op]");
+  var $btnApplyAll = document.getElementById("btn-apply-all");
+  var $applyAllCurrentWindow = document.getElementById("apply-all-current-window");
+  var $applyResults = document.getElementById("apply-results");
+  var $linkTab = document.getElementById("link-tab");
+  var $linkCount = document.getElementById("link-count");
+  var $openRegion = document.getElementById("open-region");
+  var $regionOptions = document.getElementById("region-options");
+  var $btnOpenRegion = document.getElementById("btn-open-region");
+  var $typedRange = document.getElementById("typed-range");
+  var $typedRangeResult = document.getElementById("typed-range-result");
+  var $btnTypedSave = document.getElementById("btn-typed-save");
+  var $manualPaste = document.getElementById("manual-paste");
+  var $manualPasteResult = document.getElementById("manual-paste-result");
   var $manualStart = document.getElementById("manual-start");
   var $manualEnd = document.getElementById("manual-end");
+  var $manualZone = document.getElementById("manual-zone");
   var $btnManualSave = document.getElementById("btn-manual-save");
   var $historyCount = document.getElementById("history-count");
   var $historyList = document.getElementById("history-list");
+  var $timelineSection = document.getElementById("timeline-section");
+  var $timelineTrack = document.getElementById("timeline-track");
+  var $timelineAxis = document.getElementById("timeline-axis");
+  var $incidentSelect = document.getElementById("incident-select");
+  var $btnIncidentNew = document.getElementById("btn-incident-new");
+  var $incidentNewForm = document.getElementById("incident-new-form");
+  var $incidentNewName = document.getElementById("incident-new-name");
+  var $btnIncidentCreate = document.getElementById("btn-incident-create");
+  var $incidentNotes = document.getElementById("incident-notes");
+  var $incidentCreated = document.getElementById("incident-created");
+  var $btnPin = document.getElementById("btn-pin");
+  var $pinnedCount = document.getElementById("pinned-count");
+  var $pinnedList = document.getElementById("pinned-list");
+  var $btnIncidentDelete = document.getElementById("btn-incident-delete");
+  var $linksSection = document.getElementById("links-section");
+  var $linksRegion = document.getElementById("links-region");
+  var $linksLogGroup = document.getElementById("links-log-group");
+  var $linksList = document.getElementById("links-list");
+  var $btnCopyAllLinks = document.getElementById("btn-copy-all-links");
+  var $templatesCount = document.getElementById("templates-count");
+  var $templatesList = document.getElementById("templates-list");
+  var $templateName = document.getElementById("template-name");
+  var $templateQuery = document.getElementById("template-query");
+  var $templateLogGroups = document.getElementById("template-log-groups");
+  var $btnTemplateFromTab = document.getElementById("btn-template-from-tab");
+  var $btnTemplateSave = document.getElementById("btn-template-save");
+  var $btnExportJson = document.getElementById("btn-export-json");
+  var $btnExportCsv = document.getElementById("btn-export-csv");
+  var $btnImport = document.getElementById("btn-import");
+  var $btnOptions = document.getElementById("btn-options");
+  var $shortcutKeys = document.querySelectorAll("kbd[data-command]");
   var $toast = document.getElementById("toast");
 
+  var TZ = window.TimeKeeperTZ;
+  var Core = window.TimeKeeperCore;
+  var Validation = window.TimeKeeperValidation;
+  var currentRange = null;
+  var activeTabId = null;
+  var pastedRange = null;
+  var settings = window.TimeKeeperSettings.DEFAULTS;
+
   // ---------------------------------------------------------------------------
   // Helpers
   // ---------------------------------------------------------------------------
 
   function formatDateTime(epochMs) {
     if (!epochMs) return "--";
-    var d = new Date(epochMs);
-    return d.toLocaleString("ja-JP", {
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-      hour12: false,
-      timeZone: "Asia/Tokyo",
-    });
+    return TZ.formatDisplay(epochMs, settings.timeZone, settings.dateFormat);
   }
 
   function formatDuration(startMs, endMs) {
@@ -82,19 +132,8 @@
   }
 
   function toLocalDatetimeString(epochMs) {
-    // Format in JST: YYYY-MM-DDTHH:MM:SS for datetime-local input
-    var parts = new Intl.DateTimeFormat("sv-SE", {
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-      hour12: false,
-      timeZone: "Asia/Tokyo",
-    }).format(new Date(epochMs));
-    // "sv-SE" gives "YYYY-MM-DD HH:MM:SS" — replace space with T
-    return parts.replace(" ", "T");
+    // Format in the configured zone: YYYY-MM-DDTHH:MM:SS for datetime-local input
+    return TZ.formatWallTime(epochMs, settings.timeZone);
   }
 
   // ---------------------------------------------------------------------------
@@ -108,6 +147,11 @@
     "cloudwatch-generic": "CloudWatch",
     "cloudwatch-other": "CW (limited)",
     "xray": "X-Ray",
+    "cloudwatch-xray": "CW X-Ray",
+    "cloudtrail": "CloudTrail",
+    "cloudwatch-alarm": "CW Alarm",
+    "cloudwatch-app-signals": "CW App Signals",
+    "cloudwatch-synthetics": "CW Synthetics",
     "unknown": "Unsupported",
     "not-aws": "Not AWS",
   };
@@ -126,12 +170,14 @@
   function updateServiceBadge(service) {
     var name = serviceNames[service] || service;
     $serviceBadge.textContent = name;
-    var supported = ["cloudwatch-metrics", "cloudwatch-logs-insights", "cloudwatch-logs", "cloudwatch-generic", "xray"];
+    var supported = ["cloudwatch-metrics", "cloudwatch-logs-insights", "cloudwatch-logs", "cloudwatch-generic", "xray", "cloudwatch-xray", "cloudtrail", "cloudwatch-alarm", "cloudwatch-app-signals", "cloudwatch-synthetics"];
     if (supported.indexOf(service) >= 0) {
       $serviceBadge.classList.add("active");
     } else {
       $serviceBadge.classList.remove("active");
     }
+    // Runs are listed on canary pages only
+    $btnCaptureRun.classList.toggle("hidden", service !== "cloudwatch-synthetics");
   }
 
   // ---------------------------------------------------------------------------
@@ -139,6 +185,9 @@
   // ---------------------------------------------------------------------------
 
   function displayTimeRange(tr) {
+    currentRange = tr;
+    renderLinks();
+
     if (!tr) {
       $emptyState.classList.remove("hidden");
       $timeDisplay.classList.add("hidden");
@@ -150,7 +199,15 @@
     $startTime.textContent = formatDateTime(tr.start);
     $endTime.textContent = formatDateTime(tr.end);
     $duration.textContent = formatDuration(tr.start, tr.end);
-    $source.textContent = tr.source || "Manual";
+    $source.textContent = (tr.source || "Manual") + (tr.alarmName ? ": " + tr.alarmName : "");
+    $zone.textContent = tr.timeZone || "--";
+    $origin.textContent = [tr.region, tr.account].filter(Boolean).join(" · ") || "--";
+
+    // Only relative captures can be re-applied as a rolling window
+    var isRelative = !!(tr.raw && tr.raw.type === "relative");
+    $applyMode.disabled = !isRelative;
+    $applyMode.value = isRelative && tr.applyMode === "relative" ? "relative" : "absolute";
+    $applyMode.title = isRelative ? "" : "Captured as an absolute range";
 
     // Pre-fill manual inputs
     $manualStart.value = toLocalDatetimeString(tr.start);
@@ -161,6 +218,61 @@
     var response = await chrome.runtime.sendMessage({ action: "get-current" });
     displayTimeRange(response ? response.timeRange : null);
     await refreshHistory();
+    await refreshIncident();
+  }
+
+  async function refreshIncidentList() {
+    var response = await chrome.runtime.sendMessage({ action: "list-incidents" });
+    var incidents = response ? response.incidents : [];
+
+    $incidentSelect.innerHTML = "";
+    incidents.forEach(function (incident) {
+      var option = document.createElement("option");
+      option.value = incident.id;
+      option.textContent = incident.name;
+      $incidentSelect.appendChild(option);
+    });
+    if (response) $incidentSelect.value = response.activeIncidentId;
+  }
+
+  async function refreshIncident() {
+    var response = await chrome.runtime.sendMessage({ action: "get-incident" });
+    var incident = response ? response.incident : null;
+    if (!incident) return;
+
+    // Don't clobber notes the user is typing
+    if (document.activeElement !== $incidentNotes) {
+      $incidentNotes.value = incident.notes || "";
+    }
+    $incidentCreated.textContent = formatDateTime(incident.createdAt);
+    renderTimeline(incident);
+
+    var pinned = incident.pinned || [];
+    $pinnedCount.textContent = pinned.length;
+
+    if (pinned.length === 0) {
+      $pinnedList.innerHTML = '<div class="empty-state-small">No pinned ranges.</div>';
+      return;
+    }
+
+    $pinnedList.innerHTML = "";
+    pinned.forEach(function (item, index) {
+      var div = document.createElement("div");
+      div.className = "history-item";
+      div.innerHTML =
+        '<button class="hi-remove" title="Unpin">&times;</button>' +
+        '<div class="hi-source">' + escapeHtml(item.source || "Manual") + "</div>" +
+        '<div class="hi-time">' + escapeHtml(formatDateTime(item.start)) + " - " + escapeHtml(formatDateTime(item.end)) + "</div>" +
+        '<div class="hi-captured">' + escapeHtml(formatDuration(item.start, item.end)) + "</div>";
+      div.querySelector(".hi-remove").addEventListener("click", function (e) {
+        e.stopPropagation();
+        unpin(index);
+      });
+      div.addEventListener("click", function () {
+        restorePinned(index);
+      });
+      $pinnedList.appendChild(div);
+    });
   }
 
   async function refreshHistory() {
@@ -188,6 +300,130 @@
     });
   }
 
+  // ---------------------------------------------------------------------------
+  // Timeline
+  // ---------------------------------------------------------------------------
+
+  var TIMELINE_LANE_PX = 18;
+  var timelineLayout = null;
+  var timelineIncident = null;
+
+  function formatTick(epochMs, spanMs) {
+    var wall = TZ.formatWallTime(epochMs, settings.timeZone);
+    // Date for multi-day axes, time of day otherwise
+    return spanMs > 2 * 86400000 ? wall.slice(5, 10) : wall.slice(11, 16);
+  }
+
+  /**
+   * Draw current, history and pinned ranges as bars on one axis.
+   */
+  function renderTimeline(incident) {
+    timelineIncident = incident;
+    if (!$timelineSection.open) return;
+
+    var items = [];
+    if (incident.currentTimeRange) {
+      items.push(Object.assign({ kind: "current" }, incident.currentTimeRange));
+    }
+    (incident.history || []).forEach(function (tr, index) {
+      items.push(Object.assign({ kind: "history", index: index }, tr));
+    });
+    (incident.pinned || []).forEach(function (tr, index) {
+      items.push(Object.assign({ kind: "pinned", index: index }, tr));
+    });
+
+    timelineLayout = window.TimeKeeperTimeline.layout(items, { timeZone: settings.timeZone });
+    $timelineTrack.innerHTML = "";
+    $timelineAxis.innerHTML = "";
+    if (!timelineLayout) {
+      $timelineTrack.style.height = "";
+      $timelineTrack.innerHTML = '<div class="empty-state-small">No ranges to show.</div>';
+      return;
+    }
+
+    $timelineTrack.style.height = timelineLayout.lanes * TIMELINE_LANE_PX + 4 + "px";
+    timelineLayout.bars.forEach(function (bar) {
+      var item = bar.item;
+      var div = document.createElement("div");
+      div.className = "tl-bar " + item.kind;
+      div.style.left = bar.left * 100 + "%";
+      div.style.width = bar.width * 100 + "%";
+      div.style.top = bar.lane * TIMELINE_LANE_PX + 2 + "px";
+      div.textContent = item.source || "Manual";
+      div.title = item.kind + ": " + (item.source || "Manual") + "\n" +
+        formatDateTime(item.start) + " - " + formatDateTime(item.end) + " (" + formatDuration(item.start, item.end) + ")";
+      if (item.kind === "history") {
+        div.addEventListener("click", function () { restoreFromHistory(item.index); });
+      } else if (item.kind === "pinned") {
+        div.addEventListener("click", function () { restorePinned(item.index); });
+      }
+      $timelineTrack.appendChild(div);
+    });
+
+    var span = timelineLayout.axisEnd - timelineLayout.axisStart;
+    timelineLayout.ticks.forEach(function (tick) {
+      var label = document.createElement("span");
+      label.className = "tl-tick";
+      label.style.left = tick.position * 100 + "%";
+      label.textContent = formatTick(tick.at, span);
+      $timelineAxis.appendChild(label);
+    });
+  }
+
+  /**
+   * Drag across empty track space to select and save a new range.
+   */
+  function enableTimelineSelection() {
+    var drag = null;
+
+    function positionOf(e) {
+      var rect = $timelineTrack.getBoundingClientRect();
+      return (e.clientX - rect.left) / rect.width;
+    }
+
+    function paint() {
+      var left = Math.min(drag.from, drag.to);
+      drag.el.style.left = Math.max(0, left) * 100 + "%";
+      drag.el.style.width = Math.min(1, Math.abs(drag.to - drag.from)) * 100 + "%";
+    }
+
+    $timelineTrack.addEventListener("pointerdown", function (e) {
+      if (!timelineLayout || e.target !== $timelineTrack) return;
+      var el = document.createElement("div");
+      el.className = "tl-selection";
+      $timelineTrack.appendChild(el);
+      drag = { from: positionOf(e), to: positionOf(e), el: el };
+      paint();
+      $timelineTrack.setPointerCapture(e.pointerId);
+    });
+
+    $timelineTrack.addEventListener("pointermove", function (e) {
+      if (!drag) return;
+      drag.to = positionOf(e);
+      paint();
+    });
+
+    $timelineTrack.addEventListener("pointerup", async function (e) {
+      if (!drag) return;
+      var selection = drag;
+      drag = null;
+      $timelineTrack.releasePointerCapture(e.pointerId);
+      selection.el.remove();
+
+      var Timeline = window.TimeKeeperTimeline;
+      var start = Timeline.timeAt(timelineLayout, Math.min(selection.from, selection.to));
+      var end = Timeline.timeAt(timelineLayout, Math.max(selection.from, selection.to));
+      if (end - start < 60000) return;
+
+      await chrome.runtime.sendMessage({
+        action: "save-time-range",
+        timeRange: { start: start, end: end, source: "Timeline", capturedAt: Date.now(), raw: { type: "absolute" } },
+      });
+      showToast("Saved " + formatDuration(start, end) + " from timeline", "success");
+      await refreshDisplay();
+    });
+  }
+
   function escapeHtml(str) {
     var div = document.createElement("div");
     div.textContent = str;
@@ -198,7 +434,11 @@
   // Actions
   // ---------------------------------------------------------------------------
 
-  async function captureTime() {
+  /**
+   * Capture via the content script: "capture-time" for the page's range,
+   * "capture-canary-run" for a window around a canary run.
+   */
+  async function captureTime(action) {
     try {
       var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tabs || tabs.length === 0) {
@@ -206,7 +446,7 @@
         return;
       }
 
-      var response = await chrome.tabs.sendMessage(tabs[0].id, { action: "capture-time" });
+      var response = await chrome.tabs.sendMessage(tabs[0].id, { action: action });
 
       if (!response) {
         showToast("Cannot communicate with page. Reload and retry.", "error");
@@ -218,7 +458,12 @@
           action: "save-time-range",
           timeRange: response.timeRange,
         });
-        showToast("Time range captured!", "success");
+        var messages = {
+          dom: "Captured from page picker!",
+          alarm: "Captured alarm incident window!",
+          canary: "Captured window around canary run!",
+        };
+        showToast(messages[response.strategy] || "Time range captured!", "success");
         await refreshDisplay();
       } else {
         showToast(response.error || "Capture failed", "error");
@@ -254,8 +499,24 @@
         return;
       }
 
-      if (response.success) {
-        showToast("Time range applied!", "success");
+      // Validation warnings from the page (lib/validation.js), plus a
+      // region / account different from the capture's
+      var notes = (response.warnings || []).slice();
+      var mismatch = Core.originMismatch(tr, tabs[0].url);
+      if (mismatch.length) {
+        notes.unshift("captured in " + mismatch.map(function (m) {
+          return m.key + " " + m.captured + " (this tab: " + m.tab + ")";
+        }).join(", "));
+      }
+
+      if (response.success && notes.length) {
+        showToast("Applied, but " + notes.join("; "), "warning");
+      } else if (response.success) {
+        if (response.strategy === "dom") {
+          showToast("Applied via page picker!", "success");
+        } else {
+          showToast(response.applyMode === "relative" ? "Rolling range applied!" : "Time range applied!", "success");
+        }
       } else {
         showToast(response.error || "Apply failed", "error");
       }
@@ -264,12 +525,230 @@
     }
   }
 
+  async function applyToAllTabs() {
+    var response = await chrome.runtime.sendMessage({
+      action: "apply-all-tabs",
+      currentWindowOnly: $applyAllCurrentWindow.checked,
+    });
+
+    if (!response || !response.success) {
+      showToast((response && response.error) || "Apply failed", "error");
+      return;
+    }
+
+    displayApplyResults(response.results);
+
+    var applied = response.results.filter(function (r) { return r.status === "applied"; }).length;
+    if (response.results.length === 0) {
+      showToast("No AWS Console tabs found", "error");
+    } else {
+      showToast("Applied to " + applied + " of " + response.results.length + " tabs", applied > 0 ? "success" : "error");
+    }
+  }
+
+  function displayApplyResults(results) {
+    $applyResults.innerHTML = "";
+    $applyResults.classList.toggle("hidden", results.length === 0);
+
+    results.forEach(function (r) {
+      var div = document.createElement("div");
+      div.className = "apply-result";
+      div.title = r.error || (r.warnings && r.warnings.join("\n")) || serviceNames[r.service] || "";
+      var mismatch = Core.originMismatch(currentRange, r.url).map(function (m) { return m.tab; });
+      div.innerHTML =
+        '<span class="ar-status ' + r.status + '">' + escapeHtml(r.status) + "</span>" +
+        '<span class="ar-title">' + escapeHtml(r.title || "Tab " + r.tabId) + "</span>" +
+        (mismatch.length
+          ? '<span class="ar-origin" title="Different region or account than the capture">' + escapeHtml(mismatch.join(" · ")) + "</span>"
+          : "");
+      $applyResults.appendChild(div);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Open in Region
+  // ---------------------------------------------------------------------------
+
+  var REGIONS = [
+    "us-east-1", "us-east-2", "us-west-1", "us-west-2",
+    "ap-northeast-1", "ap-northeast-2", "ap-northeast-3", "ap-southeast-1", "ap-southeast-2", "ap-south-1",
+    "eu-west-1", "eu-west-2", "eu-central-1", "eu-north-1", "ca-central-1", "sa-east-1",
+  ];
+
+  function populateRegionOptions() {
+    REGIONS.forEach(function (region) {
+      var option = document.createElement("option");
+      option.value = region;
+      $regionOptions.appendChild(option);
+    });
+  }
+
+  async function openInRegion() {
+    var region = $openRegion.value.trim();
+    var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    var tab = tabs && tabs[0];
+    var url = tab && tab.url ? Core.withRegion(tab.url, region) : null;
+    if (!url) {
+      showToast(region ? "Cannot open this page in " + region : "Enter a region", "error");
+      return;
+    }
+    await chrome.tabs.create({ url: url, index: tab.index + 1 });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Linked Tabs
+  // ---------------------------------------------------------------------------
+
+  function displayLinkState(state) {
+    $linkTab.checked = !!state.linked;
+    $linkCount.textContent = state.count ? "(" + state.count + " linked)" : "";
+  }
+
+  async function refreshLinkState(service) {
+    var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    activeTabId = tabs && tabs.length ? tabs[0].id : null;
+    // Only console tabs run the content script that reports and applies ranges
+    $linkTab.disabled = activeTabId == null || service === "not-aws";
+    if (activeTabId == null) return;
+    displayLinkState(await chrome.runtime.sendMessage({ action: "get-link-state", tabId: activeTabId }));
+  }
+
+  async function toggleLinkTab() {
+    var response = await chrome.runtime.sendMessage({
+      action: "set-tab-linked",
+      tabId: activeTabId,
+      linked: $linkTab.checked,
+    });
+    if (!response || !response.success) {
+      showToast("Could not change link state", "error");
+      return;
+    }
+    displayLinkState(response);
+    showToast(response.linked ? "Tab linked" : "Tab unlinked", "success");
+  }
+
+  async function setApplyMode() {
+    var response = await chrome.runtime.sendMessage({
+      action: "set-apply-mode",
+      mode: $applyMode.value,
+    });
+
+    if (response && response.success) {
+      showToast($applyMode.value === "relative" ? "Will apply as rolling window" : "Will apply as fixed window", "success");
+    } else {
+      showToast((response && response.error) || "Failed to update", "error");
+      await refreshDisplay();
+    }
+  }
+
+  function currentStepMs() {
+    if ($adjustStep.value === "custom") {
+      return Math.round(parseFloat($adjustStepCustom.value) * 60000);
+    }
+    return parseInt($adjustStep.value, 10);
+  }
+
+  async function adjustRange(button) {
+    var op = button.dataset.op;
+    var amount = op === "zoom"
+      ? parseFloat(button.dataset.factor)
+      : currentStepMs() * parseInt(button.dataset.sign, 10);
+
+    if (!isFinite(amount) || amount === 0) {
+      showToast("Enter a step in minutes", "error");
+      return;
+    }
+
+    var response = await chrome.runtime.sendMessage({
+      action: "adjust-range",
+      op: op,
+      amount: amount,
+    });
+
+    if (response && response.success) {
+      showToast("Range adjusted", "success");
+      await refreshDisplay();
+    } else {
+      showToast((response && response.error) || "Adjust failed", "error");
+    }
+  }
+
   async function clearAll() {
     await chrome.runtime.sendMessage({ action: "clear-all" });
     showToast("Cleared", "success");
     await refreshDisplay();
   }
 
+  function resolveTyped() {
+    return window.TimeKeeperExpression.resolve($typedRange.value, {
+      timeZone: settings.timeZone,
+    });
+  }
+
+  function previewTyped() {
+    var text = $typedRange.value.trim();
+    $typedRangeResult.classList.toggle("hidden", !text);
+    if (!text) return;
+
+    var result = resolveTyped();
+    $typedRangeResult.textContent = result.error ||
+      formatDateTime(result.start) + " → " + formatDateTime(result.end) +
+      " (" + formatDuration(result.start, result.end) + ")";
+  }
+
+  async function saveTypedRange() {
+    var result = resolveTyped();
+    if (result.error) {
+      showToast(result.error, "error");
+      return;
+    }
+
+    await chrome.runtime.sendMessage({
+      action: "save-time-range",
+      timeRange: {
+        start: result.start,
+        end: result.end,
+        source: result.source,
+        capturedAt: Date.now(),
+        timeZone: result.timeZone,
+        raw: result.raw,
+      },
+    });
+
+    $typedRange.value = "";
+    previewTyped();
+    showToast("Typed range saved!", "success");
+    await refreshDisplay();
+  }
+
+  /**
+   * Parse the paste box and fill the manual start/end inputs. The parsed
+   * range is kept so saving unchanged inputs keeps its source and raw data.
+   */
+  function parsePaste() {
+    var text = $manualPaste.value;
+    pastedRange = null;
+    $manualPasteResult.classList.toggle("hidden", !text.trim());
+    if (!text.trim()) return;
+
+    var result = window.TimeKeeperPaste.parse(text, {
+      timeZone: settings.timeZone,
+      padMs: settings.defaultPadMs,
+    });
+    if (result.error) {
+      $manualPasteResult.textContent = result.error;
+      return;
+    }
+
+    pastedRange = result;
+    $manualStart.value = toLocalDatetimeString(result.start);
+    $manualEnd.value = toLocalDatetimeString(result.end);
+
+    var detail = result.raw && result.raw.formats ? result.raw.formats.join(", ") : result.source;
+    if (result.raw && result.raw.anchor) detail += " (single time, ±" + formatDuration(0, settings.defaultPadMs) + ")";
+    $manualPasteResult.textContent = "Recognised: " + detail;
+  }
+
   async function saveManualRange() {
     var startVal = $manualStart.value;
     var endVal = $manualEnd.value;
@@ -279,33 +758,47 @@
       return;
     }
 
-    // Interpret manual input as JST (+09:00)
-    var startMs = new Date(startVal + "+09:00").getTime();
-    var endMs = new Date(endVal + "+09:00").getTime();
+    // Interpret manual input as wall-clock time in the configured zone
+    var startMs = TZ.wallTimeToEpoch(startVal, settings.timeZone);
+    var endMs = TZ.wallTimeToEpoch(endVal, settings.timeZone);
 
     if (isNaN(startMs) || isNaN(endMs)) {
       showToast("Invalid date format", "error");
       return;
     }
 
-    if (startMs >= endMs) {
-      showToast("Start must be before end", "error");
+    var checked = Validation.check({ start: startMs, end: endMs }, null);
+    if (checked.errors.length) {
+      showToast("Invalid range: " + checked.errors.join("; "), "error");
       return;
     }
 
     var timeRange = {
-      start: startMs,
-      end: endMs,
+      start: checked.range.start,
+      end: checked.range.end,
       source: "Manual",
       capturedAt: Date.now(),
+      timeZone: TZ.resolve(settings.timeZone),
     };
 
+    // Inputs still showing a pasted range (to the second) save as that range
+    if (pastedRange &&
+        Math.abs(pastedRange.start - startMs) < 1000 &&
+        Math.abs(pastedRange.end - endMs) < 1000) {
+      timeRange.source = pastedRange.source;
+      if (pastedRange.raw) timeRange.raw = pastedRange.raw;
+    }
+
     await chrome.runtime.sendMessage({
       action: "save-time-range",
       timeRange: timeRange,
     });
 
-    showToast("Manual range saved!", "success");
+    if (checked.warnings.length) {
+      showToast("Saved, but " + checked.warnings.join("; "), "warning");
+    } else {
+      showToast("Manual range saved!", "success");
+    }
     await refreshDisplay();
   }
 
@@ -323,14 +816,406 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Copy Links
+  // ---------------------------------------------------------------------------
+
+  function buildLinks() {
+    if (!currentRange) return [];
+    return window.TimeKeeperLinks.buildAll(currentRange, {
+      region: $linksRegion.value.trim() || "us-east-1",
+      logGroup: $linksLogGroup.value.trim(),
+    });
+  }
+
+  function copyText(text, message) {
+    navigator.clipboard.writeText(text).then(function () {
+      showToast(message, "success");
+    }, function () {
+      showToast("Copy failed", "error");
+    });
+  }
+
+  function renderLinks() {
+    if (!$linksSection.open) return;
+
+    var links = buildLinks();
+    if (links.length === 0) {
+      $linksList.innerHTML = '<div class="empty-state-small">No time range to link.</div>';
+      return;
+    }
+
+    $linksList.innerHTML = "";
+    links.forEach(function (link) {
+      var div = document.createElement("div");
+      div.className = "link-item";
+      div.title = link.url || "";
+      div.innerHTML =
+        '<span class="li-label">' + escapeHtml(link.label) + "</span>" +
+        (link.url
+          ? '<button class="li-copy">Copy</button>'
+          : '<span class="li-note">' + escapeHtml(link.note || "Unavailable") + "</span>");
+      if (link.url) {
+        div.querySelector(".li-copy").addEventListener("click", function () {
+          copyText(link.url, "Copied " + link.label + " link");
+        });
+      }
+      $linksList.appendChild(div);
+    });
+  }
+
+  function copyAllLinks() {
+    var links = buildLinks().filter(function (link) { return link.url; });
+    if (links.length === 0) {
+      showToast("No time range to link", "error");
+      return;
+    }
+
+    var header = formatDateTime(currentRange.start) + " - " + formatDateTime(currentRange.end) +
+      " (" + TZ.label(settings.timeZone) + ")";
+    var lines = links.map(function (link) { return link.label + ": " + link.url; });
+    copyText([header].concat(lines).join("\n"), "Copied " + links.length + " links");
+  }
+
+  async function prefillLinksRegion() {
+    try {
+      var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      var region = tabs && tabs[0] && tabs[0].url ? window.TimeKeeperLinks.regionFromUrl(tabs[0].url) : null;
+      if (region) $linksRegion.value = region;
+    } catch (e) {
+      // Leave the placeholder region
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Query Templates
+  // ---------------------------------------------------------------------------
+
+  var Templates = window.TimeKeeperTemplates;
+  var editingTemplateId = null;
+
+  function fillTemplateForm(template) {
+    editingTemplateId = template.id || null;
+    $templateName.value = template.name || "";
+    $templateQuery.value = template.query || "";
+    $templateLogGroups.value = (template.logGroups || []).join("\n");
+  }
+
+  async function openTemplate(template, format) {
+    if (!currentRange) {
+      showToast("No time range to open", "error");
+      return;
+    }
+    var links = window.TimeKeeperLinks.logsInsights(currentRange, template, {
+      region: $linksRegion.value.trim() || "us-east-1",
+    });
+    await chrome.tabs.create({ url: links[format] });
+  }
+
+  async function refreshTemplates() {
+    var templates = await Templates.list();
+    $templatesCount.textContent = templates.length;
+
+    if (templates.length === 0) {
+      $templatesList.innerHTML = '<div class="empty-state-small">No saved queries.</div>';
+      return;
+    }
+
+    $templatesList.innerHTML = "";
+    templates.forEach(function (template) {
+      var div = document.createElement("div");
+      div.className = "link-item";
+      div.title = template.query;
+      var groups = template.logGroups.length;
+      div.innerHTML =
+        '<span class="li-label">' + escapeHtml(template.name) +
+        ' <span class="li-note">' + groups + (groups === 1 ? " group" : " groups") + "</span></span>" +
+        '<button class="li-copy" data-format="a" title="Open Logs Insights (queryDetail=)">Open</button>' +
+        '<button class="li-copy" data-format="b" title="Open Logs Insights (queryDetail$3D)">B</button>' +
+        '<button class="hi-remove" title="Delete template">&times;</button>';
+      div.querySelector(".li-label").addEventListener("click", function () {
+        fillTemplateForm(template);
+      });
+      Array.prototype.forEach.call(div.querySelectorAll("[data-format]"), function (button) {
+        button.addEventListener("click", function () {
+          openTemplate(template, button.dataset.format);
+        });
+      });
+      div.querySelector(".hi-remove").addEventListener("click", async function () {
+        await Templates.remove(template.id);
+        if (editingTemplateId === template.id) editingTemplateId = null;
+        await refreshTemplates();
+      });
+      $templatesList.appendChild(div);
+    });
+  }
+
+  async function saveTemplate() {
+    var response = await Templates.save({
+      id: editingTemplateId,
+      name: $templateName.value,
+      query: $templateQuery.value,
+      logGroups: Templates.splitLogGroups($templateLogGroups.value),
+    });
+    if (!response.success) {
+      showToast(response.error, "error");
+      return;
+    }
+    fillTemplateForm({});
+    showToast("Saved template " + response.template.name, "success");
+    await refreshTemplates();
+  }
+
+  async function templateFromTab() {
+    var tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    var found = tabs && tabs[0] && tabs[0].url ? Templates.fromUrl(tabs[0].url) : null;
+    if (!found) {
+      showToast("No Logs Insights query in this tab", "error");
+      return;
+    }
+    $templateQuery.value = found.query;
+    $templateLogGroups.value = found.logGroups.join("\n");
+    $templateName.focus();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export / Import
+  // ---------------------------------------------------------------------------
+
+  function downloadFile(filename, text, mimeType) {
+    var url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  async function exportRanges(format) {
+    var response = await chrome.runtime.sendMessage({ action: "get-incident" });
+    var incident = response ? response.incident : null;
+    if (!incident) {
+      showToast("Nothing to export", "error");
+      return;
+    }
+
+    var IO = window.TimeKeeperIO;
+    var slug = incident.name.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || "incident";
+    var filename = "time-keeper-" + slug + "-" + TZ.formatWallTime(Date.now(), settings.timeZone).slice(0, 10);
+
+    if (format === "csv") {
+      downloadFile(filename + ".csv", IO.toCSV(incident, settings.timeZone), "text/csv");
+    } else {
+      downloadFile(filename + ".json", IO.toJSON(incident, settings.timeZone), "application/json");
+    }
+    showToast("Exported " + IO.toEntries(incident, settings.timeZone).length + " ranges", "success");
+  }
+
+  /**
+   * The file chooser closes the popup (and its change handler with it), so
+   * import runs on the options page.
+   */
+  function openImport() {
+    chrome.tabs.create({ url: chrome.runtime.getURL("options/options.html#import") });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Incidents
+  // ---------------------------------------------------------------------------
+
+  async function switchIncident() {
+    var response = await chrome.runtime.sendMessage({
+      action: "switch-incident",
+      id: $incidentSelect.value,
+    });
+
+    if (response && response.success) {
+      showToast("Switched to " + response.incident.name, "success");
+    } else {
+      showToast((response && response.error) || "Failed to switch", "error");
+    }
+    await refreshIncidentList();
+    await refreshDisplay();
+  }
+
+  function toggleNewIncidentForm() {
+    $incidentNewForm.classList.toggle("hidden");
+    if (!$incidentNewForm.classList.contains("hidden")) {
+      $incidentNewName.focus();
+    }
+  }
+
+  async function createIncident() {
+    var response = await chrome.runtime.sendMessage({
+      action: "create-incident",
+      name: $incidentNewName.value,
+    });
+
+    if (!response || !response.success) {
+      showToast((response && response.error) || "Failed to create incident", "error");
+      return;
+    }
+
+    $incidentNewName.value = "";
+    $incidentNewForm.classList.add("hidden");
+    showToast("Created " + response.incident.name, "success");
+    await refreshIncidentList();
+    await refreshDisplay();
+  }
+
+  async function saveIncidentNotes() {
+    await chrome.runtime.sendMessage({
+      action: "update-incident",
+      notes: $incidentNotes.value,
+    });
+  }
+
+  async function deleteIncident() {
+    var name = $incidentSelect.options[$incidentSelect.selectedIndex];
+    if (!confirm("Delete incident \"" + (name ? name.textContent : "") + "\" and its ranges?")) return;
+
+    var response = await chrome.runtime.sendMessage({
+      action: "delete-incident",
+      id: $incidentSelect.value,
+    });
+
+    if (response && response.success) {
+      showToast("Incident deleted", "success");
+    } else {
+      showToast((response && response.error) || "Failed to delete", "error");
+    }
+    await refreshIncidentList();
+    await refreshDisplay();
+  }
+
+  async function pinCurrent() {
+    var response = await chrome.runtime.sendMessage({ action: "pin-current" });
+    if (response && response.success) {
+      showToast("Range pinned", "success");
+      await refreshIncident();
+    } else {
+      showToast((response && response.error) || "Failed to pin", "error");
+    }
+  }
+
+  async function unpin(index) {
+    await chrome.runtime.sendMessage({ action: "unpin", index: index });
+    await refreshIncident();
+  }
+
+  async function restorePinned(index) {
+    var response = await chrome.runtime.sendMessage({
+      action: "restore-pinned",
+      index: index,
+    });
+
+    if (response && response.success) {
+      showToast("Restored pinned range", "success");
+      await refreshDisplay();
+    } else {
+      showToast("Failed to restore", "error");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Settings
+  // ---------------------------------------------------------------------------
+
+  function displaySettings() {
+    var stepOption = $adjustStep.querySelector('option[value="' + settings.adjustStepMs + '"]');
+    $adjustStep.value = stepOption ? String(settings.adjustStepMs) : "custom";
+    $adjustStepCustom.value = stepOption ? "" : settings.adjustStepMs / 60000;
+    $adjustStepCustom.classList.toggle("hidden", !!stepOption);
+    $applyAllCurrentWindow.checked = settings.applyAllCurrentWindowOnly;
+    $manualZone.textContent = TZ.label(settings.timeZone);
+  }
+
+  /**
+   * Show the bindings actually assigned in chrome://extensions/shortcuts,
+   * which may differ from the manifest's suggested keys.
+   */
+  async function displayShortcuts() {
+    var commands = await chrome.commands.getAll();
+    Array.prototype.forEach.call($shortcutKeys, function (kbd) {
+      var command = commands.filter(function (c) { return c.name === kbd.dataset.command; })[0];
+      if (command) kbd.textContent = command.shortcut || "Not set";
+    });
+  }
+
+  async function saveAdjustStep() {
+    $adjustStepCustom.classList.toggle("hidden", $adjustStep.value !== "custom");
+    var step = currentStepMs();
+    if (!isFinite(step) || step <= 0) return;
+
+    // The nudge keyboard commands use the same step
+    settings = await window.TimeKeeperSettings.set({ adjustStepMs: step });
+  }
+
+  async function saveApplyAllScope() {
+    settings = await window.TimeKeeperSettings.set({
+      applyAllCurrentWindowOnly: $applyAllCurrentWindow.checked,
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Event Listeners
   // ---------------------------------------------------------------------------
 
-  $btnCapture.addEventListener("click", captureTime);
+  $btnCapture.addEventListener("click", function () {
+    captureTime("capture-time");
+  });
+  $btnCaptureRun.addEventListener("click", function () {
+    captureTime("capture-canary-run");
+  });
   $btnApply.addEventListener("click", applyTime);
   $btnClear.addEventListener("click", clearAll);
+  $btnApplyAll.addEventListener("click", applyToAllTabs);
+  $applyAllCurrentWindow.addEventListener("change", saveApplyAllScope);
+  $linkTab.addEventListener("change", toggleLinkTab);
+  $btnOpenRegion.addEventListener("click", openInRegion);
+  $openRegion.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") openInRegion();
+  });
   $btnManualSave.addEventListener("click", saveManualRange);
+  $manualPaste.addEventListener("input", parsePaste);
+  $typedRange.addEventListener("input", previewTyped);
+  $typedRange.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") saveTypedRange();
+  });
+  $btnTypedSave.addEventListener("click", saveTypedRange);
+  $applyMode.addEventListener("change", setApplyMode);
+  $adjustStep.addEventListener("change", saveAdjustStep);
+  $adjustStepCustom.addEventListener("change", saveAdjustStep);
+  Array.prototype.forEach.call($adjustButtons, function (button) {
+    button.addEventListener("click", function () {
+      adjustRange(button);
+    });
+  });
+  $btnOptions.addEventListener("click", function () {
+    chrome.runtime.openOptionsPage();
+  });
+  $incidentSelect.addEventListener("change", switchIncident);
+  $linksSection.addEventListener("toggle", renderLinks);
+  $timelineSection.addEventListener("toggle", function () {
+    if (timelineIncident) renderTimeline(timelineIncident);
+  });
+  enableTimelineSelection();
+  $linksRegion.addEventListener("input", renderLinks);
+  $linksLogGroup.addEventListener("input", renderLinks);
+  $btnCopyAllLinks.addEventListener("click", copyAllLinks);
+  $btnTemplateSave.addEventListener("click", saveTemplate);
+  $btnTemplateFromTab.addEventListener("click", templateFromTab);
+  $btnExportJson.addEventListener("click", function () { exportRanges("json"); });
+  $btnExportCsv.addEventListener("click", function () { exportRanges("csv"); });
+  $btnImport.addEventListener("click", openImport);
+  $btnIncidentNew.addEventListener("click", toggleNewIncidentForm);
+  $btnIncidentCreate.addEventListener("click", createIncident);
+  $incidentNewName.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") createIncident();
+  });
+  $incidentNotes.addEventListener("change", saveIncidentNotes);
+  $btnPin.addEventListener("click", pinCurrent);
+  $btnIncidentDelete.addEventListener("click", deleteIncident);
 
   // Click-to-copy on Start/End values
   function setupCopyable(el) {
@@ -352,8 +1237,24 @@
   // ---------------------------------------------------------------------------
 
   (async function init() {
+    settings = await window.TimeKeeperSettings.get();
+    populateRegionOptions();
+    displaySettings();
+    await displayShortcuts();
+
     var service = await detectCurrentService();
     updateServiceBadge(service);
+    await refreshLinkState(service);
+    await prefillLinksRegion();
+    await refreshIncidentList();
     await refreshDisplay();
+    await refreshTemplates();
   })();
+
+  // Options page edits (zone, date format, ...) show up while the popup is open
+  window.TimeKeeperSettings.onChange(function (s) {
+    settings = s;
+    displaySettings();
+    refreshDisplay();
+  });
 })();
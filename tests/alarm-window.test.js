@@ -0,0 +1,64 @@
+/**
+ * Alarm incident window tests: history rows as the console renders them.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var Alarm = libs.Alarm;
+var Core = libs.Core;
+
+var ALARM_URL = "https://ap-northeast-1.console.aws.amazon.com/cloudwatch/home?region=ap-northeast-1#alarmsV2:alarm/High%20CPU%20api?~(tab~'history)";
+var MIN = 60 * 1000;
+var WINDOW = { leadMs: 30 * MIN, lagMs: 15 * MIN, alarmName: "High CPU api", now: Date.UTC(2026, 1, 24, 6, 0, 0) };
+
+// Newest first, as the History tab lists them
+var ROWS = [
+  "2026-02-24 03:10:00 State update Alarm updated from In alarm to OK",
+  "2026-02-24 03:05:12 Action Successfully executed action arn:aws:sns:ap-northeast-1:123456789012:oncall",
+  "2026-02-24 02:00:00 State update Alarm updated from OK to In alarm",
+  "2026-02-23 22:00:00 State update Alarm updated from Insufficient data to OK",
+];
+
+test("alarm detail pages are detected and named", function () {
+  assert.equal(Core.detectService(ALARM_URL), "cloudwatch-alarm");
+  assert.equal(Alarm.parseAlarmName(ALARM_URL), "High CPU api");
+  assert.equal(Core.detectService(ALARM_URL.replace(/#.*/, "#alarmsV2:?~(search~'cpu)")), "cloudwatch-generic");
+});
+
+test("history rows become transitions, oldest first", function () {
+  var transitions = Alarm.parseHistory(ROWS, { timeZone: "UTC" });
+  assert.deepEqual(transitions.map(function (t) { return t.to; }), ["OK", "ALARM", "OK"]);
+  assert.equal(transitions[1].time, Date.UTC(2026, 1, 24, 2, 0, 0));
+  assert.equal(transitions[1].from, "OK");
+
+  // Times without a zone follow the setting; explicit zones win
+  assert.equal(Alarm.parseHistory(ROWS, { timeZone: "Asia/Tokyo" })[1].time, Date.UTC(2026, 1, 23, 17, 0, 0));
+  assert.equal(Alarm.parseTimestamp("2026-02-24 02:00:00 UTC", "Asia/Tokyo"), Date.UTC(2026, 1, 24, 2, 0, 0));
+});
+
+test("window runs from lead before ALARM to lag after OK", function () {
+  var tr = Alarm.incidentWindow(Alarm.parseHistory(ROWS, { timeZone: "UTC" }), WINDOW);
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 1, 30, 0));
+  assert.equal(tr.end, Date.UTC(2026, 1, 24, 3, 25, 0));
+  assert.equal(tr.source, "CloudWatch Alarm");
+  assert.equal(tr.alarmName, "High CPU api");
+  assert.equal(tr.raw.alarm.recoveredTo, "OK");
+});
+
+test("a firing alarm ends now, and the latest ALARM wins", function () {
+  var rows = ["2026-02-24 05:00:00 Alarm updated from OK to In alarm"].concat(ROWS);
+  var tr = Alarm.incidentWindow(Alarm.parseHistory(rows, { timeZone: "UTC" }), WINDOW);
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 4, 30, 0));
+  assert.equal(tr.end, WINDOW.now);
+  assert.equal(tr.raw.alarm.recoveredAt, null);
+});
+
+test("no transition into ALARM gives no window", function () {
+  assert.equal(Alarm.incidentWindow(Alarm.parseHistory([ROWS[3]], { timeZone: "UTC" }), WINDOW), null);
+  assert.equal(Alarm.incidentWindow([], WINDOW), null);
+});
@@ -0,0 +1,64 @@
+/**
+ * Canary run window tests: run rows as the Synthetics console renders them.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var Canary = libs.Canary;
+var Core = libs.Core;
+
+var CANARY_URL = "https://ap-northeast-1.console.aws.amazon.com/cloudwatch/home?region=ap-northeast-1#synthetics:canary/detail/checkout%20flow?~(tab~'availability)";
+var MIN = 60 * 1000;
+
+// Newest first, as the runs list shows them
+var ROWS = [
+  "2026-02-24 03:10:00 (UTC) Passed 8.2 s",
+  "2026-02-24 03:05:00 (UTC) Failed 1m 12s",
+  "2026-02-24 03:00:00 (UTC) Failed 950 ms",
+  "Run time Status Duration",
+];
+
+test("canary detail pages are detected and named", function () {
+  assert.equal(Core.detectService(CANARY_URL), "cloudwatch-synthetics");
+  assert.equal(Canary.parseCanaryName(CANARY_URL), "checkout flow");
+  assert.equal(Canary.parseCanaryName(CANARY_URL.replace(/#.*/, "#synthetics:canary/list")), null);
+});
+
+test("run rows become runs, newest first", function () {
+  var runs = Canary.parseRuns(ROWS.slice().reverse(), { timeZone: "Asia/Tokyo" });
+  assert.deepEqual(runs.map(function (r) { return r.status; }), ["PASSED", "FAILED", "FAILED"]);
+  // "(UTC)" wins over the configured zone
+  assert.equal(runs[1].time, Date.UTC(2026, 1, 24, 3, 5, 0));
+  assert.equal(runs[1].durationMs, 72 * 1000);
+  assert.equal(runs[2].durationMs, 950);
+  assert.equal(runs[0].durationMs, 8200);
+
+  // Times without a zone follow the setting
+  var local = Canary.parseRuns(["2026-02-24 12:05:00 Failed 3 s"], { timeZone: "Asia/Tokyo" });
+  assert.equal(local[0].time, Date.UTC(2026, 1, 24, 3, 5, 0));
+});
+
+test("window pads the latest failed run", function () {
+  var run = Canary.latestFailed(Canary.parseRuns(ROWS, { timeZone: "UTC" }));
+  var tr = Canary.runWindow(run, { padMs: 15 * MIN, canaryName: "checkout flow" });
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 2, 50, 0));
+  assert.equal(tr.end, Date.UTC(2026, 1, 24, 3, 20, 0) + 72 * 1000);
+  assert.equal(tr.source, "Synthetics Canary");
+  assert.deepEqual(tr.raw.canary, {
+    name: "checkout flow",
+    runAt: Date.UTC(2026, 1, 24, 3, 5, 0),
+    status: "FAILED",
+    durationMs: 72 * 1000,
+  });
+});
+
+test("no failed run means no window", function () {
+  var runs = Canary.parseRuns([ROWS[0]], { timeZone: "UTC" });
+  assert.equal(Canary.latestFailed(runs), null);
+  assert.equal(Canary.runWindow(null, { padMs: MIN }), null);
+});
@@ -0,0 +1,32 @@
+/**
+ * Loads the shared lib/ scripts into globalThis, in the same order as the
+ * manifest's content_scripts, so tests see the globals the extension sees.
+ * Popup-only libs follow, in popup.html's order.
+ */
+"use strict";
+
+require("../../lib/jsurl.js");
+require("../../lib/timezone.js");
+require("../../lib/settings.js");
+require("../../lib/time-encoding.js");
+require("../../lib/time-core.js");
+require("../../lib/validation.js");
+require("../../lib/alarm-window.js");
+require("../../lib/canary-run.js");
+require("../../lib/paste-parser.js");
+require("../../lib/range-expression.js");
+require("../../lib/range-io.js");
+
+module.exports = {
+  JSURL: globalThis.JSURL,
+  TZ: globalThis.TimeKeeperTZ,
+  Settings: globalThis.TimeKeeperSettings,
+  Enc: globalThis.TimeKeeperEncoding,
+  Core: globalThis.TimeKeeperCore,
+  Validation: globalThis.TimeKeeperValidation,
+  Alarm: globalThis.TimeKeeperAlarm,
+  Canary: globalThis.TimeKeeperCanary,
+  Paste: globalThis.TimeKeeperPaste,
+  Expr: globalThis.TimeKeeperExpression,
+  IO: globalThis.TimeKeeperIO,
+};
@@ -0,0 +1,121 @@
+/**
+ * Runs background/service-worker.js against an in-memory chrome API, so
+ * tests can drive it through its message listener.
+ *
+ * Storage calls yield before they read or write, like the real async API,
+ * so concurrent callers interleave.
+ */
+"use strict";
+
+var fs = require("node:fs");
+var path = require("node:path");
+var vm = require("node:vm");
+require("./load-libs.js");
+
+var ROOT = path.join(__dirname, "..", "..");
+var SOURCE = fs.readFileSync(path.join(ROOT, "background", "service-worker.js"), "utf8");
+
+function tick() {
+  return new Promise(function (resolve) { setImmediate(resolve); });
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function storageArea(initial) {
+  var items = copy(initial || {});
+  var writes = [];
+  return {
+    items: items,
+    // [["set" | "remove", keys]] in call order
+    writes: writes,
+    get: async function (keys) {
+      await tick();
+      var names = keys == null ? Object.keys(items) : [].concat(keys);
+      var result = {};
+      names.forEach(function (key) {
+        if (key in items) result[key] = copy(items[key]);
+      });
+      return result;
+    },
+    set: async function (values) {
+      writes.push(["set", Object.keys(values)]);
+      await tick();
+      Object.assign(items, copy(values));
+    },
+    remove: async function (keys) {
+      writes.push(["remove", [].concat(keys)]);
+      await tick();
+      [].concat(keys).forEach(function (key) { delete items[key]; });
+    },
+  };
+}
+
+function event() {
+  var listeners = [];
+  return {
+    listeners: listeners,
+    addListener: function (fn) { listeners.push(fn); },
+  };
+}
+
+/**
+ * Start a fresh worker.
+ *   options: { local, session } - initial storage contents
+ *            sendToTab(tabId, message) - content script reply (default: none)
+ * Returns { chrome, send(message, sender), command(name), removeTab(tabId),
+ * idle() }.
+ */
+module.exports = function loadServiceWorker(options) {
+  options = options || {};
+  var chrome = {
+    storage: {
+      local: storageArea(options.local),
+      sync: storageArea(),
+      session: storageArea(options.session),
+      onChanged: event(),
+    },
+    runtime: { onMessage: event() },
+    tabs: {
+      onRemoved: event(),
+      query: async function () { return []; },
+      sendMessage: async function (tabId, message) {
+        await tick();
+        return options.sendToTab ? options.sendToTab(tabId, message) : undefined;
+      },
+    },
+    commands: { onCommand: event() },
+    action: {
+      setBadgeText: function () {},
+      setBadgeBackgroundColor: function () {},
+    },
+  };
+
+  globalThis.chrome = chrome;
+  globalThis.importScripts = function () {
+    Array.prototype.forEach.call(arguments, function (file) {
+      require(path.join(ROOT, file));
+    });
+  };
+  vm.runInThisContext(SOURCE, { filename: "service-worker.js" });
+
+  return {
+    chrome: chrome,
+    send: function (message, sender) {
+      return new Promise(function (resolve) {
+        chrome.runtime.onMessage.listeners[0](message, sender || {}, resolve);
+      });
+    },
+    command: function (name) {
+      return chrome.commands.onCommand.listeners[0](name);
+    },
+    removeTab: function (tabId) {
+      return chrome.tabs.onRemoved.listeners[0](tabId);
+    },
+    // Let startup work (badge, migration) finish
+    idle: async function () {
+      for (var i = 0; i < 20; i++) await tick();
+    },
+  };
+};
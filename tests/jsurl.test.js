@@ -0,0 +1,202 @@
+/**
+ * JSURL round-trip tests: fixed console payloads plus seeded random values.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var JSURL = libs.JSURL;
+var Enc = libs.Enc;
+var Core = libs.Core;
+
+var CW = "https://ap-northeast-1.console.aws.amazon.com/cloudwatch/home?region=ap-northeast-1";
+
+// Payloads as the console writes them
+var PAYLOADS = {
+  metricsGraph: "~(metrics~(~(~'AWS*2fLambda~'Errors~'FunctionName~'my-fn)~(~'.~'Invocations~'.~'.~(stat~'Sum~yAxis~'right)))" +
+    "~view~'timeSeries~stacked~false~region~'ap-northeast-1~stat~'Average~period~300" +
+    "~start~'-PT3H~end~'P0D~title~'Errors*20vs*20invocations)",
+  insightsDetail: "~(end~0~start~-3600~timeType~'RELATIVE~tz~'UTC~unit~'seconds" +
+    "~editorString~'fields*20*40timestamp*2c*20*40message*0a*7c*20filter*20*40message*20like*20*2fERROR*2f*0a*7c*20sort*20*40timestamp*20desc*0a*7c*20limit*2020" +
+    "~queryId~'a1b2c3d4-e5f6-7890-abcd-ef1234567890~source~(~'*2faws*2flambda*2fmy-fn~'*2faws*2fecs*2fapi)~lang~'CWLI~isLiveTail~false)",
+  dashboardState: "~(timeRange~(~1771858800000~1771988400000)~autoRefresh~false~defaultPeriod~300~variables~(env~'prod))",
+  keywordKeys: "~(true~1~false~'x~null~null~1a~-2~-b~1.5e-7~t~(~)~f~())",
+};
+
+// ---------------------------------------------------------------------------
+// Spec behaviour
+// ---------------------------------------------------------------------------
+
+test("empty object and empty array are distinct", function () {
+  assert.deepEqual(JSURL.parse("~()"), {});
+  assert.deepEqual(JSURL.parse("~(~)"), []);
+  assert.equal(JSURL.stringify({}), "~()");
+  assert.equal(JSURL.stringify([]), "~(~)");
+});
+
+test("keys may start with digits, '-', 't', 'f' or 'n'", function () {
+  assert.deepEqual(JSURL.parse(PAYLOADS.keywordKeys), {
+    "true": 1, "false": "x", "null": null, "1a": -2, "-b": 1.5e-7, t: [], f: {},
+  });
+});
+
+test("escapes match upstream", function () {
+  assert.equal(JSURL.stringify("a b$c'd"), "~'a*20b!c*27d");
+  assert.equal(JSURL.stringify("日"), "~'**65e5");
+  assert.equal(JSURL.parse("~'a*20b!c*27d"), "a b$c'd");
+  // A percent-encoded string marker is accepted
+  assert.equal(JSURL.parse("~%27abc"), "abc");
+});
+
+test("undefined and functions are skipped, non-finite numbers become null", function () {
+  assert.equal(JSURL.stringify({ a: undefined, b: function () {}, c: 1 }), "~(c~1)");
+  assert.equal(JSURL.stringify([undefined, NaN, Infinity]), "~(~null~null~null)");
+});
+
+test("input ending before its closing parens is accepted", function () {
+  assert.deepEqual(JSURL.parse("~(timeRange~181440000"), { timeRange: 181440000 });
+  assert.deepEqual(JSURL.parse("~(a~(~1~2"), { a: [1, 2] });
+  assert.deepEqual(JSURL.parse("~(a~(b~'x"), { a: { b: "x" } });
+});
+
+test("malformed input throws and tryParse falls back", function () {
+  ["(a~1)", "~(a~bogus)", "~(a~'x*zz)", "~-abc"].forEach(function (s) {
+    assert.throws(function () { JSURL.parse(s); }, /bad JSURL/, s);
+    assert.equal(JSURL.tryParse(s, null), null, s);
+  });
+});
+
+test("a __proto__ key stays a plain field", function () {
+  var obj = JSURL.parse("~(__proto__~(polluted~true))");
+  assert.deepEqual(Object.keys(obj), ["__proto__"]);
+  assert.equal({}.polluted, undefined);
+});
+
+// ---------------------------------------------------------------------------
+// Console Payloads
+// ---------------------------------------------------------------------------
+
+test("console payloads re-stringify byte for byte", function () {
+  Object.keys(PAYLOADS).forEach(function (name) {
+    assert.equal(JSURL.stringify(JSURL.parse(PAYLOADS[name])), PAYLOADS[name], name);
+  });
+});
+
+test("Logs Insights query text and sources decode intact", function () {
+  var detail = JSURL.parse(PAYLOADS.insightsDetail);
+  assert.equal(detail.editorString,
+    "fields @timestamp, @message\n| filter @message like /ERROR/\n| sort @timestamp desc\n| limit 20");
+  assert.deepEqual(detail.source, ["/aws/lambda/my-fn", "/aws/ecs/api"]);
+});
+
+test("injection changes only the time fields", function () {
+  var range = { start: Date.UTC(2026, 1, 24, 1, 0, 0), end: Date.UTC(2026, 1, 24, 2, 0, 0) };
+  // An hour after the range, so its period (300) is still a suitable one
+  var options = { timeZone: "UTC", now: Date.UTC(2026, 1, 24, 3, 0, 0) };
+
+  var graph = JSURL.parse(PAYLOADS.metricsGraph);
+  var metricsUrl = Core.injectUrl(CW + "#metricsV2:graph=" + PAYLOADS.metricsGraph, range, options);
+  var newGraph = JSURL.parse(new URL(metricsUrl).hash.replace(/^#metricsV2:graph=/, ""));
+  assert.deepEqual(newGraph, Object.assign({}, graph, {
+    start: "2026-02-24T01:00:00.000Z",
+    end: "2026-02-24T02:00:00.000Z",
+  }));
+
+  var detail = JSURL.parse(PAYLOADS.insightsDetail);
+  var expected = Object.assign({}, detail, { start: range.start / 1000, end: range.end / 1000, timeType: "ABSOLUTE" });
+
+  var urlB = Core.injectUrl(CW + "#logsV2:logs-insights$3FqueryDetail$3D" + PAYLOADS.insightsDetail, range, options);
+  assert.deepEqual(JSURL.parse(new URL(urlB).hash.split("queryDetail$3D")[1]), expected);
+
+  var urlA = Core.injectUrl(CW + "#logsV2:logs-insights?queryDetail=" + Enc.encodeQueryDetailA(detail), range, options);
+  assert.deepEqual(Enc.decodeQueryDetailA(new URL(urlA).hash.split("queryDetail=")[1]), expected);
+
+  var state = JSURL.parse(PAYLOADS.dashboardState);
+  var genericUrl = Core.injectUrl(CW + "#home:dashboards/Foo?" + PAYLOADS.dashboardState, range, options);
+  assert.deepEqual(JSURL.parse(new URL(genericUrl).hash.split("?")[1]),
+    Object.assign({}, state, { timeRange: [range.start, range.end] }));
+});
+
+// ---------------------------------------------------------------------------
+// Property Tests
+// ---------------------------------------------------------------------------
+
+// Seeded PRNG (mulberry32) so failures are reproducible
+function rng(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+var CHARS = Array.from("abcXYZ019 _.-~()'!*$%&=?#/:,@\n\t\"\\éü日本😀");
+var WORDS = ["true", "false", "null", "-1", "1e5", "-PT3H", "P0D", "~", "~(", "'", "*2f", "!"];
+
+function randomString(rand, allowEmpty) {
+  if (rand() < 0.2) return WORDS[Math.floor(rand() * WORDS.length)];
+  var len = Math.floor(rand() * 8) + (allowEmpty ? 0 : 1);
+  var s = "";
+  for (var i = 0; i < len; i++) {
+    s += CHARS[Math.floor(rand() * CHARS.length)];
+  }
+  return s;
+}
+
+function randomNumber(rand) {
+  var kind = rand();
+  if (kind < 0.3) return Math.floor(rand() * 2000) - 1000;
+  if (kind < 0.5) return Math.floor(rand() * 2e12);
+  if (kind < 0.7) return (rand() - 0.5) * 1e-6;
+  if (kind < 0.8) return 0;
+  return (rand() - 0.5) * 1e25;
+}
+
+function randomValue(rand, depth) {
+  var kind = rand();
+  if (depth > 0 && kind < 0.2) {
+    var arr = [];
+    var n = Math.floor(rand() * 4);
+    for (var i = 0; i < n; i++) arr.push(randomValue(rand, depth - 1));
+    return arr;
+  }
+  if (depth > 0 && kind < 0.45) {
+    var obj = {};
+    var m = Math.floor(rand() * 5);
+    for (var j = 0; j < m; j++) {
+      // An empty first key would read back as an array, as upstream
+      obj[randomString(rand, false)] = randomValue(rand, depth - 1);
+    }
+    return obj;
+  }
+  if (kind < 0.7) return randomString(rand, true);
+  if (kind < 0.85) return randomNumber(rand);
+  if (kind < 0.95) return rand() < 0.5;
+  return null;
+}
+
+test("parse(stringify(v)) deep-equals v for random values", function () {
+  var rand = rng(20261017);
+  for (var i = 0; i < 2000; i++) {
+    var value = randomValue(rand, 4);
+    var encoded = JSURL.stringify(value);
+    assert.deepEqual(JSURL.parse(encoded), value, encoded);
+    // Output needs no further escaping in a URL fragment ('+' from exponents)
+    assert.match(encoded, /^[\w.~()'!*+-]*$/, encoded);
+  }
+});
+
+test("Logs Insights Format A / B encoders round-trip random objects", function () {
+  var rand = rng(42);
+  for (var i = 0; i < 500; i++) {
+    var detail = { end: 0, start: -3600, timeType: "RELATIVE", extra: randomValue(rand, 3) };
+    assert.deepEqual(Enc.decodeQueryDetailA(Enc.encodeQueryDetailA(detail)), detail);
+    assert.deepEqual(Enc.decodeQueryDetailB(Enc.encodeQueryDetailB(detail)), detail);
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * Paste parser tests: timestamps as they appear in alarm emails, paging
+ * notifications, CloudTrail JSON and log lines.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var Paste = libs.Paste;
+
+var AT = Date.UTC(2026, 9, 17, 3, 12, 0);
+var MIN = 60 * 1000;
+var OPTIONS = { timeZone: "Asia/Tokyo", padMs: 15 * MIN };
+
+// [text, epoch ms of the single timestamp, format]
+var SINGLE = [
+  ["2026-10-17T03:12:00Z", AT, "ISO 8601"],
+  ["2026-10-17T12:12:00+09:00", AT, "ISO 8601"],
+  ["2026-10-17 03:12:00.250 UTC", AT + 250, "ISO 8601"],
+  ["2026-10-17T12:12:00", AT, "ISO 8601"],
+  ["2026-02-24 09:00 PDT", Date.UTC(2026, 1, 24, 16, 0, 0), "ISO 8601"],
+  ["2026-02-24T09:00 IST", Date.UTC(2026, 1, 24, 3, 30, 0), "ISO 8601"],
+  ["2026-10-17 12:12:00 JST", AT, "ISO 8601"],
+  ["Sat, 17 Oct 2026 03:12:00 +0000", AT, "day-month-year"],
+  ["Friday 17 October, 2026 03:12:00 UTC", AT, "day-month-year"],
+  ["17 OCT 2026 12:12 JST", AT, "day-month-year"],
+  ["Oct 16, 2026 8:12:00 PM PDT", AT, "month-day-year"],
+  ["October 17 2026 at 03:12 GMT", AT, "month-day-year"],
+  ["Oct 17, 2026 02:12 AEST", AT - 11 * 60 * MIN, "month-day-year"],
+  ["Oct 17, 2026 12:12 PM", AT, "month-day-year"],
+  ["triggered at 1792206720", AT, "epoch"],
+  ["\"eventTime\": 1792206720000,", AT, "epoch"],
+];
+
+test("single timestamps in every recognised format", function () {
+  SINGLE.forEach(function (row) {
+    var stamps = Paste.findTimestamps(row[0], OPTIONS.timeZone);
+    assert.equal(stamps.length, 1, row[0]);
+    assert.equal(stamps[0].epochMs, row[1], row[0]);
+    assert.equal(stamps[0].format, row[2], row[0]);
+  });
+});
+
+test("words after a time are not taken for zones", function () {
+  // Read in the configured zone (JST), not as an unknown "zone" word
+  [
+    "Oct 17, 2026 12:12 Then it recovered",
+    "Oct 17, 2026 12:12 est. impact",
+    "17 Oct 2026 12:12 HST",
+  ].forEach(function (text) {
+    var stamps = Paste.findTimestamps(text, OPTIONS.timeZone);
+    assert.equal(stamps.length, 1, text);
+    assert.equal(stamps[0].epochMs, AT, text);
+  });
+});
+
+test("a single timestamp is padded either side", function () {
+  var tr = Paste.parse("ALARM: \"High CPU\" at 2026-10-17T03:12:00Z", OPTIONS);
+  assert.equal(tr.start, AT - 15 * MIN);
+  assert.equal(tr.end, AT + 15 * MIN);
+  assert.equal(tr.raw.anchor, AT);
+  assert.equal(tr.source, "Pasted");
+});
+
+test("several timestamps span from the earliest to the latest", function () {
+  var json = JSON.stringify({
+    Records: [
+      { eventTime: "2026-10-17T03:40:00Z" },
+      { eventTime: "2026-10-17T03:12:00Z" },
+    ],
+    startedAt: 1792206000,
+  });
+  var tr = Paste.parse(json, OPTIONS);
+  assert.equal(tr.start, AT - 12 * MIN);
+  assert.equal(tr.end, AT + 28 * MIN);
+  assert.deepEqual(tr.raw.formats, ["ISO 8601", "epoch"]);
+});
+
+test("console URLs are parsed for their own range", function () {
+  var url = "https://ap-northeast-1.console.aws.amazon.com/cloudwatch/home?region=ap-northeast-1#home:?~(timeRange~(~1792206720000~1792210320000))";
+  var tr = Paste.parse("see " + url + " for the graph", OPTIONS);
+  assert.equal(tr.start, AT);
+  assert.equal(tr.end, AT + 60 * MIN);
+  assert.equal(tr.raw.pastedUrl, url);
+
+  var noTime = Paste.parse("https://ap-northeast-1.console.aws.amazon.com/ec2/home#Instances:", OPTIONS);
+  assert.match(noTime.error, /No time range found/);
+});
+
+test("text without timestamps is an error", function () {
+  assert.deepEqual(Paste.parse("", OPTIONS), { error: "Nothing to parse" });
+  assert.deepEqual(Paste.parse("build 123456 failed", OPTIONS), { error: "No timestamps recognised" });
+});
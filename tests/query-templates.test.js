@@ -0,0 +1,100 @@
+/**
+ * Query template tests: log group lists, reading a template out of a Logs
+ * Insights URL and saving over an existing template.
+ *
+ * chrome.storage.local is replaced by an in-memory store.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+require("../lib/url-builder.js");
+require("../lib/query-templates.js");
+
+var Links = globalThis.TimeKeeperLinks;
+var Templates = globalThis.TimeKeeperTemplates;
+var Core = libs.Core;
+
+var store = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async function (key) {
+        var result = {};
+        if (key in store) result[key] = store[key];
+        return result;
+      },
+      set: async function (items) {
+        Object.assign(store, JSON.parse(JSON.stringify(items)));
+      },
+    },
+  },
+};
+
+test.beforeEach(function () {
+  store = {};
+});
+
+var RANGE = { start: Date.UTC(2026, 1, 24, 1, 0, 0), end: Date.UTC(2026, 1, 24, 2, 0, 0) };
+var QUERY = "fields @timestamp, @message\n| filter @message like /ERROR/";
+
+test("log groups split on newlines and commas, dropping blanks", function () {
+  assert.deepEqual(
+    Templates.splitLogGroups(" /aws/lambda/a \n/aws/lambda/b, /aws/ecs/api,,\n\n"),
+    ["/aws/lambda/a", "/aws/lambda/b", "/aws/ecs/api"]
+  );
+  assert.deepEqual(Templates.splitLogGroups(""), []);
+  assert.deepEqual(Templates.splitLogGroups(undefined), []);
+});
+
+test("a template is read back out of a Logs Insights link", function () {
+  var template = { query: QUERY, logGroups: ["/aws/lambda/a", "/aws/ecs/api"] };
+  var links = Links.logsInsights(RANGE, template, { region: "eu-west-1" });
+  [links.a, links.b].forEach(function (url) {
+    assert.deepEqual(Templates.fromUrl(url), template);
+  });
+});
+
+test("URLs without query text give no template", function () {
+  var rangeOnly = Links.build("cloudwatch-logs-insights-b", RANGE, { region: "us-east-1" });
+  assert.notEqual(Core.queryDetail(rangeOnly), null);
+  assert.equal(Templates.fromUrl(rangeOnly), null);
+  assert.equal(Templates.fromUrl("https://us-east-1.console.aws.amazon.com/ec2/home#Instances:"), null);
+  assert.equal(Templates.fromUrl("not a url"), null);
+});
+
+test("saving replaces the template with the same id, or else the same name", async function () {
+  var first = (await Templates.save({ name: "Errors", query: QUERY, logGroups: ["/aws/lambda/a"] })).template;
+  await Templates.save({ name: "Latency", query: "stats avg(@duration)" });
+
+  // Same name, no id: replaced in place
+  var byName = await Templates.save({ name: " Errors ", query: "fields @message", logGroups: ["/aws/lambda/b"] });
+  assert.equal(byName.success, true);
+  assert.equal(byName.template.id, first.id);
+  assert.deepEqual((await Templates.list()).map(function (t) { return t.name; }), ["Errors", "Latency"]);
+
+  // By id: renamed without leaving a copy under the old name
+  var renamed = await Templates.save({ id: first.id, name: "5xx errors", query: "fields @message" });
+  assert.equal(renamed.template.id, first.id);
+  var templates = await Templates.list();
+  assert.deepEqual(templates.map(function (t) { return t.name; }), ["5xx errors", "Latency"]);
+  assert.deepEqual(templates[0].logGroups, []);
+});
+
+test("renaming to another template's name is refused", async function () {
+  var errors = (await Templates.save({ name: "Errors", query: QUERY })).template;
+  await Templates.save({ name: "Latency", query: "stats avg(@duration)" });
+
+  var response = await Templates.save({ id: errors.id, name: "Latency", query: QUERY });
+  assert.deepEqual(response, { success: false, error: "A template named \"Latency\" already exists" });
+  assert.deepEqual((await Templates.list()).map(function (t) { return t.name; }), ["Errors", "Latency"]);
+});
+
+test("saving without a name or query is refused and stores nothing", async function () {
+  assert.deepEqual(await Templates.save({ name: " ", query: QUERY }), { success: false, error: "Template name is required" });
+  assert.deepEqual(await Templates.save({ name: "Empty", query: "" }), { success: false, error: "Query text is required" });
+  assert.deepEqual(await Templates.list(), []);
+});
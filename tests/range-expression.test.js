@@ -0,0 +1,91 @@
+/**
+ * Range expression tests: the shorthand typed into the popup.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var Expr = libs.Expr;
+
+// 2026-10-17T12:00:00+09:00
+var NOW = Date.UTC(2026, 9, 17, 3, 0, 0);
+var OPTIONS = { timeZone: "Asia/Tokyo", now: NOW };
+var MIN = 60 * 1000;
+var HOUR = 60 * MIN;
+
+function jst(day, hours, minutes) {
+  return Date.UTC(2026, 9, day, hours - 9, minutes || 0, 0);
+}
+
+// [expression, start, end]
+var ABSOLUTE = [
+  ["yesterday 14:00-15:30", jst(16, 14), jst(16, 15, 30)],
+  ["2026-10-17 03:12 ±20m", jst(17, 2, 52), jst(17, 3, 32)],
+  ["2026-10-17 03:12 +/- 20m", jst(17, 2, 52), jst(17, 3, 32)],
+  ["since 09:00", jst(17, 9), NOW],
+  ["since 23:00", jst(16, 23), NOW],
+  ["2026-10-17 03:00 to 04:15", jst(17, 3), jst(17, 4, 15)],
+  ["23:30-00:30", jst(17, 23, 30), jst(18, 0, 30)],
+  ["03:12 +30m", jst(17, 3, 12), jst(17, 3, 42)],
+  ["03:12 -1h", jst(17, 2, 12), jst(17, 3, 12)],
+  ["2pm ~ 3pm", jst(17, 14), jst(17, 15)],
+  ["today", jst(17, 0), jst(18, 0)],
+  ["2026-10-15", jst(15, 0), jst(16, 0)],
+  ["2026-10-15 - 2026-10-16", jst(15, 0), jst(17, 0)],
+];
+
+test("request examples and variants resolve in the configured zone", function () {
+  ABSOLUTE.forEach(function (row) {
+    var tr = Expr.resolve(row[0], OPTIONS);
+    assert.equal(tr.error, undefined, row[0] + ": " + tr.error);
+    assert.equal(tr.start, row[1], row[0]);
+    assert.equal(tr.end, row[2], row[0]);
+    assert.equal(tr.source, "Typed");
+    assert.equal(tr.timeZone, "Asia/Tokyo");
+    assert.equal(tr.raw.type, "absolute");
+    assert.equal(tr.raw.expression, row[0]);
+  });
+});
+
+test("rolling windows keep an ISO duration", function () {
+  [
+    ["last 90m", 90 * MIN, "-PT1H30M"],
+    ["2h", 2 * HOUR, "-PT2H"],
+    ["past 1h30m", 90 * MIN, "-PT1H30M"],
+    ["PT3H", 3 * HOUR, "-PT3H"],
+    ["last 2 days", 48 * HOUR, "-PT48H"],
+  ].forEach(function (row) {
+    var tr = Expr.resolve(row[0], OPTIONS);
+    assert.equal(tr.end, NOW, row[0]);
+    assert.equal(tr.end - tr.start, row[1], row[0]);
+    assert.equal(tr.raw.type, "relative", row[0]);
+    assert.equal(tr.raw.duration, row[2], row[0]);
+  });
+});
+
+test("a trailing zone overrides the configured one", function () {
+  var utc = Expr.resolve("yesterday 14:00-15:30 UTC", OPTIONS);
+  assert.equal(utc.start, Date.UTC(2026, 9, 16, 14, 0, 0));
+  assert.equal(utc.timeZone, "UTC");
+
+  var tokyo = Expr.resolve("14:00-15:00 jst", { timeZone: "UTC", now: NOW });
+  assert.equal(tokyo.start, jst(17, 14));
+  assert.equal(tokyo.raw.expression, "14:00-15:00 jst");
+});
+
+test("without a zone option the default setting (JST) is used", function () {
+  var tr = Expr.resolve("2026-10-17 03:00 to 04:00", { now: NOW });
+  assert.equal(tr.timeZone, "Asia/Tokyo");
+  assert.equal(tr.start, jst(17, 3));
+});
+
+test("nonsense and empty windows are errors", function () {
+  assert.deepEqual(Expr.resolve("  ", OPTIONS), { error: "Type an expression" });
+  assert.match(Expr.resolve("whenever", OPTIONS).error, /Could not understand "whenever"/);
+  assert.match(Expr.resolve("25:00-26:00", OPTIONS).error, /Could not understand/);
+  assert.deepEqual(Expr.resolve("since 12:00", OPTIONS), { error: "Start must be before end" });
+});
@@ -0,0 +1,119 @@
+/**
+ * Range import/export tests: JSON and CSV round-trips, rejected rows and
+ * duplicate ranges.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var IO = libs.IO;
+
+var RANGE = {
+  start: Date.UTC(2026, 1, 24, 1, 0, 0),
+  end: Date.UTC(2026, 1, 24, 2, 0, 0),
+  source: "CloudWatch Metrics, ap-northeast-1",
+  capturedAt: Date.UTC(2026, 1, 24, 2, 5, 0),
+  timeZone: "Asia/Tokyo",
+  applyMode: "relative",
+  raw: { type: "relative", duration: "-PT1H" },
+  region: "ap-northeast-1",
+};
+var PINNED = { start: Date.UTC(2026, 1, 23, 0, 0, 0), end: Date.UTC(2026, 1, 23, 6, 0, 0), source: "Manual" };
+var INCIDENT = { name: "API 5xx", currentTimeRange: RANGE, history: [], pinned: [PINNED] };
+
+test("JSON and CSV exports read back to the same ranges", function () {
+  [IO.toJSON(INCIDENT, "UTC"), IO.toCSV(INCIDENT, "UTC")].forEach(function (text) {
+    var merged = IO.merge(IO.parse(text), []);
+    assert.equal(merged.rejected.length, 0);
+    assert.equal(merged.accepted.length, 2);
+
+    var tr = merged.accepted[0];
+    assert.equal(tr.start, RANGE.start);
+    assert.equal(tr.end, RANGE.end);
+    assert.equal(tr.source, RANGE.source);
+    assert.equal(tr.capturedAt, RANGE.capturedAt);
+    assert.equal(tr.timeZone, "Asia/Tokyo");
+    assert.equal(tr.applyMode, "relative");
+    assert.equal(tr.region, "ap-northeast-1");
+    assert.deepEqual(tr.raw, RANGE.raw);
+
+    // Ranges without a zone are written in the fallback zone
+    assert.equal(merged.accepted[1].timeZone, "UTC");
+  });
+});
+
+test("exports carry zone offsets in ISO times", function () {
+  var entry = IO.toEntries(INCIDENT, "UTC")[0];
+  assert.equal(entry.kind, "current");
+  assert.equal(entry.start, "2026-02-24T10:00:00+09:00");
+  assert.equal(entry.startMs, RANGE.start);
+});
+
+test("CSV cells that would run as spreadsheet formulas are escaped", function () {
+  var incident = {
+    name: "x",
+    currentTimeRange: Object.assign({}, RANGE, { source: "=HYPERLINK(\"http://x\",\"y\")", alarmName: "@cpu" }),
+    history: [Object.assign({}, PINNED, { source: "-5 errors, +3 retries" })],
+    pinned: [],
+  };
+  var csv = IO.toCSV(incident, "UTC");
+  var rows = csv.split("\r\n");
+  assert.ok(rows[1].indexOf(",\"'=HYPERLINK(\"\"http://x\"\",\"\"y\"\")\",") > 0, rows[1]);
+  assert.ok(rows[1].endsWith(",'@cpu"), rows[1]);
+  assert.ok(rows[2].indexOf(",\"'-5 errors, +3 retries\",") > 0, rows[2]);
+  // Numbers and ISO times are left alone
+  assert.ok(rows[1].startsWith("current,2026-02-24T10:00:00+09:00,"), rows[1]);
+
+  var merged = IO.merge(IO.parse(csv), []);
+  assert.equal(merged.accepted[0].source, incident.currentTimeRange.source);
+  assert.equal(merged.accepted[0].alarmName, "@cpu");
+  assert.equal(merged.accepted[1].source, "-5 errors, +3 retries");
+});
+
+test("malformed rows are rejected with their row numbers", function () {
+  var csv = [
+    "start,end,source,raw",
+    "2026-02-24T01:00:00Z,2026-02-24T02:00:00Z,ok,",
+    "2026-02-24T01:00:00,2026-02-24T02:00:00Z,no zone,",
+    "2026-02-24T03:00:00Z,2026-02-24T02:00:00Z,backwards,",
+    "2026-02-24T04:00:00Z,2026-02-24T05:00:00Z,bad raw,{oops",
+    "",
+    "2026-02-24T06:00:00Z,2026-02-24T07:00:00Z,\"quoted, with comma\",",
+  ].join("\n");
+
+  var merged = IO.merge(IO.parse(csv), []);
+  assert.deepEqual(merged.rejected, [
+    { row: 2, reason: "Missing or invalid start/end" },
+    { row: 3, reason: "Start is not before end" },
+    { row: 4, reason: "raw is not valid JSON" },
+  ]);
+  assert.deepEqual(merged.accepted.map(function (tr) { return tr.source; }), ["ok", "quoted, with comma"]);
+});
+
+test("entries whose ISO and epoch times disagree are rejected", function () {
+  var result = IO.validate({ start: "2026-02-24T01:00:00Z", startMs: RANGE.start + 60000, endMs: RANGE.end });
+  assert.deepEqual(result, { ok: false, reason: "ISO and epoch times disagree" });
+  assert.equal(IO.validate("nope").reason, "Not an object");
+});
+
+test("ranges already saved or repeated in the file are duplicates", function () {
+  var entries = [
+    { startMs: RANGE.start, endMs: RANGE.end },
+    { startMs: PINNED.start, endMs: PINNED.end },
+    { startMs: PINNED.start, endMs: PINNED.end, source: "again" },
+  ];
+  var merged = IO.merge(entries, [RANGE, null]);
+  assert.equal(merged.duplicates, 2);
+  assert.equal(merged.accepted.length, 1);
+  assert.equal(merged.accepted[0].source, "Imported");
+});
+
+test("text that is neither JSON nor CSV with a start column throws", function () {
+  assert.throws(function () { IO.parse("{\"ranges\": []}"); }, /no entries array/);
+  assert.throws(function () { IO.parse("from,to\n1,2"); }, /start or startMs/);
+  assert.deepEqual(IO.parse("  "), []);
+});
@@ -0,0 +1,116 @@
+/**
+ * Service worker tests: incident storage and linked-tab sync, driven through
+ * the message listener against in-memory chrome storage.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+var loadServiceWorker = require("./helpers/load-service-worker.js");
+
+var HOUR = 60 * 60 * 1000;
+var LEGACY = { start: Date.UTC(2026, 1, 24, 1, 0, 0), end: Date.UTC(2026, 1, 24, 2, 0, 0), source: "Legacy", timeZone: "UTC" };
+var OLDER = { start: LEGACY.start - HOUR, end: LEGACY.end - HOUR, source: "Older", timeZone: "UTC" };
+
+test("concurrent first loads migrate legacy storage once", async function () {
+  var worker = loadServiceWorker({
+    local: { currentTimeRange: LEGACY, timeRangeHistory: [OLDER] },
+  });
+  var saved = { start: LEGACY.start + HOUR, end: LEGACY.end + HOUR, source: "New", timeZone: "UTC" };
+
+  var responses = await Promise.all([
+    worker.send({ action: "get-current" }),
+    worker.send({ action: "list-incidents" }),
+    worker.send({ action: "save-time-range", timeRange: saved }),
+    worker.send({ action: "get-history" }),
+  ]);
+  await worker.idle();
+
+  assert.equal(responses[1].incidents.length, 1);
+  assert.equal(responses[2].success, true);
+
+  // One migration write and one legacy key removal, then the save
+  assert.deepEqual(worker.chrome.storage.local.writes, [
+    ["set", ["incidents", "activeIncidentId"]],
+    ["remove", ["currentTimeRange", "timeRangeHistory"]],
+    ["set", ["incidents"]],
+  ]);
+
+  var local = worker.chrome.storage.local.items;
+  assert.deepEqual(Object.keys(local.incidents), ["default"]);
+  assert.equal(local.activeIncidentId, "default");
+  assert.equal(local.currentTimeRange, undefined);
+  assert.equal(local.timeRangeHistory, undefined);
+
+  // The queued save landed on the migrated incident, not a fresh one
+  var incident = local.incidents.default;
+  assert.equal(incident.currentTimeRange.source, "New");
+  assert.deepEqual(incident.history.map(function (tr) { return tr.source; }), ["Legacy", "Older"]);
+});
+
+test("a second worker start leaves migrated incidents alone", async function () {
+  var first = loadServiceWorker({ local: { currentTimeRange: LEGACY } });
+  await first.idle();
+  var second = loadServiceWorker({ local: first.chrome.storage.local.items });
+  var response = await second.send({ action: "get-current" });
+  assert.equal(response.timeRange.source, "Legacy");
+});
+
+test("a failing nudge shortcut is logged, not left unhandled", async function (t) {
+  var worker = loadServiceWorker();
+  await worker.idle();
+  var warn = t.mock.method(console, "warn", function () {});
+  worker.chrome.storage.sync.get = async function () { throw new Error("storage unavailable"); };
+
+  await worker.command("nudge-left");
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(warn.mock.calls[0].arguments[0], "[TimeKeeper] Nudge shortcut error:");
+});
+
+function linkedWorker() {
+  return loadServiceWorker({
+    session: { linkedTabs: [1, 2, 3] },
+    sendToTab: function (tabId, message) {
+      return { success: message.action === "apply-time", service: "cloudwatch-metrics" };
+    },
+  });
+}
+
+test("interleaved linked-tab reports keep each other's echo windows", async function () {
+  var worker = linkedWorker();
+  await worker.idle();
+  var first = Object.assign({}, LEGACY, { source: "Tab 1" });
+  var second = Object.assign({}, OLDER, { source: "Tab 2" });
+
+  var responses = await Promise.all([
+    worker.send({ action: "linked-range-changed", timeRange: first }, { tab: { id: 1 } }),
+    worker.send({ action: "linked-range-changed", timeRange: second }, { tab: { id: 2 } }),
+  ]);
+
+  // Tab 2's report arrived inside the echo window of the push from tab 1
+  assert.equal(responses[0].results.length, 2);
+  assert.deepEqual(responses[1], { success: true, ignored: "echo" });
+
+  var linkSync = worker.chrome.storage.session.items.linkSync;
+  assert.equal(linkSync.lastKey, libs.Core.syncKey(first));
+  assert.deepEqual(Object.keys(linkSync.echoUntil).sort(), ["2", "3"]);
+  var current = await worker.send({ action: "get-current" });
+  assert.equal(current.timeRange.source, "Tab 1");
+});
+
+test("a tab closing during a sync stays unlinked", async function () {
+  var worker = linkedWorker();
+  await worker.idle();
+
+  await Promise.all([
+    worker.send({ action: "linked-range-changed", timeRange: LEGACY }, { tab: { id: 1 } }),
+    worker.removeTab(3),
+  ]);
+
+  var session = worker.chrome.storage.session.items;
+  assert.deepEqual(session.linkedTabs, [1, 2]);
+  assert.deepEqual(Object.keys(session.linkSync.echoUntil), ["2"]);
+});
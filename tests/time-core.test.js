@@ -0,0 +1,548 @@
+/**
+ * TimeKeeperCore parser / injector tests, built from the URLs recorded in
+ * docs/url-patterns.md.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+
+var Core = libs.Core;
+var JSURL = libs.JSURL;
+
+// 2026-02-24T12:00:00+09:00
+var NOW = Date.UTC(2026, 1, 24, 3, 0, 0);
+var OPTIONS = { timeZone: "Asia/Tokyo", now: NOW };
+
+var CW = "https://ap-northeast-1.console.aws.amazon.com/cloudwatch/home?region=ap-northeast-1";
+var XRAY = "https://ap-northeast-1.console.aws.amazon.com/xray/home?region=ap-northeast-1";
+var TRAIL = "https://ap-northeast-1.console.aws.amazon.com/cloudtrailv2/home?region=ap-northeast-1";
+
+var URLS = {
+  generic: CW + "#home:?~(timeRange~1814400000)",
+  genericDashboard: CW + "#home:dashboards/ApplicationELB?~(timeRange~43200000)",
+  genericNoParen: CW + "#home:?~(timeRange~181440000",
+  genericAbsolute: CW + "#home:?~(timeRange~(~1771858800000~1771988400000))",
+  dashboard: CW + "#dashboards/dashboard/Prod-API?~(timeRange~(start~'2026-02-24T09:00:00.000~end~'2026-02-24T10:00:00.000)~tz~'-0500~autoRefresh~true~refreshInterval~60000~period~300)",
+  dashboardEpoch: CW + "#dashboards/dashboard/Prod-API?~(timeRange~(start~1771891200000~end~1771894800000)~autoRefresh~true)",
+  metrics: CW + "#metricsV2:graph=~(start~'-PT3H~end~'now~view~'timeSeries~stacked~false)",
+  metricsAbsolute: CW + "#metricsV2:graph=~(view~'timeSeries~start~'2026-02-24T09:00:00.000~end~'2026-02-24T10:30:00.000)",
+  insightsA: CW + "#logsV2:log-groups/logs-insights?queryDetail=~$28end~0~start~-3600~timeType~$27RELATIVE$29",
+  insightsB: CW + "#logsV2:logs-insights$3FqueryDetail$3D~(end~0~start~-43200~timeType~'RELATIVE~unit~'seconds)",
+  insightsBAbsolute: CW + "#logsV2:logs-insights$3FqueryDetail$3D~(end~1771902000~start~1771898400~timeType~'ABSOLUTE)",
+  logEvents: CW + "#logsV2:log-groups/log-group/RDSOSMetrics/log-events/db-XXXXX$3Fstart$3D-1800000",
+  logEventsAbsolute: CW + "#logsV2:log-groups/log-group/RDSOSMetrics/log-events/db-XXXXX$3Fstart$3D1771898400000$26end$3D1771902000000",
+  logEventsLiteral: CW + "#logsV2:log-groups/log-group/RDSOSMetrics/log-events?start=-600000",
+  xray: XRAY + "&timeRange=PT1H",
+  xrayAbsolute: XRAY + "&timeRange=2026-02-24T09:00:00.000~2026-02-24T10:00:00.000",
+  traceMap: CW + "#servicelens:service-map/map?~(query~()~context~(timeRange~(delta~21600000)))",
+  traces: CW + "#xray:traces/query?~(query~(filter~'service*28*22api*22*29)~context~(timeRange~(end~'2026-02-24T02*3a00*3a00.000Z~start~'2026-02-24T01*3a00*3a00.000Z)))",
+  // Trace started 2026-02-24T02:30:00Z (0x699d0d28 epoch seconds)
+  traceDetail: CW + "#xray:traces/1-699d0d28-0123456789abcdef01234567",
+  appSignals: CW + "#application-signals:services/checkout?~(timeRange~10800000)",
+  slo: CW + "#application-signals:slos/checkout-latency?~(timeRange~(~1771894800000~1771898400000))",
+  canary: CW + "#synthetics:canary/detail/checkout-flow",
+  cloudTrail: TRAIL + "#/events?StartTime=2026-02-24T00:00:00.000Z&EndTime=2026-02-24T06:00:00.000Z&EventName=ConsoleLogin",
+  alb: "https://ap-northeast-1.console.aws.amazon.com/ec2/home?region=ap-northeast-1#LoadBalancer:loadBalancerArn=arn:aws:elasticloadbalancing:x;tab=monitoring",
+};
+
+// 2026-02-24 10:00-11:00 JST
+var RANGE = { start: Date.UTC(2026, 1, 24, 1, 0, 0), end: Date.UTC(2026, 1, 24, 2, 0, 0) };
+
+function relativeRange(duration) {
+  return Object.assign({}, RANGE, { applyMode: "relative", raw: { type: "relative", duration: duration } });
+}
+
+function hashOf(url) {
+  return new URL(url).hash;
+}
+
+// ---------------------------------------------------------------------------
+// Service Detection
+// ---------------------------------------------------------------------------
+
+test("detectService recognises every documented pattern", function () {
+  var expected = {
+    generic: "cloudwatch-generic",
+    genericDashboard: "cloudwatch-generic",
+    genericNoParen: "cloudwatch-generic",
+    metrics: "cloudwatch-metrics",
+    insightsA: "cloudwatch-logs-insights",
+    insightsB: "cloudwatch-logs-insights",
+    logEvents: "cloudwatch-logs",
+    logEventsLiteral: "cloudwatch-logs",
+    xray: "xray",
+    traceMap: "cloudwatch-xray",
+    traces: "cloudwatch-xray",
+    traceDetail: "cloudwatch-xray",
+    appSignals: "cloudwatch-app-signals",
+    slo: "cloudwatch-app-signals",
+    canary: "cloudwatch-synthetics",
+    cloudTrail: "cloudtrail",
+    alb: "unknown",
+  };
+  Object.keys(expected).forEach(function (name) {
+    assert.equal(Core.detectService(URLS[name]), expected[name], name);
+  });
+  assert.equal(Core.detectService("https://example.com/"), "not-aws");
+  assert.equal(Core.detectService("not a url"), "not-aws");
+});
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+test("Pattern 1: generic timeRange as relative ms", function () {
+  var tr = Core.parseUrl(URLS.generic, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 1814400000);
+  assert.equal(tr.end, NOW);
+  assert.deepEqual(tr.raw, { type: "relative", durationMs: 1814400000 });
+});
+
+test("Pattern 1: path before '?' (dashboards)", function () {
+  var tr = Core.parseUrl(URLS.genericDashboard, OPTIONS).timeRange;
+  assert.equal(tr.end - tr.start, 43200000);
+});
+
+test("Pattern 1: missing closing paren still parses", function () {
+  var tr = Core.parseUrl(URLS.genericNoParen, OPTIONS).timeRange;
+  assert.equal(tr.end - tr.start, 181440000);
+});
+
+test("Pattern 1: absolute [startMs, endMs] array", function () {
+  var tr = Core.parseUrl(URLS.genericAbsolute, OPTIONS).timeRange;
+  assert.equal(tr.start, 1771858800000);
+  assert.equal(tr.end, 1771988400000);
+});
+
+test("Pattern 1: dashboard object-form strings are read in the dashboard tz", function () {
+  var tr = Core.parseUrl(URLS.dashboard, OPTIONS).timeRange;
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 14, 0, 0));
+  assert.equal(tr.end, Date.UTC(2026, 1, 24, 15, 0, 0));
+  assert.equal(tr.source, "CloudWatch Dashboard");
+
+  var epoch = Core.parseUrl(URLS.dashboardEpoch, OPTIONS).timeRange;
+  assert.equal(epoch.start, 1771891200000);
+});
+
+test("Pattern 2: metrics relative ISO duration", function () {
+  var tr = Core.parseUrl(URLS.metrics, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 3 * 3600000);
+  assert.equal(tr.end, NOW);
+  assert.equal(tr.raw.duration, "-PT3H");
+});
+
+test("Pattern 2: metrics absolute strings are read in the configured zone", function () {
+  var tr = Core.parseUrl(URLS.metricsAbsolute, OPTIONS).timeRange;
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 0, 0, 0));
+  assert.equal(tr.end, Date.UTC(2026, 1, 24, 1, 30, 0));
+
+  var utc = Core.parseUrl(URLS.metricsAbsolute, { timeZone: "UTC", now: NOW }).timeRange;
+  assert.equal(utc.start, Date.UTC(2026, 1, 24, 9, 0, 0));
+});
+
+test("Pattern 3: Logs Insights Format A with end: 0", function () {
+  var tr = Core.parseUrl(URLS.insightsA, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 3600000);
+  assert.equal(tr.end, NOW);
+  assert.deepEqual(tr.raw, { type: "relative", seconds: -3600 });
+});
+
+test("Pattern 4: Logs Insights Format B relative", function () {
+  var tr = Core.parseUrl(URLS.insightsB, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 43200000);
+  assert.equal(tr.end, NOW);
+});
+
+test("Pattern 4: Logs Insights Format B absolute epoch seconds", function () {
+  var tr = Core.parseUrl(URLS.insightsBAbsolute, OPTIONS).timeRange;
+  assert.equal(tr.start, 1771898400000);
+  assert.equal(tr.end, 1771902000000);
+});
+
+test("Pattern 5: Log Events relative ms without end", function () {
+  var tr = Core.parseUrl(URLS.logEvents, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 1800000);
+  assert.equal(tr.end, NOW);
+});
+
+test("Pattern 5: Log Events absolute start/end", function () {
+  var tr = Core.parseUrl(URLS.logEventsAbsolute, OPTIONS).timeRange;
+  assert.equal(tr.start, 1771898400000);
+  assert.equal(tr.end, 1771902000000);
+});
+
+test("Pattern 5: Log Events with literal ?start=", function () {
+  var tr = Core.parseUrl(URLS.logEventsLiteral, OPTIONS).timeRange;
+  assert.equal(tr.start, NOW - 600000);
+});
+
+test("Pattern 6: X-Ray relative and START~END", function () {
+  var rel = Core.parseUrl(URLS.xray, OPTIONS).timeRange;
+  assert.equal(rel.end - rel.start, 3600000);
+
+  var abs = Core.parseUrl(URLS.xrayAbsolute, OPTIONS).timeRange;
+  assert.equal(abs.start, Date.UTC(2026, 1, 24, 0, 0, 0));
+  assert.equal(abs.end, Date.UTC(2026, 1, 24, 1, 0, 0));
+});
+
+test("X-Ray in CloudWatch: trace map delta and traces start/end", function () {
+  var map = Core.parseUrl(URLS.traceMap, OPTIONS).timeRange;
+  assert.equal(map.start, NOW - 21600000);
+  assert.equal(map.end, NOW);
+  assert.deepEqual(map.raw, { type: "relative", durationMs: 21600000 });
+
+  var traces = Core.parseUrl(URLS.traces, OPTIONS).timeRange;
+  assert.equal(traces.start, RANGE.start);
+  assert.equal(traces.end, RANGE.end);
+});
+
+test("X-Ray in CloudWatch: a trace detail view centres on the trace's start", function () {
+  var at = Date.UTC(2026, 1, 24, 2, 30, 0);
+  var tr = Core.parseUrl(URLS.traceDetail, OPTIONS).timeRange;
+  assert.equal(tr.start, at - 15 * 60000);
+  assert.equal(tr.end, at + 15 * 60000);
+  assert.equal(tr.raw.traceId, "1-699d0d28-0123456789abcdef01234567");
+
+  // The trace wins over any context the view carries
+  var padded = Core.parseUrl(URLS.traceDetail + "?~(context~(timeRange~(delta~60000)))", { padMs: 5 * 60000 }).timeRange;
+  assert.equal(padded.end - padded.start, 10 * 60000);
+});
+
+test("Application Signals and Synthetics: generic-style timeRange state", function () {
+  var service = Core.parseUrl(URLS.appSignals, OPTIONS).timeRange;
+  assert.equal(service.end - service.start, 3 * 3600000);
+  assert.equal(service.source, "Application Signals");
+
+  var slo = Core.parseUrl(URLS.slo, OPTIONS).timeRange;
+  assert.equal(slo.start, 1771894800000);
+  assert.equal(slo.end, 1771898400000);
+
+  // A canary page opened without state shows its default window
+  assert.equal(Core.parseUrl(URLS.canary, OPTIONS).timeRange, null);
+  var canary = Core.parseUrl(URLS.canary + "?~(timeRange~3600000)", OPTIONS).timeRange;
+  assert.equal(canary.source, "Synthetics");
+  assert.equal(canary.raw.durationMs, 3600000);
+});
+
+test("Pattern 7: CloudTrail StartTime/EndTime", function () {
+  var tr = Core.parseUrl(URLS.cloudTrail, OPTIONS).timeRange;
+  assert.equal(tr.start, Date.UTC(2026, 1, 24, 0, 0, 0));
+  assert.equal(tr.end, Date.UTC(2026, 1, 24, 6, 0, 0));
+
+  var missingEnd = TRAIL + "#/events?StartTime=2026-02-24T00:00:00.000Z";
+  assert.equal(Core.parseUrl(missingEnd, OPTIONS).timeRange, null);
+});
+
+test("pages without a time in the URL parse to null", function () {
+  var parsed = Core.parseUrl(URLS.alb, OPTIONS);
+  assert.equal(parsed.service, "unknown");
+  assert.equal(parsed.timeRange, null);
+  assert.equal(Core.parseUrl(CW + "#metricsV2:", OPTIONS).timeRange, null);
+});
+
+// ---------------------------------------------------------------------------
+// Injectors
+// ---------------------------------------------------------------------------
+
+test("metrics: absolute times are written in UTC whatever the zone setting", function () {
+  // The console reads zone-less times in its own display zone, which need
+  // not match the setting
+  ["Asia/Tokyo", "America/New_York", "UTC"].forEach(function (timeZone) {
+    var url = Core.injectUrl(URLS.metrics, RANGE, { timeZone: timeZone, now: NOW });
+    var graph = JSURL.parse(hashOf(url).replace(/^#metricsV2:graph=/, ""));
+    assert.equal(graph.start, "2026-02-24T01:00:00.000Z", timeZone);
+    assert.equal(graph.end, "2026-02-24T02:00:00.000Z", timeZone);
+    assert.equal(graph.view, "timeSeries");
+    assert.equal(Core.parseUrl(url, { timeZone: "Europe/London" }).timeRange.start, RANGE.start);
+  });
+});
+
+test("metrics: relative apply mode writes an ISO duration", function () {
+  var url = Core.injectUrl(URLS.metricsAbsolute, relativeRange("-PT1H"), OPTIONS);
+  var graph = JSURL.parse(hashOf(url).replace(/^#metricsV2:graph=/, ""));
+  assert.equal(graph.start, "-PT1H");
+  assert.equal(graph.end, "P0D");
+});
+
+function periodAfterInject(url, range, now) {
+  var injected = Core.injectUrl(url, range, { timeZone: "UTC", now: now });
+  return JSURL.parse(hashOf(injected).replace(/^#metricsV2:graph=/, "")).period;
+}
+
+test("metrics: period follows the window's data-point limit", function () {
+  var DAY = 24 * 60 * 60 * 1000;
+  var week = { start: NOW - 7 * DAY, end: NOW };
+  assert.equal(periodAfterInject(CW + "#metricsV2:graph=~(period~60)", week, NOW), 900);
+
+  var tenMinutes = { start: NOW - 600000, end: NOW };
+  assert.equal(periodAfterInject(CW + "#metricsV2:graph=~(period~3600)", tenMinutes, NOW), 60);
+
+  // A period that still suits the window is kept; no period means the default
+  assert.equal(periodAfterInject(CW + "#metricsV2:graph=~(period~900)", { start: NOW - DAY, end: NOW }, NOW), 900);
+  assert.equal(periodAfterInject(URLS.metrics, RANGE, NOW), undefined);
+});
+
+test("metrics: period respects retention tiers", function () {
+  var DAY = 24 * 60 * 60 * 1000;
+  var hourAt = function (daysAgo) {
+    return { start: NOW - daysAgo * DAY - 3600000, end: NOW - daysAgo * DAY };
+  };
+  var url = CW + "#metricsV2:graph=~(period~60)";
+  assert.equal(periodAfterInject(url, hourAt(10), NOW), 60);
+  assert.equal(periodAfterInject(url, hourAt(30), NOW), 300);
+  assert.equal(periodAfterInject(url, hourAt(100), NOW), 3600);
+
+  var Enc = libs.Enc;
+  assert.equal(Enc.metricsResolution(NOW - 14 * DAY, NOW), 60);
+  assert.equal(Enc.metricsResolution(NOW - 500 * DAY, NOW), null);
+});
+
+test("Logs Insights: Format A stays Format A", function () {
+  var url = Core.injectUrl(URLS.insightsA, RANGE, OPTIONS);
+  assert.match(url, /queryDetail=~\$28/);
+  assert.doesNotMatch(url, /queryDetail\$3D/);
+  var detail = libs.Enc.decodeQueryDetailA(hashOf(url).split("queryDetail=")[1]);
+  assert.equal(detail.start, RANGE.start / 1000);
+  assert.equal(detail.end, RANGE.end / 1000);
+  assert.equal(detail.timeType, "ABSOLUTE");
+});
+
+test("Logs Insights: Format B stays Format B", function () {
+  var url = Core.injectUrl(URLS.insightsB, RANGE, OPTIONS);
+  assert.match(url, /queryDetail\$3D~\(/);
+  assert.doesNotMatch(url, /queryDetail=/);
+  var detail = JSURL.parse(hashOf(url).split("queryDetail$3D")[1]);
+  assert.equal(detail.start, RANGE.start / 1000);
+  assert.equal(detail.timeType, "ABSOLUTE");
+});
+
+test("Logs Insights: relative apply mode writes negative seconds and end 0", function () {
+  var url = Core.injectUrl(URLS.insightsBAbsolute, relativeRange("-PT2H"), OPTIONS);
+  var detail = JSURL.parse(hashOf(url).split("queryDetail$3D")[1]);
+  assert.equal(detail.start, -7200);
+  assert.equal(detail.end, 0);
+  assert.equal(detail.timeType, "RELATIVE");
+});
+
+test("Logs Insights: query, log groups and trailing params are kept byte for byte", function () {
+  var query = "~(end~0~start~-3600~timeType~'RELATIVE~unit~'seconds" +
+    "~editorString~'fields*20*40message*0a*7c*20filter*20*40message*20like*20*2fERROR*2f" +
+    "~source~(~'*2faws*2flambda*2fmy-fn)~queryId~'q-1)";
+  var timeFields = /end~0~start~-3600~timeType~'RELATIVE/;
+  var absolute = "end~" + RANGE.end / 1000 + "~start~" + RANGE.start / 1000 + "~timeType~'ABSOLUTE";
+
+  var urlB = CW + "#logsV2:logs-insights$3FqueryDetail$3D" + query + "$26tab$3Dlogs";
+  assert.equal(Core.injectUrl(urlB, RANGE, OPTIONS), urlB.replace(timeFields, absolute));
+
+  var urlA = CW + "#logsV2:logs-insights?queryDetail=" + libs.Enc.encodeQueryDetailA(JSURL.parse(query)) + "&tab=logs";
+  var injectedA = Core.injectUrl(urlA, RANGE, OPTIONS);
+  assert.equal(injectedA, urlA.replace(libs.Enc.encodeQueryDetailA(JSURL.parse(query)),
+    libs.Enc.encodeQueryDetailA(JSURL.parse(query.replace(timeFields, absolute)))));
+  assert.equal(Core.queryDetail(injectedA).editorString, "fields @message\n| filter @message like /ERROR/");
+  assert.deepEqual(Core.queryDetail(injectedA).source, ["/aws/lambda/my-fn"]);
+});
+
+test("Log Events: absolute adds end, relative removes it", function () {
+  var abs = Core.injectUrl(URLS.logEvents, RANGE, OPTIONS);
+  assert.ok(hashOf(abs).endsWith("$3Fstart$3D" + RANGE.start + "$26end$3D" + RANGE.end));
+
+  var rel = Core.injectUrl(URLS.logEventsAbsolute, relativeRange("-PT30M"), OPTIONS);
+  assert.ok(hashOf(rel).endsWith("/log-events/db-XXXXX$3Fstart$3D-1800000"));
+});
+
+test("Log Events: literal ?start= form", function () {
+  var url = Core.injectUrl(URLS.logEventsLiteral, RANGE, OPTIONS);
+  assert.ok(hashOf(url).endsWith("?start=" + RANGE.start + "&end=" + RANGE.end));
+});
+
+test("generic: keeps the path and writes [startMs, endMs]", function () {
+  var url = Core.injectUrl(URLS.genericDashboard, RANGE, OPTIONS);
+  assert.equal(hashOf(url), "#home:dashboards/ApplicationELB?~(timeRange~(~" + RANGE.start + "~" + RANGE.end + "))");
+
+  var fromNoParen = Core.injectUrl(URLS.genericNoParen, RANGE, OPTIONS);
+  assert.equal(Core.parseUrl(fromNoParen, OPTIONS).timeRange.start, RANGE.start);
+});
+
+test("dashboards: object form stays object form, tz follows the zone setting", function () {
+  var url = Core.injectUrl(URLS.dashboard, RANGE, OPTIONS);
+  var state = JSURL.parse(hashOf(url).split("?")[1]);
+  assert.deepEqual(state.timeRange, { start: "2026-02-24T10:00:00.000", end: "2026-02-24T11:00:00.000" });
+  assert.equal(state.tz, "+0900");
+  assert.equal(state.period, 300);
+  assert.equal(state.refreshInterval, 60000);
+  assert.equal(state.autoRefresh, true);
+
+  var epoch = JSURL.parse(hashOf(Core.injectUrl(URLS.dashboardEpoch, RANGE, OPTIONS)).split("?")[1]);
+  assert.deepEqual(epoch.timeRange, { start: RANGE.start, end: RANGE.end });
+
+  var utc = JSURL.parse(hashOf(Core.injectUrl(URLS.dashboard, RANGE, { timeZone: "UTC" })).split("?")[1]);
+  assert.equal(utc.tz, "UTC");
+  assert.equal(utc.timeRange.start, "2026-02-24T01:00:00.000");
+});
+
+test("dashboards: stopAutoRefresh only applies to absolute ranges", function () {
+  var options = { timeZone: "Asia/Tokyo", now: NOW, stopAutoRefresh: true };
+  var abs = JSURL.parse(hashOf(Core.injectUrl(URLS.dashboard, RANGE, options)).split("?")[1]);
+  assert.equal(abs.autoRefresh, false);
+
+  var rel = JSURL.parse(hashOf(Core.injectUrl(URLS.dashboard, relativeRange("-PT3H"), options)).split("?")[1]);
+  assert.equal(rel.timeRange, 10800000);
+  assert.equal(rel.autoRefresh, true);
+  assert.equal(rel.tz, "-0500");
+
+  var home = JSURL.parse(hashOf(Core.injectUrl(URLS.generic, RANGE, options)).split("?")[1]);
+  assert.deepEqual(Object.keys(home), ["timeRange"]);
+});
+
+test("dashboards: only the range keys change; per-widget overrides are not URL state", function () {
+  // Widget overrides live in the dashboard definition, so the URL state has
+  // nothing per widget; whatever other keys the page adds pass through
+  var url = CW + "#dashboards/dashboard/Prod-API?~(timeRange~10800000~period~300~refreshInterval~60000~graph~(view~'timeSeries))";
+  var state = JSURL.parse(hashOf(Core.injectUrl(url, RANGE, OPTIONS)).split("?")[1]);
+  assert.deepEqual(state, {
+    timeRange: [RANGE.start, RANGE.end],
+    period: 300,
+    refreshInterval: 60000,
+    graph: { view: "timeSeries" },
+  });
+});
+
+test("X-Ray: replaces the timeRange query param", function () {
+  var url = Core.injectUrl(URLS.xray, relativeRange("-PT3H"), OPTIONS);
+  assert.equal(new URL(url).searchParams.get("timeRange"), "PT3H");
+
+  var abs = Core.injectUrl(URLS.xray, RANGE, { timeZone: "America/New_York" });
+  assert.equal(new URL(abs).searchParams.get("timeRange"), "2026-02-24T01:00:00.000Z~2026-02-24T02:00:00.000Z");
+});
+
+test("X-Ray in CloudWatch: writes context.timeRange and keeps the query", function () {
+  var rel = Core.injectUrl(URLS.traces, relativeRange("-PT1H"), OPTIONS);
+  var state = JSURL.parse(hashOf(rel).split("?")[1]);
+  assert.deepEqual(state.context.timeRange, { delta: 3600000 });
+  assert.deepEqual(state.query, { filter: "service(\"api\")" });
+
+  var abs = Core.injectUrl(URLS.traceMap, RANGE, OPTIONS);
+  assert.deepEqual(JSURL.parse(hashOf(abs).split("?")[1]).context.timeRange, {
+    start: "2026-02-24T01:00:00.000Z",
+    end: "2026-02-24T02:00:00.000Z",
+  });
+
+  var detail = Core.injectUrl(URLS.traceDetail, RANGE, OPTIONS);
+  assert.ok(hashOf(detail).startsWith("#xray:traces/1-699d0d28-0123456789abcdef01234567?~(context~(timeRange~"));
+});
+
+test("Application Signals and Synthetics: adds state when the page has none", function () {
+  var canary = Core.injectUrl(URLS.canary, RANGE, OPTIONS);
+  assert.equal(hashOf(canary), "#synthetics:canary/detail/checkout-flow?~(timeRange~(~1771894800000~1771898400000))");
+
+  var rel = Core.injectUrl(URLS.slo, relativeRange("-PT1H"), OPTIONS);
+  assert.ok(hashOf(rel).startsWith("#application-signals:slos/checkout-latency?~(timeRange~3600000"));
+
+  var other = Core.injectUrl(CW + "#application-signals:services/checkout?~(timeRange~3600000~tab~'slos)", RANGE, OPTIONS);
+  assert.equal(JSURL.parse(hashOf(other).split("?")[1]).tab, "slos");
+});
+
+test("CloudTrail: keeps other filters and writes relative ranges as absolute", function () {
+  var result = Core.inject(URLS.cloudTrail, relativeRange("-PT1H"), OPTIONS);
+  assert.equal(result.applyMode, "absolute");
+  var params = new URLSearchParams(hashOf(result.url).split("?")[1]);
+  assert.equal(params.get("StartTime"), "2026-02-24T01:00:00.000Z");
+  assert.equal(params.get("EndTime"), "2026-02-24T02:00:00.000Z");
+  assert.equal(params.get("EventName"), "ConsoleLogin");
+});
+
+test("inject reports the mode the range was written in", function () {
+  assert.equal(Core.inject(URLS.metrics, relativeRange("-PT1H"), OPTIONS).applyMode, "relative");
+  assert.equal(Core.inject(URLS.metrics, RANGE, OPTIONS).applyMode, "absolute");
+  assert.equal(Core.inject(URLS.xray, relativeRange("-PT3H"), OPTIONS).applyMode, "relative");
+  assert.equal(Core.inject(URLS.alb, RANGE, OPTIONS), null);
+
+  var rolling = relativeRange("-PT1H");
+  assert.equal(Core.inject(URLS.genericDashboard, rolling, OPTIONS).url, Core.injectUrl(URLS.genericDashboard, rolling, OPTIONS));
+});
+
+test("injectUrl returns null where there is nowhere to write", function () {
+  assert.equal(Core.injectUrl(URLS.alb, RANGE, OPTIONS), null);
+  assert.equal(Core.injectUrl(CW + "#metricsV2:", RANGE, OPTIONS), null);
+  assert.equal(Core.injectUrl("https://example.com/", RANGE, OPTIONS), null);
+});
+
+test("absolute ranges round-trip through every injector", function () {
+  [
+    "metrics", "insightsA", "insightsB", "logEvents", "logEventsLiteral",
+    "generic", "dashboard", "dashboardEpoch", "xray", "traceMap", "traces",
+    "appSignals", "slo", "canary", "cloudTrail",
+  ].forEach(function (name) {
+    ["Asia/Tokyo", "UTC", "America/New_York"].forEach(function (zone) {
+      var options = { timeZone: zone, now: NOW };
+      var url = Core.injectUrl(URLS[name], RANGE, options);
+      var tr = Core.parseUrl(url, options).timeRange;
+      assert.equal(tr.start, RANGE.start, name + " " + zone);
+      assert.equal(tr.end, RANGE.end, name + " " + zone);
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Range Identity
+// ---------------------------------------------------------------------------
+
+test("syncKey matches the same window across services", function () {
+  var metrics = Core.parseUrl(URLS.metrics, OPTIONS).timeRange;
+  var xray = Core.parseUrl(XRAY + "&timeRange=PT3H", { timeZone: "UTC", now: NOW + 5000 }).timeRange;
+  var insights = Core.parseUrl(CW + "#logsV2:logs-insights$3FqueryDetail$3D~(end~0~start~-10800~timeType~'RELATIVE)", OPTIONS).timeRange;
+  assert.equal(Core.syncKey(metrics), "relative:10800");
+  assert.equal(Core.syncKey(xray), "relative:10800");
+  assert.equal(Core.syncKey(insights), "relative:10800");
+
+  var logEvents = Core.parseUrl(Core.injectUrl(URLS.logEvents, RANGE, OPTIONS), OPTIONS).timeRange;
+  var insightsAbs = Core.parseUrl(Core.injectUrl(URLS.insightsB, { start: RANGE.start + 400, end: RANGE.end + 400 }, OPTIONS), OPTIONS).timeRange;
+  assert.equal(Core.syncKey(logEvents), Core.syncKey(insightsAbs));
+  assert.notEqual(Core.syncKey(logEvents), Core.syncKey({ start: RANGE.start, end: RANGE.end + 1000 }));
+});
+
+// ---------------------------------------------------------------------------
+// Region / Account
+// ---------------------------------------------------------------------------
+
+var MULTI_SESSION = "https://123456789012-abcd1234.ap-northeast-1.console.aws.amazon.com";
+
+test("consoleLocation reads region and multi-session account", function () {
+  assert.deepEqual(Core.consoleLocation(URLS.metrics), { region: "ap-northeast-1", account: null });
+  assert.deepEqual(Core.consoleLocation(MULTI_SESSION + "/xray/home?region=ap-northeast-1"), { region: "ap-northeast-1", account: "123456789012" });
+  assert.deepEqual(Core.consoleLocation("https://console.aws.amazon.com/cloudwatch/home"), { region: null, account: null });
+  assert.equal(Core.consoleLocation("https://example.com/?region=us-east-1"), null);
+});
+
+test("withRegion moves the view and keeps its time range", function () {
+  var metrics = CW + "#metricsV2:graph=~(region~'ap-northeast-1~start~'-PT3H~end~'P0D)";
+  assert.equal(Core.withRegion(metrics, "us-east-1"),
+    "https://us-east-1.console.aws.amazon.com/cloudwatch/home?region=us-east-1#metricsV2:graph=~(region~'us-east-1~start~'-PT3H~end~'P0D)");
+
+  var xray = MULTI_SESSION + "/xray/home?region=ap-northeast-1&timeRange=2026-02-24T09:00:00.000~2026-02-24T10:00:00.000";
+  assert.equal(Core.withRegion(xray, "us-west-2"), xray.replace(/ap-northeast-1/g, "us-west-2"));
+
+  [URLS.insightsA, URLS.insightsB, URLS.logEventsAbsolute, URLS.cloudTrail].forEach(function (url) {
+    var moved = Core.withRegion(url, "eu-west-1");
+    assert.equal(Core.consoleLocation(moved).region, "eu-west-1");
+    assert.deepEqual(Core.parseUrl(moved, OPTIONS).timeRange, Core.parseUrl(url, OPTIONS).timeRange, url);
+  });
+
+  assert.equal(Core.withRegion(URLS.metrics, "mars-1"), null);
+});
+
+test("originMismatch flags a different region or account only", function () {
+  var range = { start: RANGE.start, end: RANGE.end, region: "ap-northeast-1", account: "123456789012" };
+  assert.deepEqual(Core.originMismatch(range, MULTI_SESSION + "/cloudwatch/home?region=ap-northeast-1"), []);
+  assert.deepEqual(Core.originMismatch(range, "https://987654321098-x.us-east-1.console.aws.amazon.com/cloudwatch/home?region=us-east-1"), [
+    { key: "region", captured: "ap-northeast-1", tab: "us-east-1" },
+    { key: "account", captured: "123456789012", tab: "987654321098" },
+  ]);
+  // A plain host says nothing about the account
+  assert.deepEqual(Core.originMismatch(range, URLS.metrics), []);
+  assert.deepEqual(Core.originMismatch({ start: 0, end: 1 }, URLS.metrics), []);
+});
@@ -0,0 +1,52 @@
+/**
+ * Timeline layout tests: lanes for overlapping ranges and zone-aware ticks.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+require("./helpers/load-libs.js");
+require("../lib/timeline.js");
+
+var Timeline = globalThis.TimeKeeperTimeline;
+
+var H = 60 * 60 * 1000;
+var BASE = Date.UTC(2026, 1, 24, 0, 0, 0);
+
+function range(fromHour, toHour, source) {
+  return { start: BASE + fromHour * H, end: BASE + toHour * H, source: source };
+}
+
+test("overlapping ranges get separate lanes, gaps share one", function () {
+  var layout = Timeline.layout([range(1, 3, "a"), range(2, 4, "b"), range(3, 5, "c"), range(6, 7, "d")], { timeZone: "UTC" });
+  var lanes = {};
+  layout.bars.forEach(function (bar) { lanes[bar.item.source] = bar.lane; });
+  assert.deepEqual(lanes, { a: 0, b: 1, c: 0, d: 0 });
+  assert.equal(layout.lanes, 2);
+});
+
+test("bars sit inside a padded axis", function () {
+  var layout = Timeline.layout([range(1, 3), range(5, 6)], { timeZone: "UTC" });
+  assert.ok(layout.axisStart < BASE + H && layout.axisEnd > BASE + 6 * H);
+  layout.bars.forEach(function (bar) {
+    assert.ok(bar.left > 0 && bar.left + bar.width < 1);
+  });
+  assert.equal(Timeline.timeAt(layout, layout.bars[0].left), BASE + H);
+});
+
+test("ticks fall on round wall-clock times in the zone", function () {
+  var layout = Timeline.layout([range(0, 10)], { timeZone: "Asia/Kolkata" });
+  assert.ok(layout.ticks.length >= 2 && layout.ticks.length <= 7);
+  layout.ticks.forEach(function (tick) {
+    // IST is UTC+05:30, so 3-hour ticks land on :30 UTC
+    assert.equal(new Date(tick.at).getUTCMinutes(), 30);
+    assert.ok(tick.position >= 0 && tick.position <= 1);
+  });
+});
+
+test("empty or invalid input draws nothing", function () {
+  assert.equal(Timeline.layout([], { timeZone: "UTC" }), null);
+  assert.equal(Timeline.layout([{ start: 5, end: 5 }, { start: NaN, end: 1 }]), null);
+});
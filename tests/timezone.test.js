@@ -0,0 +1,31 @@
+/**
+ * Time zone helper tests: display formats from the options page.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var TZ = require("./helpers/load-libs.js").TZ;
+
+// 2026-02-24 00:30:00 UTC = 09:30:00 in Tokyo
+var AT = Date.UTC(2026, 1, 24, 0, 30, 0);
+
+test("formatDisplay writes every format in the given zone", function () {
+  assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", "ymd-slash"), "2026/02/24 09:30:00");
+  assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", "iso"), "2026-02-24 09:30:00");
+  assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", "iso-offset"), "2026-02-24T09:30:00+09:00");
+  assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", "mdy"), "02/24/2026 09:30:00");
+  assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", "dmy"), "24/02/2026 09:30:00");
+});
+
+test("formatDisplay falls back to ymd-slash for unknown formats", function () {
+  assert.equal(TZ.formatDisplay(AT, "UTC", "nope"), "2026/02/24 00:30:00");
+});
+
+test("every listed display format is labelled with its own output", function () {
+  TZ.DISPLAY_FORMATS.forEach(function (format) {
+    assert.equal(TZ.formatDisplay(AT, "Asia/Tokyo", format.id), format.label);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Link builder tests: Logs Insights links carrying a query template, and
+ * every builder's links parsing back to the same range in absolute and
+ * relative mode.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var libs = require("./helpers/load-libs.js");
+require("../lib/url-builder.js");
+
+var Links = globalThis.TimeKeeperLinks;
+var Core = libs.Core;
+
+var RANGE = { start: Date.UTC(2026, 1, 24, 1, 0, 0), end: Date.UTC(2026, 1, 24, 2, 0, 0) };
+var TEMPLATE = {
+  query: "fields @timestamp, @message\n| filter @message like /ERROR/\n| sort @timestamp desc",
+  logGroups: ["/aws/lambda/my-fn", "/aws/ecs/api"],
+};
+
+test("template links open in both formats with query, log groups and range", function () {
+  var links = Links.logsInsights(RANGE, TEMPLATE, { region: "eu-west-1" });
+  assert.match(links.a, /^https:\/\/eu-west-1\.console\.aws\.amazon\.com\/cloudwatch\/home\?region=eu-west-1#logsV2:logs-insights\?queryDetail=~\$28/);
+  assert.match(links.b, /#logsV2:logs-insights\$3FqueryDetail\$3D~\(/);
+
+  [links.a, links.b].forEach(function (url) {
+    var detail = Core.queryDetail(url);
+    assert.equal(detail.editorString, TEMPLATE.query);
+    assert.deepEqual(detail.source, TEMPLATE.logGroups);
+    var parsed = Core.parseUrl(url, { timeZone: "UTC" });
+    assert.equal(parsed.service, "cloudwatch-logs-insights");
+    assert.equal(parsed.timeRange.start, RANGE.start);
+    assert.equal(parsed.timeRange.end, RANGE.end);
+  });
+});
+
+test("links without a template carry only the range", function () {
+  var detail = Core.queryDetail(Links.build("cloudwatch-logs-insights-b", RANGE, { region: "us-east-1" }));
+  assert.deepEqual(Object.keys(detail), ["end", "start", "timeType"]);
+});
+
+var HOUR = 60 * 60 * 1000;
+var ROLLING = Object.assign({}, RANGE, { applyMode: "relative", raw: { type: "relative", duration: "-PT1H" } });
+
+// [builder id, service parseUrl detects, options]
+var BUILDERS = [
+  ["cloudwatch-metrics", "cloudwatch-metrics", { region: "eu-west-1" }],
+  ["cloudwatch-logs-insights", "cloudwatch-logs-insights", { region: "eu-west-1" }],
+  ["cloudwatch-logs-insights-b", "cloudwatch-logs-insights", { region: "eu-west-1" }],
+  ["cloudwatch-logs", "cloudwatch-logs", { region: "eu-west-1", logGroup: "/aws/lambda/my-fn", logStream: "2026/02/24/[$LATEST]abc" }],
+  ["cloudwatch-generic", "cloudwatch-generic", { region: "eu-west-1" }],
+  ["xray", "xray", { region: "eu-west-1" }],
+  ["cloudwatch-xray", "cloudwatch-xray", { region: "eu-west-1" }],
+  ["cloudtrail", "cloudtrail", { region: "eu-west-1" }],
+];
+
+BUILDERS.forEach(function (row) {
+  test(row[0] + " links round-trip in absolute and relative mode", function () {
+    var absolute = Links.build(row[0], RANGE, row[2]);
+    var parsed = Core.parseUrl(absolute, { timeZone: "Asia/Tokyo" });
+    assert.equal(parsed.service, row[1]);
+    assert.equal(parsed.timeRange.start, RANGE.start);
+    assert.equal(parsed.timeRange.end, RANGE.end);
+    assert.equal(Links.regionFromUrl(absolute), "eu-west-1");
+
+    var relative = Core.parseUrl(Links.build(row[0], ROLLING, row[2]), { timeZone: "Asia/Tokyo" });
+    assert.equal(relative.service, row[1]);
+    if (row[0] === "cloudtrail") {
+      // Event history only takes fixed windows
+      assert.equal(relative.timeRange.start, RANGE.start);
+      assert.equal(relative.timeRange.end, RANGE.end);
+      return;
+    }
+    assert.equal(relative.timeRange.raw.type, "relative");
+    assert.equal(relative.timeRange.end - relative.timeRange.start, HOUR);
+    assert.ok(Math.abs(relative.timeRange.end - Date.now()) < 60 * 1000);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Range validation tests: errors that stop an apply and warnings that ride
+ * along with it.
+ *
+ * Run: node --test tests/
+ */
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var Validation = require("./helpers/load-libs.js").Validation;
+
+var NOW = Date.UTC(2026, 1, 24, 3, 0, 0);
+var OPTIONS = { now: NOW };
+var H = 60 * 60 * 1000;
+var DAY = 24 * H;
+
+function hourEndingAgo(ms) {
+  return { start: NOW - ms - H, end: NOW - ms };
+}
+
+test("a recent one-hour window passes cleanly everywhere", function () {
+  ["cloudwatch-metrics", "cloudwatch-logs-insights", "xray", "cloudtrail", null].forEach(function (service) {
+    var checked = Validation.check(hourEndingAgo(0), service, OPTIONS);
+    assert.deepEqual(checked.errors, [], String(service));
+    assert.deepEqual(checked.warnings, [], String(service));
+  });
+});
+
+test("values that are not finite times are rejected", function () {
+  [
+    { start: NaN, end: NOW },
+    { start: NOW - H, end: Infinity },
+    { start: "yesterday", end: NOW },
+    { start: null, end: NOW },
+    { start: 9e15, end: NOW },
+  ].forEach(function (range) {
+    var checked = Validation.check(range, null, OPTIONS);
+    assert.equal(checked.range, null);
+    assert.equal(checked.errors.length, 1);
+  });
+});
+
+test("numeric strings and fractional ms are normalised", function () {
+  var checked = Validation.check({ start: String(NOW - H), end: NOW - 0.4, source: "Manual" }, null, OPTIONS);
+  assert.deepEqual(checked.range, { start: NOW - H, end: NOW, source: "Manual" });
+});
+
+test("swapped start/end are swapped back; empty windows are rejected", function () {
+  var swapped = Validation.check({ start: NOW, end: NOW - H }, null, OPTIONS);
+  assert.equal(swapped.range.start, NOW - H);
+  assert.equal(swapped.range.end, NOW);
+  assert.deepEqual(swapped.warnings, ["start and end were swapped"]);
+
+  assert.equal(Validation.check({ start: NOW, end: NOW }, null, OPTIONS).errors.length, 1);
+});
+
+test("fixed windows in the future are flagged; rolling ones are not", function () {
+  assert.deepEqual(Validation.check({ start: NOW - H, end: NOW + H }, null, OPTIONS).warnings, ["range ends in the future"]);
+  assert.deepEqual(Validation.check({ start: NOW + H, end: NOW + 2 * H }, null, OPTIONS).warnings, ["range is entirely in the future"]);
+  // Within clock-skew tolerance
+  assert.deepEqual(Validation.check({ start: NOW - H, end: NOW + 30000 }, null, OPTIONS).warnings, []);
+
+  var rolling = { start: NOW, end: NOW + H, applyMode: "relative", raw: { type: "relative", duration: "-PT1H" } };
+  assert.deepEqual(Validation.check(rolling, null, OPTIONS).warnings, []);
+});
+
+test("service span limits", function () {
+  var day = { start: NOW - DAY, end: NOW };
+  assert.equal(Validation.check(day, "xray", OPTIONS).warnings.length, 1);
+  assert.equal(Validation.check(day, "cloudwatch-logs-insights", OPTIONS).warnings.length, 0);
+  assert.equal(Validation.check({ start: NOW - 8 * DAY, end: NOW }, "cloudwatch-logs-insights", OPTIONS).warnings.length, 1);
+});
+
+test("service retention limits", function () {
+  assert.deepEqual(Validation.check(hourEndingAgo(40 * DAY), "xray", OPTIONS).warnings, ["X-Ray keeps traces for 30 days"]);
+  assert.equal(Validation.check(hourEndingAgo(100 * DAY), "cloudtrail", OPTIONS).warnings.length, 1);
+  assert.deepEqual(Validation.check(hourEndingAgo(20 * DAY), "cloudwatch-metrics", OPTIONS).warnings,
+    ["1-minute metrics are kept 15 days; this range has 5-minute data at best"]);
+  assert.equal(Validation.check(hourEndingAgo(500 * DAY), "cloudwatch-generic", OPTIONS).warnings.length, 1);
+});